@@ -1,6 +1,120 @@
+import { useEffect, useMemo, useState } from "react";
 import { Html } from "@react-three/drei";
 import { motion, AnimatePresence } from "framer-motion";
 import useAIStore from "../store/useAIStore";
+import { splitWords } from "../utils/wordLookup";
+
+const STATUS_NOTE = {
+  active: "",
+  passive: "to recognise",
+  unknown: "Not in your vocabulary yet",
+};
+
+// Tooltip above a word: lemma, translation and the unit it came from
+function WordTooltip({ entry }) {
+  return (
+    <span
+      style={{
+        position: "absolute",
+        bottom: "100%",
+        left: "50%",
+        transform: "translateX(-50%)",
+        marginBottom: 6,
+        padding: "6px 10px",
+        borderRadius: 6,
+        background: "rgba(20,30,20,0.95)",
+        border: "1px solid rgba(232,245,224,0.3)",
+        color: "#e8f5e0",
+        fontSize: "15px",
+        fontWeight: 400,
+        lineHeight: 1.35,
+        letterSpacing: 0,
+        textShadow: "none",
+        whiteSpace: "nowrap",
+        zIndex: 1,
+      }}
+    >
+      <b>{entry.lemma}</b>
+      {entry.pos && <span style={{ opacity: 0.6 }}> ({entry.pos.toLowerCase()})</span>}
+      {entry.translation && <> — {entry.translation}</>}
+      {entry.phrase && <div style={{ opacity: 0.8 }}>in: {entry.phrase}</div>}
+      {(entry.unit || entry.cefr || STATUS_NOTE[entry.status]) && (
+        <div style={{ opacity: 0.6, fontSize: "13px" }}>
+          {[entry.unit && `Unit ${entry.unit}`, entry.cefr, STATUS_NOTE[entry.status]].filter(Boolean).join(" · ")}
+        </div>
+      )}
+    </span>
+  );
+}
+
+// One AI turn's words — hover for a tooltip, tap to pin it.
+// Keyed by turn, so a new utterance starts with nothing pinned.
+function BoardWords({ text }) {
+  const wordLookup = useAIStore((s) => s.wordLookup);
+  const [hovered, setHovered] = useState(null);
+  const [pinned, setPinned] = useState(null);
+
+  const segments = useMemo(
+    () => splitWords(text).map((seg) => ({
+      ...seg,
+      entry: seg.isWord && wordLookup ? wordLookup.lookup(seg.text) : null,
+    })),
+    [text, wordLookup]
+  );
+
+  const open = pinned ?? hovered;
+  return segments.map((seg, i) => {
+    if (!seg.entry || seg.entry.status === "known") return <span key={i}>{seg.text}</span>;
+    const unknown = seg.entry.status === "unknown";
+    return (
+      <span
+        key={i}
+        onMouseEnter={() => setHovered(i)}
+        onMouseLeave={() => setHovered((h) => (h === i ? null : h))}
+        onClick={() => setPinned((p) => (p === i ? null : i))}
+        style={{
+          position: "relative",
+          cursor: "pointer",
+          borderBottom: unknown ? "2px dotted #f0c060" : "none",
+          color: unknown ? "#f8e0a0" : undefined,
+        }}
+      >
+        {seg.text}
+        {open === i && <WordTooltip entry={seg.entry} />}
+      </span>
+    );
+  });
+}
+
+// Picture prompt above the text, cleared after the image's configured duration
+function BoardImage() {
+  const visualPrompt = useAIStore((s) => s.visualPrompt);
+  const setVisualPrompt = useAIStore((s) => s.setVisualPrompt);
+
+  useEffect(() => {
+    if (!visualPrompt) return;
+    const timer = setTimeout(() => setVisualPrompt(null), visualPrompt.duration || 5000);
+    return () => clearTimeout(timer);
+  }, [visualPrompt, setVisualPrompt]);
+
+  return (
+    <AnimatePresence>
+      {visualPrompt && (
+        <motion.img
+          key={visualPrompt.id}
+          src={visualPrompt.path}
+          alt={visualPrompt.description || ""}
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.4 }}
+          onError={() => setVisualPrompt(null)}
+          style={{ maxWidth: 260, maxHeight: 180, marginBottom: 10, borderRadius: 6 }}
+        />
+      )}
+    </AnimatePresence>
+  );
+}
 
 // Positioned in world space on the chalkboard surface
 // Classroom is at [0.2, -1.7, -2], board is toward the back
@@ -33,11 +147,13 @@ export function ChalkboardText() {
           width: 520,
           minHeight: 80,
           display: "flex",
+          flexDirection: "column",
           alignItems: "center",
           justifyContent: "center",
           padding: "12px 20px",
         }}
       >
+        <BoardImage />
         <AnimatePresence mode="wait">
           {displayText ? (
             <motion.p
@@ -61,7 +177,7 @@ export function ChalkboardText() {
                 cursor: "text",
               }}
             >
-              {displayText}
+              <BoardWords key={turnKey} text={displayText} />
             </motion.p>
           ) : (
             <motion.p key="empty" initial={{ opacity: 0 }} animate={{ opacity: 0 }} style={{ margin: 0 }} />
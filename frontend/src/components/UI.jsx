@@ -2,6 +2,7 @@ import { useState, useEffect, useRef } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import useAIStore from "../store/useAIStore";
 import { useVoiceConnection } from "../hooks/useVoiceConnection";
+import { useTextConversation } from "../hooks/useTextConversation";
 
 const STATUS_LABELS = {
   idle: "Ready",
@@ -47,19 +48,34 @@ const CHAPTERS_BY_BOOK = {
   ],
 };
 
+// Session exports offered on the feedback screen (GET /api/sessions/:id/export, with the session's export token)
+const EXPORT_LINKS = [
+  { format: "html", label: "Report / PDF" },
+  { format: "json", label: "JSON" },
+  { format: "vtt", label: "Subtitles (VTT)" },
+  { format: "srt", label: "SRT" },
+];
+
 export function UI() {
   const [screen, setScreen] = useState("name");
   const [studentName, setStudentName] = useState("");
+  const [classCode, setClassCode] = useState(() => localStorage.getItem("classCode") || "");
+  const [lastSession, setLastSession] = useState(null);
+  const [loggingIn, setLoggingIn] = useState(false);
   const [selectedBook, setSelectedBook] = useState(null);
   const [chapters, setChapters] = useState([]);
   const [units, setUnits] = useState([]);
   const [selectedChapter, setSelectedChapter] = useState(null);
   const [pendingUnit, setPendingUnit] = useState(null);
   const [error, setError] = useState(null);
+  const [mode, setMode] = useState("voice"); // 'voice' | 'text'
+  const [draft, setDraft] = useState("");
+  const [sendError, setSendError] = useState(null);
+  const [hint, setHint] = useState(null); // null | 'loading' | { question, scaffolds } (see /api/hint)
   const holdTimerRef = useRef(null);
   const isHoldingRef = useRef(false);
 
-  const { status, isSessionActive, micError, setMicError, feedback, setFeedback } = useAIStore();
+  const { status, isSessionActive, micError, setMicError, feedback, setFeedback, student, setStudent, messages } = useAIStore();
 
   useEffect(() => {
     if (!micError) return;
@@ -67,8 +83,15 @@ export function UI() {
     return () => clearTimeout(t);
   }, [micError, setMicError]);
 
-  const { startConversation, endConversation, startRecording, stopRecording, isRecordingRef } =
-    useVoiceConnection();
+  const voice = useVoiceConnection();
+  const text = useTextConversation();
+  const { startRecording, stopRecording, isRecordingRef } = voice;
+  const endConversation = mode === "text" ? text.endConversation : voice.endConversation;
+
+  // A hint answers one question: clear it once the student replies or the buddy speaks
+  useEffect(() => {
+    if (status === "loading" || status === "speaking") setHint(null);
+  }, [status]);
 
   const wasSessionActiveRef = useRef(false);
   useEffect(() => {
@@ -78,9 +101,47 @@ export function UI() {
     wasSessionActiveRef.current = isSessionActive;
   }, [isSessionActive]);
 
-  const handleNameSubmit = () => {
-    if (!studentName.trim()) return;
-    setScreen("book");
+  const handleNameSubmit = async () => {
+    if (!studentName.trim() || loggingIn) return;
+    setError(null);
+    setLastSession(null);
+    // Without a class code the student practices anonymously (no progress history)
+    if (!classCode.trim()) {
+      setStudent(null);
+      setScreen("book");
+      return;
+    }
+    setLoggingIn(true);
+    try {
+      const r = await fetch("/api/students/login", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ classCode: classCode.trim(), name: studentName.trim() }),
+      });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || "Login failed.");
+      localStorage.setItem("classCode", data.student.classCode);
+      setStudent(data.student);
+      setLastSession(data.lastSession);
+      setScreen("book");
+    } catch (err) {
+      setError(err.message || "Login failed. Is the server running?");
+    } finally {
+      setLoggingIn(false);
+    }
+  };
+
+  const handleContinueLastUnit = async () => {
+    if (!lastSession) return;
+    const book = BOOKS.find((b) => b.id === lastSession.book) || BOOKS[0];
+    const bookChapters = CHAPTERS_BY_BOOK[book.id] || [];
+    const ch = bookChapters.find((c) => c.chapter === Number(lastSession.chapter)) || bookChapters[0];
+    setSelectedBook(book);
+    setChapters(bookChapters);
+    setSelectedChapter(ch);
+    // Load the chapter's unit list too, so "Back" from the welcome screen works
+    fetch(`/api/units?book=${book.id}&chapter=${ch.chapter}`).then((r) => r.json()).then(setUnits).catch(() => {});
+    await handleUnitSelect({ unit: lastSession.unit }, book, ch);
   };
 
   const handleBookSelect = (book) => {
@@ -102,11 +163,11 @@ export function UI() {
     }
   };
 
-  const handleUnitSelect = async (unitInfo) => {
+  const handleUnitSelect = async (unitInfo, bookInfo = selectedBook, chapterInfo = selectedChapter) => {
     setError(null);
     try {
-      const book = selectedBook?.id || 'ID1';
-      const chapter = selectedChapter?.chapter || 1;
+      const book = bookInfo?.id || 'ID1';
+      const chapter = chapterInfo?.chapter || 1;
       const fullUnit = await fetch(
         `/api/cumulative/${unitInfo.unit}?book=${book}`
       ).then((r) => r.json());
@@ -119,11 +180,16 @@ export function UI() {
     }
   };
 
-  const handleStartSession = async () => {
+  const handleStartSession = async (sessionMode = "voice") => {
     if (!pendingUnit) return;
+    setMode(sessionMode);
+    setDraft("");
+    setSendError(null);
+    setHint(null);
     setScreen("session");
+    const { startConversation } = sessionMode === "text" ? text : voice;
     try {
-      await startConversation(pendingUnit, studentName.trim());
+      await startConversation(pendingUnit, studentName.trim(), student?.id || null);
     } catch {
       setError("Failed to connect. Is the server running?");
       setScreen("unit");
@@ -134,12 +200,30 @@ export function UI() {
     setFeedback(null);
     setScreen("name");
     setStudentName("");
+    setStudent(null);
+    setLastSession(null);
     setSelectedBook(null);
     setSelectedChapter(null);
     setUnits([]);
     setPendingUnit(null);
   };
 
+  const handleSendMessage = async () => {
+    if (!draft.trim() || status !== "idle") return;
+    setSendError(null);
+    // The message joins the chat with the buddy's reply; until then it stays in the box
+    const ok = await text.sendMessage(draft);
+    if (ok) setDraft("");
+    else setSendError("Message not sent. Please try again.");
+  };
+
+  const handleHint = async () => {
+    if (hint === "loading") return;
+    setHint("loading");
+    const result = await (mode === "text" ? text : voice).requestHint();
+    setHint(result?.scaffolds?.length ? result : null);
+  };
+
   const handlePointerDown = () => {
     if (status !== "idle") return;
     isHoldingRef.current = true;
@@ -154,6 +238,41 @@ export function UI() {
     if (isRecordingRef.current) stopRecording();
   };
 
+  const hintButton = (
+    <button
+      onClick={handleHint}
+      disabled={status !== "idle" || hint === "loading"}
+      title="Ideas for answering the buddy's question"
+      className="pointer-events-auto backdrop-blur-sm text-white text-xs font-medium px-3 py-2 rounded-full transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+      style={{ background: "rgba(0,0,0,0.4)" }}
+    >💡 Hint</button>
+  );
+
+  const hintPanel = hint && (
+    <div className="pointer-events-auto rounded-xl px-4 py-3 flex flex-col gap-2 w-full max-w-[420px] select-text" style={{ background: "rgba(0,0,0,0.6)" }}>
+      {hint === "loading" ? (
+        <p className="text-xs" style={{ color: "rgba(255,255,255,0.6)" }}>Finding a hint…</p>
+      ) : (
+        <>
+          <p className="text-xs" style={{ color: "rgba(255,255,255,0.6)" }}>You could answer:</p>
+          {hint.scaffolds.map((s) => (
+            <div key={s.text} className="flex flex-col gap-0.5">
+              <p className="text-sm font-medium text-white">{s.text}</p>
+              {s.choices.length > 0 && (
+                <p className="text-xs text-yellow-300">{s.choices.join(" / ")}</p>
+              )}
+              {s.words.length > 0 && (
+                <p className="text-xs" style={{ color: "rgba(255,255,255,0.55)" }}>
+                  {s.words.map((w) => `${w.word} = ${w.translation}`).join(" · ")}
+                </p>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+
   const bookColor = selectedBook ? (BOOK_COLORS[selectedBook.id] || "#008899") : "#008899";
 
   return (
@@ -176,6 +295,17 @@ export function UI() {
                 Welcome to the Impuls Deutsch Conversation Buddy and thank you for prototype testing this new tool.
               </p>
               <p className="text-sm text-center" style={{ color: "rgba(255,255,255,0.55)" }}>Please enter your name to start:</p>
+              <input
+                type="text"
+                value={classCode}
+                onChange={(e) => setClassCode(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') handleNameSubmit(); }}
+                placeholder="Class code (optional)"
+                className="name-input w-full px-4 py-3 rounded-xl text-white text-sm outline-none transition-colors uppercase"
+                style={{ background: "rgba(255,255,255,0.1)", border: "1px solid rgba(255,255,255,0.2)" }}
+                onFocus={(e) => e.currentTarget.style.borderColor = "rgba(255,255,255,0.4)"}
+                onBlur={(e) => e.currentTarget.style.borderColor = "rgba(255,255,255,0.2)"}
+              />
               <input
                 type="text"
                 value={studentName}
@@ -187,9 +317,11 @@ export function UI() {
                 onFocus={(e) => e.currentTarget.style.borderColor = "rgba(255,255,255,0.4)"}
                 onBlur={(e) => e.currentTarget.style.borderColor = "rgba(255,255,255,0.2)"}
               />
+              <p className="text-xs text-center -mt-2" style={{ color: "rgba(255,255,255,0.4)" }}>Enter the class code from your teacher to save your progress.</p>
+              {error && <p className="text-red-400 text-xs text-center">{error}</p>}
               <button
                 onClick={handleNameSubmit}
-                disabled={!studentName.trim()}
+                disabled={!studentName.trim() || loggingIn}
                 className="disabled:opacity-30 disabled:cursor-not-allowed text-white font-semibold py-3 rounded-xl transition-colors"
                 style={{ background: "rgba(255,255,255,0.1)" }}
                 onMouseEnter={e => { if (!e.currentTarget.disabled) e.currentTarget.style.background = "rgba(255,255,255,0.2)"; }}
@@ -215,6 +347,21 @@ export function UI() {
                 <h1 className="text-white text-xl font-bold">Impuls Deutsch</h1>
                 <p className="text-white text-xl">Conversation Buddy</p>
               </div>
+              {lastSession && (
+                <div className="rounded-xl px-5 py-4 flex flex-col gap-2" style={{ background: "rgba(255,255,255,0.08)", border: "1px solid rgba(255,255,255,0.15)" }}>
+                  <p className="text-white text-sm">Welcome back, {student?.name}!</p>
+                  <p className="text-xs" style={{ color: "rgba(255,255,255,0.6)" }}>
+                    Last practiced unit {lastSession.unit} · {BOOKS.find((b) => b.id === lastSession.book)?.label || lastSession.book} · Chapter {lastSession.chapter}
+                  </p>
+                  <button
+                    onClick={handleContinueLastUnit}
+                    className="bg-blue-600 hover:bg-blue-500 text-white text-sm font-semibold py-2 rounded-lg transition-colors"
+                  >
+                    Continue with unit {lastSession.unit}
+                  </button>
+                </div>
+              )}
+              {error && <p className="text-red-400 text-xs text-center">{error}</p>}
               <p className="text-sm text-center" style={{ color: "rgba(255,255,255,0.6)" }}>Select your textbook</p>
               {BOOKS.map((book) => (
                 <button
@@ -344,7 +491,7 @@ export function UI() {
               </ul>
               <p className="text-xs text-center" style={{ color: "rgba(255,255,255,0.5)" }}>When you're ready, click the button below to begin.</p>
               <button
-                onClick={handleStartSession}
+                onClick={() => handleStartSession("voice")}
                 className="bg-blue-600 hover:bg-blue-500 text-white font-semibold py-3 rounded-xl transition-colors flex items-center justify-center gap-2"
               >
                 <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
@@ -352,6 +499,15 @@ export function UI() {
                 </svg>
                 Start Conversation
               </button>
+              <button
+                onClick={() => handleStartSession("text")}
+                className="text-xs self-center -mt-2 transition-colors"
+                style={{ color: "rgba(255,255,255,0.5)" }}
+                onMouseEnter={e => e.currentTarget.style.color = "rgba(255,255,255,1)"}
+                onMouseLeave={e => e.currentTarget.style.color = "rgba(255,255,255,0.5)"}
+              >
+                No microphone? Type instead
+              </button>
             </div>
           </motion.div>
         )}
@@ -365,7 +521,7 @@ export function UI() {
             style={{ paddingLeft: "50%" }}
             className="pointer-events-auto absolute inset-0 flex items-center justify-start"
           >
-            <div className="backdrop-blur-md rounded-2xl p-8 w-[500px] flex flex-col gap-5" style={{ background: "rgba(0,0,0,0.7)" }}>
+            <div className="backdrop-blur-md rounded-2xl p-8 w-[500px] max-h-[80vh] overflow-y-auto flex flex-col gap-5" style={{ background: "rgba(0,0,0,0.7)" }}>
               <h2 className="text-white text-xl font-bold">Session Complete 🎉</h2>
               {feedback === 'loading' && (
                 <div className="flex items-center gap-3 text-sm" style={{ color: "rgba(255,255,255,0.6)" }}>
@@ -389,6 +545,113 @@ export function UI() {
                   </ul>
                 </>
               )}
+              {(feedback?.goals?.covered.length > 0 || feedback?.goals?.remaining.length > 0) && (
+                <div className="flex flex-col gap-2">
+                  <p className="text-sm" style={{ color: "rgba(255,255,255,0.7)" }}>Unit goals</p>
+                  <ul className="flex flex-col gap-2">
+                    {feedback.goals.covered.map((goal) => (
+                      <li key={goal} className="flex gap-2 text-sm" style={{ color: "rgba(255,255,255,0.9)" }}><span className="text-green-400 shrink-0">✓</span>{goal}</li>
+                    ))}
+                    {feedback.goals.remaining.map((goal) => (
+                      <li key={goal} className="flex gap-2 text-sm" style={{ color: "rgba(255,255,255,0.6)" }}><span className="shrink-0">○</span>{goal}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {feedback?.corrections?.length > 0 && (
+                <div className="flex flex-col gap-2">
+                  <p className="text-sm" style={{ color: "rgba(255,255,255,0.7)" }}>Things to fix</p>
+                  <ul className="flex flex-col gap-2">
+                    {feedback.corrections.map((c, i) => (
+                      <li key={i} className="text-sm rounded-lg px-3 py-2" style={{ background: "rgba(255,255,255,0.08)", color: "rgba(255,255,255,0.9)" }}>
+                        <span className="line-through" style={{ color: "rgba(255,255,255,0.5)" }}>{c.original}</span>
+                        <span style={{ color: "rgba(255,255,255,0.5)" }}> → </span>
+                        <span className="font-medium text-white">{c.corrected}</span>
+                        {c.rule && (
+                          <p className="text-xs mt-1" style={{ color: "rgba(255,255,255,0.6)" }}>
+                            <span className="text-yellow-400">{c.unit ? `Unit ${c.unit}:` : "Rule:"}</span> {c.rule}
+                          </p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {feedback?.vocabulary?.total > 0 && (
+                <div className="flex flex-col gap-2">
+                  <p className="text-sm" style={{ color: "rgba(255,255,255,0.7)" }}>
+                    Unit words you used: {feedback.vocabulary.used.length} of {feedback.vocabulary.total}
+                  </p>
+                  {feedback.vocabulary.used.length > 0 && (
+                    <p className="text-sm" style={{ color: "rgba(255,255,255,0.9)" }}>
+                      <span className="text-green-400">✓</span> {feedback.vocabulary.used.join(", ")}
+                    </p>
+                  )}
+                  {feedback.vocabulary.unused.length > 0 && (
+                    <p className="text-sm" style={{ color: "rgba(255,255,255,0.6)" }}>
+                      Not used yet: {feedback.vocabulary.unused.join(", ")}
+                    </p>
+                  )}
+                </div>
+              )}
+              {feedback?.pronunciation && (
+                <div className="flex flex-col gap-2">
+                  <p className="text-sm" style={{ color: "rgba(255,255,255,0.7)" }}>Pronunciation</p>
+                  {feedback.pronunciation.clear.length > 0 && (
+                    <p className="text-sm" style={{ color: "rgba(255,255,255,0.9)" }}>
+                      <span className="text-green-400">✓</span> Clear: {feedback.pronunciation.clear.join(", ")}
+                    </p>
+                  )}
+                  {feedback.pronunciation.practice.length > 0 && (
+                    <ul className="flex flex-col gap-2">
+                      {feedback.pronunciation.practice.map((p) => (
+                        <li key={p.word} className="text-sm rounded-lg px-3 py-2" style={{ background: "rgba(255,255,255,0.08)", color: "rgba(255,255,255,0.9)" }}>
+                          <span className="font-medium text-white">{p.word}</span>
+                          {p.heardAs.length > 0 && <span style={{ color: "rgba(255,255,255,0.5)" }}> — sounded like “{p.heardAs.join("”, “")}”</span>}
+                          {p.issues.map((issue) => (
+                            <p key={issue.id} className="text-xs mt-1" style={{ color: "rgba(255,255,255,0.6)" }}>
+                              <span className="text-yellow-400">{issue.label}:</span> {issue.tip}
+                            </p>
+                          ))}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+              {feedback?.nextSteps?.length > 0 && (
+                <div className="flex flex-col gap-2">
+                  <p className="text-sm" style={{ color: "rgba(255,255,255,0.7)" }}>Next time</p>
+                  <ul className="flex flex-col gap-2">
+                    {feedback.nextSteps.map((step, i) => (
+                      <li key={i} className="flex gap-2 text-sm" style={{ color: "rgba(255,255,255,0.9)" }}><span className="text-blue-400 shrink-0">→</span>{step}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {feedback?.hints?.length > 0 && (
+                <p className="text-sm" style={{ color: "rgba(255,255,255,0.6)" }}>
+                  💡 You used {feedback.hints.length === 1 ? "1 hint" : `${feedback.hints.length} hints`}
+                  {feedback.hints.some(Boolean) && `, on: ${[...new Set(feedback.hints.filter(Boolean))].map((q) => `“${q}”`).join(", ")}`}
+                </p>
+              )}
+              {feedback?.sessionId && (
+                <div className="flex flex-wrap items-center gap-2 text-sm" style={{ color: "rgba(255,255,255,0.7)" }}>
+                  <span>Save this session:</span>
+                  {EXPORT_LINKS.map(({ format, label }) => (
+                    <a
+                      key={format}
+                      href={`/api/sessions/${encodeURIComponent(feedback.sessionId)}/export?format=${format}&token=${encodeURIComponent(feedback.exportToken || "")}`}
+                      target={format === "html" ? "_blank" : undefined}
+                      rel="noreferrer"
+                      className="rounded-lg px-3 py-1 text-white hover:bg-white/20 transition-colors"
+                      style={{ background: "rgba(255,255,255,0.1)" }}
+                    >
+                      {label}
+                    </a>
+                  ))}
+                </div>
+              )}
               {feedback !== 'loading' && (
                 <button onClick={handleFeedbackDone} className="mt-2 bg-blue-600 hover:bg-blue-500 text-white font-semibold py-3 rounded-xl transition-colors">Done</button>
               )}
@@ -435,7 +698,7 @@ export function UI() {
                   onMouseLeave={e => e.currentTarget.style.background = "rgba(0,0,0,0.3)"}
                 >📋 Log</button>
                 <button
-                  onClick={() => { endConversation(); setScreen("name"); setStudentName(""); setPendingUnit(null); }}
+                  onClick={() => { endConversation(); setScreen("name"); setStudentName(""); setStudent(null); setLastSession(null); setPendingUnit(null); }}
                   title="Change book / chapter"
                   className="pointer-events-auto backdrop-blur-sm text-white w-9 h-9 rounded-full flex items-center justify-center transition-colors text-lg"
                   style={{ background: "rgba(0,0,0,0.3)" }}
@@ -451,12 +714,48 @@ export function UI() {
                 >End Session</button>
               </div>
             </div>
+            {mode === "text" ? (
+            <div className="pointer-events-auto self-center w-full max-w-[520px] backdrop-blur-md rounded-2xl p-4 flex flex-col gap-3" style={{ background: "rgba(0,0,0,0.6)" }}>
+              <div className="max-h-[40vh] overflow-y-auto flex flex-col gap-2 select-text">
+                {messages.filter((m) => m.content).map((m, i) => (
+                  <p
+                    key={i}
+                    className={`text-sm rounded-xl px-3 py-2 max-w-[85%] ${m.role === "user" ? "self-end bg-blue-600 text-white" : "self-start text-white"}`}
+                    style={m.role === "user" ? undefined : { background: "rgba(255,255,255,0.12)" }}
+                  >{m.content}</p>
+                ))}
+              </div>
+              {sendError && <p className="text-red-400 text-xs text-center">{sendError}</p>}
+              {hintPanel}
+              <div className="flex gap-2">
+                {hintButton}
+                <input
+                  type="text"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  readOnly={status !== "idle"}
+                  onKeyDown={(e) => { if (e.key === 'Enter') handleSendMessage(); }}
+                  placeholder="Auf Deutsch schreiben…"
+                  autoFocus
+                  className="name-input flex-1 px-4 py-2 rounded-xl text-white text-sm outline-none"
+                  style={{ background: "rgba(255,255,255,0.1)", border: "1px solid rgba(255,255,255,0.2)" }}
+                />
+                <button
+                  onClick={handleSendMessage}
+                  disabled={!draft.trim() || status !== "idle"}
+                  className="bg-blue-600 hover:bg-blue-500 disabled:opacity-30 disabled:cursor-not-allowed text-white text-sm font-semibold px-4 rounded-xl transition-colors"
+                >Send</button>
+              </div>
+            </div>
+            ) : (
             <div className="flex flex-col items-center gap-3">
               <AnimatePresence>
                 {micError && (
                   <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 6 }} className="text-red-400 text-xs font-medium rounded-lg px-3 py-1.5 text-center max-w-[200px]" style={{ background: "rgba(0,0,0,0.6)", border: "1px solid rgba(239,68,68,0.4)" }}>🎤 {micError}</motion.div>
                 )}
               </AnimatePresence>
+              {hintPanel}
+              {hintButton}
               <p className="text-xs" style={{ color: "rgba(255,255,255,0.5)" }}>{status === "listening" ? "Release to send" : "Hold to speak"}</p>
               <motion.button
                 onPointerDown={handlePointerDown} onPointerUp={handlePointerUp} onPointerLeave={handlePointerUp}
@@ -469,6 +768,7 @@ export function UI() {
                 </svg>
               </motion.button>
             </div>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -0,0 +1,225 @@
+import { useRef, useCallback } from "react";
+import useAIStore from "../store/useAIStore";
+import { getDurations } from "../utils/systemInstructions";
+import { WordLookup } from "../utils/wordLookup";
+
+/**
+ * useTextConversation — typed chat with the same unit-aware buddy as voice.
+ *
+ * The server builds the prompt (persona, generateUnitInstructions, opening
+ * greeting) in /api/conversation/start, keeps the chat history, and runs the
+ * Conversation Manager (server/textSessionLoop.js): every reply says whether
+ * it is the buddy's goodbye. This hook shows the chat, watches the maximum
+ * duration — a closing farewell that can't wait for the student is requested
+ * on its own — and fetches feedback at the end.
+ *
+ * FILE: frontend/src/hooks/useTextConversation.js
+ */
+
+const FAREWELL_READ_MS = 3000; // leave the buddy's goodbye on screen before the feedback screen
+
+export function useTextConversation() {
+  const conversationIdRef = useRef(null);
+  const exportTokenRef = useRef(null);            // lets the feedback screen download this session's export
+  const unitDataRef = useRef(null);               // unit data for current session
+  const conversationStartRef = useRef(null);      // Date.now() when session opens
+  const conversationTimerRef = useRef(null);      // setInterval that watches the maximum duration
+  const studentUtterancesRef = useRef([]);        // everything the student typed (for feedback)
+  const busyRef = useRef(false);                  // a reply request is in flight
+  const endAfterReplyRef = useRef(false);         // end once the buddy's closing line arrives
+  const endConversationRef = useRef(null);        // ref to endConversation — avoids stale closures in callbacks
+  const lastAITextRef = useRef('');               // the buddy's latest reply — what a hint answers
+  const demonstratedGoalsRef = useRef([]);        // goals the server has seen the student perform
+
+  const {
+    setStatus,
+    setSessionActive,
+    addMessage,
+    clearMessages,
+    setFeedback,
+    setWordLookup,
+    setVisualPrompt,
+  } = useAIStore();
+
+  // image: the curriculum picture the server matched to the reply (server/imageMap.json)
+  const handleAIReply = useCallback((text, image = null) => {
+    addMessage("assistant", text);
+    lastAITextRef.current = text;
+    if (image) setVisualPrompt({ ...image, id: Date.now() });
+  }, [addMessage, setVisualPrompt]);
+
+  // Sends the student's message (none: ask for the closing line) and handles
+  // the reply. Returns false when the request failed; the message then isn't
+  // shown or kept, so sending it again doesn't count it twice.
+  const requestReply = useCallback(async (message = '') => {
+    const conversationId = conversationIdRef.current;
+    if (!conversationId) return false;
+    busyRef.current = true;
+    setStatus("loading");
+    try {
+      const r = await fetch('/api/conversation/message', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ conversationId, message }),
+      });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+      if (conversationIdRef.current !== conversationId) return true; // session ended meanwhile
+      if (message) {
+        addMessage("user", message);
+        studentUtterancesRef.current.push(message);
+      }
+      handleAIReply(data.response, data.image);
+      demonstratedGoalsRef.current = data.demonstratedGoals || [];
+      if (data.endAfterReply) endAfterReplyRef.current = true;
+    } catch (err) {
+      console.error('[Text] message failed:', err);
+      return false;
+    } finally {
+      busyRef.current = false;
+      if (conversationIdRef.current === conversationId) setStatus("idle");
+    }
+    if (endAfterReplyRef.current) {
+      endAfterReplyRef.current = false;
+      setTimeout(() => {
+        if (conversationIdRef.current === conversationId) endConversationRef.current?.();
+      }, FAREWELL_READ_MS);
+    }
+    return true;
+  }, [addMessage, handleAIReply, setStatus]);
+
+  const startConversation = useCallback(
+    async (unitData, studentName = '', studentId = null) => {
+      setStatus("loading");
+      clearMessages();
+
+      try {
+        const r = await fetch('/api/conversation/start', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            unit: unitData.unit,
+            book: unitData._book || 'ID1',
+            chapter: unitData._chapter || 1,
+            studentName,
+            studentId,
+            // ?buddy=<seed> on the page: the teacher-assigned persona (same seed, same buddy)
+            personaSeed: new URLSearchParams(window.location.search).get('buddy') || undefined,
+          }),
+        });
+        const data = await r.json();
+        if (!r.ok) throw new Error(data.error || "Failed to start conversation");
+
+        conversationIdRef.current = data.conversationId;
+        exportTokenRef.current = data.exportToken || null;
+        unitDataRef.current = unitData;
+        conversationStartRef.current = Date.now();
+        studentUtterancesRef.current = [];
+        demonstratedGoalsRef.current = [];
+        endAfterReplyRef.current = false;
+
+        const extraWords = [studentName, ...Object.values(data.persona || {}).filter(v => typeof v === 'string')];
+        setWordLookup(new WordLookup(unitData._cumulative, { extraWords }));
+
+        // ── Timer: hard max — ask for the closing line now rather than waiting for the student ──
+        const { maxMs } = getDurations(unitData._book || 'ID1', unitData._chapter || 1);
+        conversationTimerRef.current = setInterval(() => {
+          if (Date.now() - conversationStartRef.current < maxMs || endAfterReplyRef.current) return;
+          endAfterReplyRef.current = true;
+          clearInterval(conversationTimerRef.current);
+          if (!busyRef.current) requestReply();
+        }, 10000);
+
+        handleAIReply(data.message);
+        setSessionActive(true);
+        setStatus("idle");
+      } catch (err) {
+        console.error("Error starting text conversation:", err);
+        setStatus("idle");
+        throw err;
+      }
+    },
+    [handleAIReply, requestReply, setStatus, setSessionActive, clearMessages, setWordLookup]
+  );
+
+  // Returns false when the message could not be delivered (the caller keeps the draft)
+  const sendMessage = useCallback(async (text) => {
+    const message = text.trim();
+    if (!message || busyRef.current || !conversationIdRef.current) return false;
+    return requestReply(message);
+  }, [requestReply]);
+
+  const endConversation = useCallback(() => {
+    // Snapshot session data for feedback BEFORE any refs are cleared
+    const utterancesSnapshot = [...studentUtterancesRef.current];
+    const sessionDurationMs = conversationStartRef.current ? Date.now() - conversationStartRef.current : 0;
+    const unitNumber = unitDataRef.current?.unit ?? null;
+    const { minMs: minDurationMs } = getDurations(unitDataRef.current?._book || 'ID1', unitDataRef.current?._chapter || 1);
+    const sessionId = conversationIdRef.current;
+    const exportToken = exportTokenRef.current;
+    const demonstratedGoals = demonstratedGoalsRef.current;
+    setFeedback('loading');
+
+    if (sessionId) {
+      fetch('/api/conversation/end', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ conversationId: sessionId, durationMs: sessionDurationMs }),
+      }).catch(() => {});
+    }
+
+    clearInterval(conversationTimerRef.current);
+    conversationTimerRef.current = null;
+    conversationIdRef.current = null;
+    exportTokenRef.current = null;
+    unitDataRef.current = null;
+    lastAITextRef.current = '';
+    setVisualPrompt(null);
+    conversationStartRef.current = null;
+    studentUtterancesRef.current = [];
+    demonstratedGoalsRef.current = [];
+    endAfterReplyRef.current = false;
+
+    setSessionActive(false);
+    setStatus("idle");
+    // Async: backend feedback generator; result updates the store when ready
+    if (unitNumber && utterancesSnapshot.length > 0) {
+      fetch('/api/feedback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ utterances: utterancesSnapshot, unit: unitNumber, sessionDurationMs, minDurationMs, sessionId, demonstratedGoals }),
+      })
+        .then(r => r.json())
+        .then(data => setFeedback({ ...data, exportToken }))
+        .catch(() => setFeedback({ fallback: true }));
+    } else {
+      setFeedback({ fallback: true });
+    }
+    clearMessages();
+  }, [setSessionActive, setStatus, clearMessages, setFeedback, setVisualPrompt]);
+  // Keep ref in sync so timer and reply callbacks can call it without going stale
+  endConversationRef.current = endConversation;
+
+  // Answer scaffolds for the buddy's last question (the Hint button); null when unavailable
+  const requestHint = useCallback(async () => {
+    const unitData = unitDataRef.current;
+    if (!unitData) return null;
+    try {
+      const r = await fetch('/api/hint', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: conversationIdRef.current, text: lastAITextRef.current, unit: unitData.unit, book: unitData._book || 'ID1' }),
+      });
+      return r.ok ? await r.json() : null;
+    } catch {
+      return null;
+    }
+  }, []);
+
+  return {
+    startConversation,
+    endConversation,
+    sendMessage,
+    requestHint,
+  };
+}
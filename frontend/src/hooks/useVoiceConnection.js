@@ -1,7 +1,13 @@
 import { useRef, useCallback } from "react";
 import useAIStore from "../store/useAIStore";
-import { generateUnitInstructions, getDurations, getBuddyFirstName } from "../utils/systemInstructions";
+import { getDurations } from "../utils/systemInstructions";
 import { ConversationManager } from "../utils/conversationManager";
+import { VocabularyChecker } from "../utils/vocabularyChecker";
+import { WordLookup } from "../utils/wordLookup";
+import { isPictureQuestion, matchImageKeywords, pictureAnswerDirective } from "../utils/visualPrompt";
+import { AdaptivityController } from "../utils/adaptivityController";
+import { findGrammarViolations } from "../utils/grammarAnalyzer";
+import { connectRealtime } from "../utils/realtimeTransport";
 
 // Known hallucination phrases — stripped from every student transcript
 const WHISPER_HALLUCINATIONS = [
@@ -53,20 +59,23 @@ function cleanTranscript(text) {
 }
 
 export function useVoiceConnection() {
-  const peerConnectionRef = useRef(null);
+  const transportRef = useRef(null);       // { kind: 'webrtc'|'relay'|'simulator', channel, close, simulated } from realtimeTransport
   const dataChannelRef = useRef(null);
   const audioElementRef = useRef(null);
   const microphoneTrackRef = useRef(null);
   const waitingForResponseRef = useRef(false);
   const lastTranscriptionIdRef = useRef(null);
-  const lastVisualQuestionRef = useRef(null);
-  const visualAnswerCheckedRef = useRef(false);
+  const lastVisualQuestionRef = useRef(null);    // image the buddy just asked about — the next answer is checked against it
+  const visualAnswerCheckedRef = useRef(false);  // that answer has been checked (both transcript paths can deliver it)
   const audioContextRef = useRef(null);
   const analyzerRef = useRef(null);       // mirror of analyzerNode for use in callbacks
   const silenceTimerRef = useRef(null);   // setTimeout id for silence detection
   const logSessionIdRef = useRef(null);   // correlates log entries on the backend
+  const exportTokenRef = useRef(null);     // lets the feedback screen download this session's export
+  const lastAITextRef = useRef('');        // the buddy's latest line — the target when the student repeats it
   const studentSpokeRef = useRef(false);  // true after stopRecording until transcript logged
   const recordStartRef = useRef(null);    // timestamp when recording started
+  const lastHoldMsRef = useRef(0);        // how long the mic was held for the turn being committed
   const inaudibleTimerRef = useRef(null); // delayed fallback if Whisper never delivers
   const mediaRecorderRef = useRef(null);  // captures mic audio for our own Whisper call
   const audioChunksRef = useRef([]);      // collected MediaRecorder chunks
@@ -76,8 +85,8 @@ export function useVoiceConnection() {
   const committedTimeoutRef = useRef(null); // safety-net if committed event never arrives
   const pendingStudentTurnIdRef = useRef(null); // id of the placeholder student row in the log
   const pendingAILogRef = useRef(null);        // AI transcript held until after student update-turn
+  const pendingAIFlagsRef = useRef(null);      // checker findings for the held AI transcript ({ vocabulary, grammar })
   const logQueueRef = useRef(Promise.resolve()); // serializes POSTs so order is preserved
-  const systemInstructionsRef = useRef(null);     // saved so we can patch them with the student's real name
   const studentNameRef = useRef(null);            // set once we detect the student's confirmed name
   const pendingNameCorrectionRef = useRef(null);  // correct name to self-inject when AI used wrong name
   const studentUtterancesRef = useRef([]);         // all Whisper transcripts this session (for feedback)
@@ -92,6 +101,8 @@ export function useVoiceConnection() {
   const pendingEndAfterTurnRef = useRef(false);   // auto-end after current AI turn finishes speaking
   const endConversationRef = useRef(null);        // ref to endConversation — avoids stale closures in callbacks
   const managerRef = useRef(null);                // ConversationManager instance for this session
+  const adaptivityRef = useRef(null);             // AdaptivityController — buddy pace and question style
+  const vocabCheckerRef = useRef(null);           // VocabularyChecker for the current unit's cumulative vocabulary
   const typedNameRef = useRef(null);              // name entered on the welcome screen
   const nameConfirmationPendingRef = useRef(null); // {typed, spoken} when typed≠spoken, awaiting student confirmation
   const transcriptDoneForTurnRef = useRef(null); // turnId that's been transcribed — coordinates own Whisper vs built-in
@@ -99,21 +110,39 @@ export function useVoiceConnection() {
   // postLog is stored in a ref so useCallback closures never go stale.
   // All calls are chained on logQueueRef so each fetch completes before the next one
   // starts — this guarantees server-side broadcast order matches event order.
+  // The session id is captured when the event is queued, so events queued just
+  // before endConversation() clears the id (e.g. 'end') are still delivered.
   const postLogRef = useRef(null);
-  postLogRef.current = (payload) => {
-    if (!logSessionIdRef.current) return Promise.resolve();
+  postLogRef.current = (payload, sessionId) => {
+    if (!sessionId) return Promise.resolve();
     return fetch('/api/log', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ ...payload, sessionId: logSessionIdRef.current }),
+      body: JSON.stringify({ ...payload, sessionId }),
     }).catch(() => {});
   };
   function postLog(payload) {
+    const sessionId = logSessionIdRef.current;
     logQueueRef.current = logQueueRef.current.then(
-      () => postLogRef.current?.(payload) ?? Promise.resolve()
+      () => postLogRef.current?.(payload, sessionId) ?? Promise.resolve()
     );
   }
 
+  // Async: which of the unit's communicative goals this student turn shows
+  function classifyGoals(text) {
+    const mgr = managerRef.current;
+    const goals = mgr?.getGoalsForClassification() || [];
+    if (!goals.length) return;
+    fetch('/api/classify-goal', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, goals }),
+    })
+      .then(r => r.json())
+      .then(result => mgr.updateGoalClassification(result))
+      .catch(() => {});
+  }
+
   const {
     setStatus,
     setSessionActive,
@@ -126,6 +155,8 @@ export function useVoiceConnection() {
     setAnalyzerNode,
     setMicError,
     setFeedback,
+    setWordLookup,
+    setVisualPrompt,
   } = useAIStore();
 
   const sendRealtimeEvent = useCallback((event) => {
@@ -135,6 +166,58 @@ export function useVoiceConnection() {
     }
   }, []);
 
+  // Response length, hesitation, failed transcripts, English and repeat
+  // requests move the buddy's support level up or down
+  const recordAdaptivity = useCallback((text) => {
+    const adaptivity = adaptivityRef.current;
+    if (!adaptivity) return;
+    const directives = adaptivity.recordStudentTurn(text);
+    if (!directives.length) return;
+    console.log('[Adapt] support level', adaptivity.level, adaptivity.lastSignals);
+    for (const d of directives) {
+      sendRealtimeEvent({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: d }] } });
+    }
+  }, [sendRealtimeEvent]);
+
+  // Curriculum picture for what the buddy just said (server/imageMap.json)
+  const showPictureFor = useCallback((text) => {
+    const unitData = unitDataRef.current;
+    lastVisualQuestionRef.current = null;
+    if (!unitData) return;
+    fetch('/api/image-prompt', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: logSessionIdRef.current, text, unit: unitData.unit }),
+    })
+      .then(r => r.json())
+      .then(({ image }) => {
+        if (!image || unitDataRef.current !== unitData) return;
+        setVisualPrompt({ ...image, id: Date.now() });
+        if (isPictureQuestion(text)) {
+          lastVisualQuestionRef.current = image;
+          visualAnswerCheckedRef.current = false;
+        }
+      })
+      .catch(() => {});
+  }, [setVisualPrompt]);
+
+  // Tells the buddy whether the answer to its picture question named what the picture shows
+  const checkPictureAnswer = useCallback((text) => {
+    const image = lastVisualQuestionRef.current;
+    if (!image || visualAnswerCheckedRef.current) return;
+    visualAnswerCheckedRef.current = true;
+    const matched = matchImageKeywords(text, image.keywords);
+    console.log('[Picture]', matched.length ? `answer names ${matched.join(', ')}` : 'answer does not name the picture');
+    sendRealtimeEvent({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: pictureAnswerDirective(image, matched) }] } });
+  }, [sendRealtimeEvent]);
+
+  // The prompt lives on the server, so the confirmed name goes in as a directive
+  const sendNameConfirmed = useCallback((name) => {
+    sendRealtimeEvent({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text',
+      text: `[SYSTEM: The student's confirmed name is "${name}". You MUST use ONLY this exact spelling for the rest of the session. ` +
+        `Never use any other name or spelling.]` }] } });
+  }, [sendRealtimeEvent]);
+
   const handleRealtimeEvent = useCallback(
     (event) => {
       switch (event.type) {
@@ -149,14 +232,15 @@ export function useVoiceConnection() {
           // its AI response saved, flush it now before this new student placeholder
           // so the log stays in order across rapid exchanges.
           if (pendingAILogRef.current) {
-            postLog({ type: 'turn', role: 'ai', text: pendingAILogRef.current });
+            postLog({ type: 'turn', role: 'ai', text: pendingAILogRef.current, flags: pendingAIFlagsRef.current || undefined });
             pendingAILogRef.current = null;
+            pendingAIFlagsRef.current = null;
           }
           // Post a placeholder student row IMMEDIATELY so it appears before
           // the next AI response in the log.
           const turnId = Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
           pendingStudentTurnIdRef.current = turnId;
-          postLog({ type: 'turn', role: 'student', text: '…', id: turnId, pending: true });
+          postLog({ type: 'turn', role: 'student', text: '…', id: turnId, pending: true, durationMs: lastHoldMsRef.current });
           if (waitingForResponseRef.current) {
             waitingForResponseRef.current = false;
             console.log('[Realtime] Sending response.create');
@@ -166,29 +250,44 @@ export function useVoiceConnection() {
           {
             const localTurnId = turnId;
             const chunks = audioChunksRef.current.splice(0); // capture and clear atomically
+            // The simulator scripts what the student said and delivers it as the
+            // built-in transcript — Whisper's text is only wanted there for the
+            // pronunciation check the server runs on the same upload.
+            const simulated = !!transportRef.current?.simulated;
             console.log('[Whisper] committed — chunks captured:', chunks.length, chunks.map(c => c.size + 'B').join(', '));
             if (chunks.length > 0) {
               const blob = new Blob(chunks, { type: chunks[0]?.type || 'audio/webm' });
               console.log('[Whisper] sending blob to /api/transcribe, size:', blob.size, 'type:', blob.type);
               const fd = new FormData();
               fd.append('audio', blob, 'audio.webm');
+              // Lets the server assess pronunciation and file it under this turn
+              if (logSessionIdRef.current) fd.append('sessionId', logSessionIdRef.current);
+              if (localTurnId) fd.append('turnId', localTurnId);
+              fd.append('prompt', lastAITextRef.current);
               fetch('/api/transcribe', { method: 'POST', body: fd })
                 .then(r => { console.log('[Whisper] HTTP status:', r.status); return r.json(); })
-                .then(({ text }) => {
+                .then(({ text, pronunciation }) => {
                   console.log('[Whisper] response text:', JSON.stringify(text));
-                  if (!text?.trim()) return;
+                  if (pronunciation) console.log('[Pronunciation]', pronunciation.mode, pronunciation.words.filter(w => w.flagged).map(w => w.expected).join(', ') || 'all clear');
+                  if (simulated || !text?.trim()) return;
                   if (transcriptDoneForTurnRef.current === localTurnId) return; // built-in already handled this turn
                   transcriptDoneForTurnRef.current = localTurnId;
                   const cleaned = cleanTranscript(text.trim()) || '(inaudible)';
-                  if (cleaned !== '(inaudible)') studentUtterancesRef.current.push(cleaned);
+                  if (cleaned !== '(inaudible)') {
+                    studentUtterancesRef.current.push(cleaned);
+                    vocabCheckerRef.current?.addKnownText(cleaned); // student-introduced words are fair game
+                    classifyGoals(cleaned);
+                    checkPictureAnswer(cleaned);
+                  }
                   postLog({ type: 'update-turn', id: localTurnId, text: cleaned });
                   if (pendingAILogRef.current) {
-                    postLog({ type: 'turn', role: 'ai', text: pendingAILogRef.current });
+                    postLog({ type: 'turn', role: 'ai', text: pendingAILogRef.current, flags: pendingAIFlagsRef.current || undefined });
                     pendingAILogRef.current = null;
+                    pendingAIFlagsRef.current = null;
                   }
                 })
                 .catch(err => console.error('[Whisper] fetch error:', err));
-            } else {
+            } else if (!simulated) {
               console.warn('[Whisper] no chunks — MediaRecorder did not capture audio');
             }
           }
@@ -201,29 +300,32 @@ export function useVoiceConnection() {
           const turnId = pendingStudentTurnIdRef.current;
           pendingStudentTurnIdRef.current = null;
           const finalText = cleaned || '(inaudible)';
-          if (cleaned) studentUtterancesRef.current.push(cleaned); // for post-session feedback
-
-          // Farewell detection (spec 2.7) — check if student is saying goodbye
           if (cleaned) {
-            const isFarewell = /\b(tsch[uü]ss|auf wiedersehen|tschau|ciao|bye|goodbye|auf wiederschauen|macht's gut|bis dann|bis später)\b/i.test(cleaned);
-            if (isFarewell) {
-              if (managerRef.current?.isMinDurationReached()) {
-                // Min duration reached — allow the AI to say goodbye, then auto-end
-                pendingEndAfterTurnRef.current = true;
-                sendRealtimeEvent({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: '[SYSTEM: The student said goodbye and the minimum conversation time has been reached. Say your natural closing farewell NOW in one sentence, then the session will end automatically.]' }] } });
-              } else {
-                // Too early — AI must decline and continue
-                sendRealtimeEvent({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: '[SYSTEM: The student tried to say goodbye but the minimum conversation time has NOT been reached. You MUST respond with the early-goodbye response (e.g. "Schon? Wir können noch ein bisschen reden!") and then continue the conversation.]' }] } });
-              }
+            studentUtterancesRef.current.push(cleaned); // for post-session feedback
+            vocabCheckerRef.current?.addKnownText(cleaned);
+            classifyGoals(cleaned);
+            checkPictureAnswer(cleaned);
+          }
+
+          // Farewell detection (spec 2.7) — min duration reached: the AI says
+          // goodbye, then auto-end; too early: the AI declines and continues
+          if (cleaned && managerRef.current) {
+            const { directives, endAfterReply } = managerRef.current.processStudentTurn(cleaned);
+            if (endAfterReply) pendingEndAfterTurnRef.current = true;
+            for (const d of directives) {
+              sendRealtimeEvent({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: d }] } });
             }
           }
+          recordAdaptivity(cleaned || null);
 
           // Increment exchange count for logging
           exchangeCountRef.current += 1;
 
           // Capture AI text now so we can compare it against the detected name below.
           const aiText = pendingAILogRef.current;
+          const aiFlags = pendingAIFlagsRef.current;
           pendingAILogRef.current = null;
+          pendingAIFlagsRef.current = null;
 
           // ── Name confirmation flow ──
           // Step 1: If awaiting name confirmation (mismatch was detected), parse
@@ -237,18 +339,7 @@ export function useVoiceConnection() {
               : mentionsTyped ? typed
               : typed; // fallback
             studentNameRef.current = confirmedName;
-            if (systemInstructionsRef.current) {
-              sendRealtimeEvent({
-                type: 'session.update',
-                session: {
-                  instructions:
-                    `CRITICAL — The student's confirmed name is "${confirmedName}". ` +
-                    `You MUST use ONLY this exact spelling for the rest of the session. ` +
-                    `Never use any other name or spelling.\n\n` +
-                    systemInstructionsRef.current,
-                },
-              });
-            }
+            sendNameConfirmed(confirmedName);
           }
 
           // Step 2: First time the student introduces themselves
@@ -273,18 +364,7 @@ export function useVoiceConnection() {
                 // Same first letter or no typed name → use the typed spelling (handles Niko/Nico etc.)
                 const finalName = typedName || spokenName;
                 studentNameRef.current = finalName;
-                if (systemInstructionsRef.current) {
-                  sendRealtimeEvent({
-                    type: 'session.update',
-                    session: {
-                      instructions:
-                        `CRITICAL — The student's confirmed name is "${finalName}". ` +
-                        `You MUST use ONLY this exact spelling for the rest of the session. ` +
-                        `Never use any other name or spelling.\n\n` +
-                        systemInstructionsRef.current,
-                    },
-                  });
-                }
+                sendNameConfirmed(finalName);
                 if (aiText && !aiText.includes(finalName)) {
                   pendingNameCorrectionRef.current = finalName;
                 }
@@ -302,7 +382,7 @@ export function useVoiceConnection() {
             postLog({ type: 'turn', role: 'student', text: finalText });
           }
           if (aiText) {
-            postLog({ type: 'turn', role: 'ai', text: aiText });
+            postLog({ type: 'turn', role: 'ai', text: aiText, flags: aiFlags || undefined });
           }
           break;
         }
@@ -313,6 +393,7 @@ export function useVoiceConnection() {
           pendingStudentTurnIdRef.current = null;
           if (turnId) postLog({ type: 'update-turn', id: turnId, text: '(inaudible)' });
           else postLog({ type: 'turn', role: 'student', text: '(inaudible)' });
+          recordAdaptivity(null);
           break;
         }
 
@@ -334,11 +415,27 @@ export function useVoiceConnection() {
           finalizeAIMessage(event.transcript);
           if (event.transcript?.trim()) {
             pendingAILogRef.current = event.transcript.trim();
+            lastAITextRef.current = event.transcript.trim();
+            showPictureFor(event.transcript.trim());
+
+            // Out-of-vocabulary and forbidden-grammar checks against the current unit
+            const oov = vocabCheckerRef.current?.check(event.transcript) || [];
+            const grammar = findGrammarViolations(event.transcript, unitDataRef.current?.grammar_constraints);
+            const flags = {};
+            if (oov.length) flags.vocabulary = oov;
+            if (grammar.length) flags.grammar = grammar;
+            pendingAIFlagsRef.current = Object.keys(flags).length ? flags : null;
+            if (oov.length) console.log('[Vocab] out-of-vocabulary:', oov.join(', '));
+            if (grammar.length) console.log('[Grammar] forbidden:', grammar.map(g => `${g.tag} (${g.match})`).join(', '));
 
             // Conversation Manager: process AI turn (phase transitions, timing, starters)
             const mgr = managerRef.current;
             if (mgr) {
-              const directives = mgr.processAITurn(event.transcript.trim());
+              const directives = [
+                ...mgr.processAITurn(event.transcript.trim()),
+                ...mgr.recordVocabularyViolations(oov),
+                ...mgr.recordGrammarViolations(grammar),
+              ];
               for (const d of directives) {
                 sendRealtimeEvent({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: d }] } });
               }
@@ -366,8 +463,11 @@ export function useVoiceConnection() {
           }
           break;
 
-        case "response.done":
+        case "response.done": {
           prepareNewAIMessage();
+          // A new speaking rate only takes effect between responses
+          const speed = adaptivityRef.current?.takeSpeedChange();
+          if (speed) sendRealtimeEvent({ type: 'session.update', session: { speed } });
           // Keep status as "speaking" until audio truly finishes.
           // Poll the analyzer: only go idle after 1500ms of continuous near-silence.
           // MAX_WAIT 30s covers long AI responses.
@@ -377,6 +477,7 @@ export function useVoiceConnection() {
             const analyzer = analyzerRef.current;
             if (!analyzer) {
               setStatus("idle");
+              adaptivityRef.current?.aiFinished();
               if (pendingEndAfterTurnRef.current) {
                 pendingEndAfterTurnRef.current = false;
                 endConversationRef.current?.();
@@ -415,6 +516,7 @@ export function useVoiceConnection() {
               elapsed += POLL_MS;
               if (silentMs >= SILENT_NEEDED || elapsed >= MAX_WAIT) {
                 setStatus("idle");
+                adaptivityRef.current?.aiFinished();
                 if (pendingEndAfterTurnRef.current) {
                   pendingEndAfterTurnRef.current = false;
                   endConversationRef.current?.();
@@ -442,6 +544,7 @@ export function useVoiceConnection() {
             silenceTimerRef.current = setTimeout(poll, POLL_MS);
           })();
           break;
+        }
 
         case "error":
           console.error("[Realtime] API error:", event.error);
@@ -456,24 +559,33 @@ export function useVoiceConnection() {
           break;
       }
     },
-    [sendRealtimeEvent, setStatus, updateLastAIMessage, finalizeAIMessage, prepareNewAIMessage]
+    [sendRealtimeEvent, sendNameConfirmed, recordAdaptivity, showPictureFor, checkPictureAnswer, setStatus, updateLastAIMessage, finalizeAIMessage, prepareNewAIMessage]
   );
 
   const startConversation = useCallback(
-    async (unitData, studentName = '') => {
+    async (unitData, studentName = '', studentId = null) => {
       setStatus("loading");
       clearMessages();
 
       try {
-        // Get ephemeral token
-        const tokenResponse = await fetch("/token");
+        // A voice session the server has already configured (buddy prompt,
+        // persona, voice, transcription) for this unit
+        const tokenResponse = await fetch("/token", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            unit: unitData.unit,
+            book: unitData._book || 'ID1',
+            chapter: unitData._chapter || 1,
+            studentName,
+            studentId,
+            // ?buddy=<seed> on the page: the teacher-assigned persona (same seed, same buddy)
+            personaSeed: new URLSearchParams(window.location.search).get("buddy") || undefined,
+          }),
+        });
         if (!tokenResponse.ok) throw new Error("Token request failed");
         const data = await tokenResponse.json();
-        const EPHEMERAL_KEY = data.value;
-
-        // Create peer connection
-        const pc = new RTCPeerConnection();
-        peerConnectionRef.current = pc;
+        const persona = data.persona || null;
 
         // Set up audio element for AI voice output
         const audioEl = document.createElement("audio");
@@ -481,12 +593,12 @@ export function useVoiceConnection() {
         audioEl.volume = 1.0;
         audioElementRef.current = audioEl;
 
-        pc.ontrack = (e) => {
-          audioEl.srcObject = e.streams[0];
+        const handleRemoteStream = (stream) => {
+          audioEl.srcObject = stream;
 
           // Set up AudioContext analyzer for lipsync.
           // Use createMediaStreamSource (not createMediaElementSource) so the
-          // analyzer taps directly into the raw WebRTC stream — much more reliable.
+          // analyzer taps directly into the raw remote stream — much more reliable.
           try {
             const audioCtx = new (window.AudioContext ||
               window.webkitAudioContext)();
@@ -494,7 +606,7 @@ export function useVoiceConnection() {
             audioCtx.resume().catch(() => {});
 
             // Direct stream source — audio element plays independently
-            const streamSource = audioCtx.createMediaStreamSource(e.streams[0]);
+            const streamSource = audioCtx.createMediaStreamSource(stream);
             const analyzer = audioCtx.createAnalyser();
             analyzer.fftSize = 256;
             analyzer.smoothingTimeConstant = 0.5;
@@ -507,7 +619,7 @@ export function useVoiceConnection() {
           }
         };
 
-        // Add microphone track — keep it ALWAYS enabled.
+        // Microphone — keep the track ALWAYS enabled.
         // Using track.enabled = false to mute between turns silences the hardware
         // source on some browsers (Chrome), making even separate getUserMedia streams
         // record silence. Instead we gate via input_audio_buffer.clear/commit.
@@ -515,77 +627,20 @@ export function useVoiceConnection() {
         rawMicStreamRef.current = ms;
         microphoneTrackRef.current = ms.getTracks()[0];
         // Do NOT disable the track — it must stay enabled at all times.
-        pc.addTrack(microphoneTrackRef.current);
 
-        // Log ICE / connection state changes to help debug audio path issues
-        pc.oniceconnectionstatechange = () => {
-          console.log('[WebRTC] ICE connection state:', pc.iceConnectionState);
-        };
-        pc.onconnectionstatechange = () => {
-          console.log('[WebRTC] Connection state:', pc.connectionState);
-          if (pc.connectionState === 'failed' || pc.connectionState === 'disconnected') {
-            console.warn('[WebRTC] Connection lost — mic audio may not reach OpenAI');
-          }
-        };
-
-        // Create data channel
-        const dc = pc.createDataChannel("oai-events");
+        // The server relay (OpenAI over WebRTC when the server hands out a key,
+        // falling back to the relay); the local simulator when the server runs AI_PROVIDER=mock
+        const transport = await connectRealtime({ token: data, micStream: ms, onTrack: handleRemoteStream });
+        console.log('[Transport] connected via', transport.kind);
+        transportRef.current = transport;
+        const dc = transport.channel;
         dataChannelRef.current = dc;
 
-        // SDP exchange
-        const offer = await pc.createOffer();
-        await pc.setLocalDescription(offer);
-
-        const baseUrl = "https://api.openai.com/v1/realtime";
-        const model = "gpt-4o-realtime-preview-2024-12-17";
-
-        const sdpResponse = await fetch(`${baseUrl}?model=${model}`, {
-          method: "POST",
-          body: offer.sdp,
-          headers: {
-            Authorization: `Bearer ${EPHEMERAL_KEY}`,
-            "Content-Type": "application/sdp",
-          },
-        });
-
-        if (!sdpResponse.ok)
-          throw new Error(`SDP failed: ${sdpResponse.status}`);
-
-        await pc.setRemoteDescription({
-          type: "answer",
-          sdp: await sdpResponse.text(),
+        // Wire up data channel events (WebRTC is already open once connected)
+        dc.addEventListener("message", (e) => {
+          handleRealtimeEvent(JSON.parse(e.data));
         });
-
-        // Wire up data channel events
-        dc.addEventListener("open", async () => {
-          // Immediately disable server VAD so it doesn't auto-commit mic audio
-          // while we await the async persona fetch below.
-          sendRealtimeEvent({
-            type: "session.update",
-            session: { turn_detection: null },
-          });
-
-          // Fetch a freshly-generated persona for this chapter before building instructions
-          let persona = null;
-          try {
-            const book = unitData._book || 'ID1';
-            const chapter = unitData._chapter || 1;
-            const pr = await fetch('/api/persona', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ book, chapter }),
-            });
-            if (pr.ok) {
-              const pd = await pr.json();
-              persona = pd.persona || null;
-            }
-          } catch (e) {
-            console.warn('[Persona] Failed to fetch persona, using default:', e.message);
-          }
-
-          const systemInstructions = generateUnitInstructions(unitData, persona, studentName);
-          systemInstructionsRef.current = systemInstructions;
-          const buddyName = getBuddyFirstName(persona);
+        const handleOpen = () => {
           studentNameRef.current = null;
           typedNameRef.current = studentName || null;
           nameConfirmationPendingRef.current = null;
@@ -608,9 +663,17 @@ export function useVoiceConnection() {
             reviewTopics: reviewTopicData,
             minMs: MIN_MS,
             maxMs: MAX_MS,
+            goals: unitData.communicative_functions?.goals || [],
             studentNameKnown: !!studentName,
+            returningStudent: !!data.returningStudent, // the buddy remembers them (server/studentMemory.js)
+            reviewWords: data.reviewWords || [], // earlier words this student is due to recycle
           });
           managerRef.current.start();
+          adaptivityRef.current = new AdaptivityController();
+
+          const extraWords = [studentName, ...Object.values(persona || {}).filter(v => typeof v === 'string')];
+          vocabCheckerRef.current = new VocabularyChecker(unitData._cumulative, { extraWords });
+          setWordLookup(new WordLookup(unitData._cumulative, { extraWords }));
 
           // ── Timer: delegates to ConversationManager ──
           conversationTimerRef.current = setInterval(() => {
@@ -631,33 +694,19 @@ export function useVoiceConnection() {
           }, 10000);
 
           // Start log session
-          logSessionIdRef.current = Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+          // The server already holds this session's unit, student and persona under data.sessionId
+          logSessionIdRef.current = data.sessionId;
+          exportTokenRef.current = data.exportToken || null;
           postLog({
             type: 'start',
             unit: unitData?.unit,
             unitTitle: (unitData?.communicative_functions?.goals || [])[0]
                     || (unitData?.conversation_topics?.topics || [])[0]
                     || '',
-          });
-
-          sendRealtimeEvent({
-            type: "session.update",
-            session: {
-              modalities: ["text", "audio"],
-              instructions: systemInstructions,
-              voice: "verse",
-              input_audio_format: "pcm16",
-              output_audio_format: "pcm16",
-              // Re-enable built-in transcription so the AI can hear the audio.
-              // We also run our own MediaRecorder path for the chat log.
-              input_audio_transcription: {
-                model: 'whisper-1',
-                language: 'de',
-              },
-              turn_detection: null,
-              temperature: 0.55,
-              max_response_output_tokens: 300,
-            },
+            book: unitData._book || 'ID1',
+            chapter: unitData._chapter || 1,
+            studentName: studentName || '',
+            studentId,
           });
 
           // Seed an opening turn aligned with Phase 1 warm-up starters
@@ -666,21 +715,31 @@ export function useVoiceConnection() {
             item: {
               type: "message",
               role: "user",
-              content: [{ type: "input_text", text: studentName
-                ? `[Session started. This is Phase 1 (warm-up). Your name is ${buddyName}. The student's name is "${studentName}". Do NOT ask "Wie heißt du?". Say: "Hallo, ${studentName}! Ich bin ${buddyName}." then ask: "Woher kommst du?" Do NOT ask about the unit topic yet. Speak only in German.]`
-                : `[Session started. This is Phase 1 (warm-up). Your name is ${buddyName}. Say: "Hallo! Ich bin ${buddyName}." then ask the student: "Wie heißt du?" Do NOT ask about the unit topic yet. Speak only in German.]` }],
+              content: [{ type: "input_text", text: data.opening }],
             },
           });
           sendRealtimeEvent({ type: "response.create" });
           setSessionActive(true);
           setStatus("idle");
-        });
-
-        dc.addEventListener("message", (e) => {
-          handleRealtimeEvent(JSON.parse(e.data));
-        });
+        };
+        if (dc.readyState === "open") handleOpen();
+        else {
+          // A socket can close before it opens (the relay refuses an expired session with 4404)
+          await new Promise((resolve, reject) => {
+            const handleClose = (e) => reject(new Error(`Voice connection closed before it opened${e.reason ? `: ${e.reason}` : ""}`));
+            dc.addEventListener("close", handleClose, { once: true });
+            dc.addEventListener("open", () => {
+              dc.removeEventListener("close", handleClose);
+              handleOpen();
+              resolve();
+            }, { once: true });
+          });
+        }
       } catch (err) {
         console.error("Error starting conversation:", err);
+        transportRef.current?.close();
+        transportRef.current = null;
+        dataChannelRef.current = null;
         setStatus("idle");
         throw err;
       }
@@ -693,6 +752,7 @@ export function useVoiceConnection() {
       setSessionActive,
       clearMessages,
       setAnalyzerNode,
+      setWordLookup,
     ]
   );
 
@@ -703,17 +763,31 @@ export function useVoiceConnection() {
     const sessionDurationMs = conversationStartRef.current ? Date.now() - conversationStartRef.current : 0;
     const unitNumber = unitDataRef.current?.unit ?? null;
     const { minMs: minDurationMs } = getDurations(unitDataRef.current?._book || 'ID1', unitDataRef.current?._chapter || 1);
+    const sessionId = logSessionIdRef.current;
+    const exportToken = exportTokenRef.current;
+    const demonstratedGoals = managerRef.current?.getDemonstratedGoals() || [];
     studentUtterancesRef.current = [];
     setFeedback('loading');
 
-    // Log session end
-    postLog({ type: 'end' });
+    // Flush any AI log entry that was held waiting for Whisper, then log session end
+    if (pendingAILogRef.current) {
+      postLog({ type: 'turn', role: 'ai', text: pendingAILogRef.current, flags: pendingAIFlagsRef.current || undefined });
+      pendingAILogRef.current = null;
+      pendingAIFlagsRef.current = null;
+    }
+    postLog({ type: 'end', durationMs: sessionDurationMs });
     logSessionIdRef.current = null;
+    exportTokenRef.current = null;
+    lastAITextRef.current = '';
 
     if (managerRef.current) {
       managerRef.current.reset();
       managerRef.current = null;
     }
+    adaptivityRef.current = null;
+    vocabCheckerRef.current = null;
+    lastVisualQuestionRef.current = null;
+    setVisualPrompt(null);
     clearInterval(conversationTimerRef.current);
     conversationTimerRef.current = null;
     clearTimeout(silentStudentTimerRef.current);
@@ -730,14 +804,7 @@ export function useVoiceConnection() {
     isRecordingRef.current = false;
     waitingForResponseRef.current = false;
     pendingStudentTurnIdRef.current = null;
-    // Flush any AI log entry that was held waiting for Whisper
-    if (pendingAILogRef.current) {
-      postLog({ type: 'turn', role: 'ai', text: pendingAILogRef.current });
-      pendingAILogRef.current = null;
-    }
-    logQueueRef.current = Promise.resolve(); // reset queue for next session
     studentNameRef.current = null;
-    systemInstructionsRef.current = null;
     pendingNameCorrectionRef.current = null;
     typedNameRef.current = null;
     nameConfirmationPendingRef.current = null;
@@ -750,13 +817,12 @@ export function useVoiceConnection() {
     rawMicStreamRef.current = null;
     recMicStreamRef.current = null; // was removed; keeping ref null for safety
 
-    if (dataChannelRef.current) dataChannelRef.current.close();
-    if (peerConnectionRef.current) peerConnectionRef.current.close();
+    if (transportRef.current) transportRef.current.close();
     if (audioElementRef.current) audioElementRef.current.srcObject = null;
     if (audioContextRef.current) audioContextRef.current.close();
 
     dataChannelRef.current = null;
-    peerConnectionRef.current = null;
+    transportRef.current = null;
     audioElementRef.current = null;
     audioContextRef.current = null;
     microphoneTrackRef.current = null;
@@ -769,16 +835,16 @@ export function useVoiceConnection() {
       fetch('/api/feedback', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ utterances: utterancesSnapshot, unit: unitNumber, sessionDurationMs, minDurationMs }),
+        body: JSON.stringify({ utterances: utterancesSnapshot, unit: unitNumber, sessionDurationMs, minDurationMs, sessionId, demonstratedGoals }),
       })
         .then(r => r.json())
-        .then(data => setFeedback(data))
+        .then(data => setFeedback({ ...data, exportToken }))
         .catch(() => setFeedback({ fallback: true }));
     } else {
       setFeedback({ fallback: true });
     }
     clearMessages();
-  }, [setSessionActive, setStatus, clearMessages, setAnalyzerNode, setFeedback]);
+  }, [setSessionActive, setStatus, clearMessages, setAnalyzerNode, setFeedback, setVisualPrompt]);
   // Keep ref in sync so handleRealtimeEvent closure can call it without going stale
   endConversationRef.current = endConversation;
 
@@ -787,6 +853,7 @@ export function useVoiceConnection() {
     if (!track) { console.warn('[Recording] startRecording: no mic track'); return; }
     isRecordingRef.current = true;
     clearTimeout(silentStudentTimerRef.current); // student pressed the mic — cancel silence prompt
+    adaptivityRef.current?.studentStarted();
     // Discard everything that accumulated in the buffer between turns.
     // The track is always enabled, so the buffer constantly fills with live audio.
     // clearing here means we only commit what the student says THIS press.
@@ -843,6 +910,7 @@ export function useVoiceConnection() {
     // the server confirms via input_audio_buffer.committed — no race condition.
     studentSpokeRef.current = true;
     waitingForResponseRef.current = true;
+    lastHoldMsRef.current = holdMs;
     console.log('[Recording] Committing buffer (holdMs:', holdMs, ')');
     sendRealtimeEvent({ type: 'input_audio_buffer.commit' });
     setStatus('loading');
@@ -867,9 +935,27 @@ export function useVoiceConnection() {
     }
   }, [sendRealtimeEvent, setStatus, setMicError]);
 
+  // Answer scaffolds for the buddy's last question (the Hint button); null when unavailable
+  const requestHint = useCallback(async () => {
+    const unitData = unitDataRef.current;
+    if (!unitData) return null;
+    clearTimeout(silentStudentTimerRef.current); // the student is working on an answer — no silence prompt
+    try {
+      const r = await fetch('/api/hint', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: logSessionIdRef.current, text: lastAITextRef.current, unit: unitData.unit, book: unitData._book || 'ID1' }),
+      });
+      return r.ok ? await r.json() : null;
+    } catch {
+      return null;
+    }
+  }, []);
+
   return {
     startConversation,
     endConversation,
+    requestHint,
     startRecording,
     stopRecording,
     isRecordingRef,
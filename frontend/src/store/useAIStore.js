@@ -9,21 +9,29 @@ const useAIStore = create((set, get) => ({
   // Conversation
   messages: [],
   speakingText: "",  // live text of current AI utterance
+  wordLookup: null,  // WordLookup for the session's unit — chalkboard word tooltips
+  visualPrompt: null, // { path, description, duration, keywords, id } — picture on the chalkboard (see utils/visualPrompt.js)
 
   // Audio / lipsync
   audioAmplitude: 0,
   analyzerNode: null,
 
+  // Logged-in student profile (null when practicing without a class code)
+  student: null,   // { id, classCode, name } | null
+
   // Mic error feedback
   micError: null,
-  feedback: null,   // null | 'loading' | { items: string[] } | { fallback: true }
+  feedback: null,   // null | 'loading' | { items, goals, corrections, vocabulary, nextSteps, pronunciation?, hints, sessionId } (see /api/feedback) | { fallback: true, goals?, pronunciation?, hints?, sessionId? }
 
   // Actions
   setStatus: (status) => set({ status }),
   setMicError: (err) => set({ micError: err }),
   setFeedback: (fb) => set({ feedback: fb }),
+  setStudent: (student) => set({ student }),
   setCurrentUnit: (unit) => set({ currentUnit: unit }),
   setSessionActive: (active) => set({ isSessionActive: active }),
+  setWordLookup: (wordLookup) => set({ wordLookup }),
+  setVisualPrompt: (visualPrompt) => set({ visualPrompt }),
 
   addMessage: (role, content) =>
     set((state) => ({
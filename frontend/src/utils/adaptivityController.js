@@ -0,0 +1,147 @@
+/**
+ * AdaptivityController — adjusts how the buddy speaks to how the student is
+ * coping right now.
+ *
+ * Instantiated per voice session in useVoiceConnection and fed one signal
+ * set per student turn:
+ * - response length (one- or two-word answers)
+ * - latency: time from the buddy going quiet to the student pressing the mic
+ * - transcript failures ("(inaudible)", transcription.failed)
+ * - English instead of German
+ * - repeat requests ("Wie bitte?", "Noch einmal, bitte", "I don't understand")
+ *
+ * ARCHITECTURE:
+ * - Support levels: 0 (normal) → 1 (either/or questions, shorter sentences,
+ *   a little slower) → 2 (yes/no questions, very short sentences, slower)
+ * - Each turn gets a struggle score; the level goes up when the last
+ *   STRUGGLE_WINDOW turns add up to STRUGGLE_THRESHOLD, or straight away on a
+ *   repeat request. It comes back down one level after RECOVERY_TURNS clean,
+ *   fuller answers in a row, so the adjustments are undone as the student recovers.
+ * - A level change returns a directive string to inject as a [SYSTEM: ...]
+ *   message; the matching speaking rate is held until takeSpeedChange() is
+ *   called between responses (the Realtime API won't change speed mid-response)
+ *
+ * FILE: frontend/src/utils/adaptivityController.js
+ */
+
+import { tokenize, normalizeWord } from './germanText';
+
+const STRUGGLE_WINDOW = 3;     // student turns considered when stepping up
+const STRUGGLE_THRESHOLD = 4;  // summed score over the window that steps up
+const RECOVERY_TURNS = 2;      // clean turns in a row that step back down
+const SLOW_LATENCY_MS = 8000;  // pause before answering that counts as hesitation
+const SHORT_ANSWER_WORDS = 2;
+
+const SCORES = { failed: 2, english: 2, repeat: 2, short: 1, slow: 1 };
+
+// Realtime `speed` and the instructions for each support level
+const LEVELS = [
+  {
+    speed: 1.0,
+    directive: '[SYSTEM: ADAPT — The student is coping well again. Go back to your normal pace and sentence length, ' +
+      'and ask open questions (W-Fragen) again. Keep the conversation flowing naturally.]',
+  },
+  {
+    speed: 0.9,
+    directive: '[SYSTEM: ADAPT — The student is finding this hard (short answers, long pauses, English, or asking you to repeat). ' +
+      'Until told otherwise: speak a little more slowly, keep sentences to about 6–8 words, and ask either/or questions ' +
+      '("Trinkst du lieber Kaffee oder Tee?") instead of open ones. Do not mention that you are simplifying.]',
+  },
+  {
+    speed: 0.8,
+    directive: '[SYSTEM: ADAPT — The student is still struggling. Until told otherwise: speak slowly, keep every sentence ' +
+      'under 6 words with one idea each, ask only yes/no questions ("Magst du Musik?"), and repeat the key word of your ' +
+      'question once. Praise any answer in German. Do not mention that you are simplifying.]',
+  },
+];
+
+const REPEAT_RE = /\b(wie bitte|noch (ein)?mal|langsamer|ich verstehe (das |dich |sie )?nicht|was bedeutet|was heißt das|pardon|repeat|slower|say that again|i don'?t understand|what does .+ mean)\b/i;
+
+// Common English words that are not also German words ("was", "am", "name", "so" are left out)
+const ENGLISH_WORDS = new Set([
+  'the', 'a', 'i', 'you', 'is', 'are', 'it', 'what', 'my', 'your', 'and', 'how', 'do', 'does', 'don',
+  'know', 'understand', 'sorry', 'yes', 'yeah', 'of', 'to', 'like', 'this', 'that', 'have', 'with', 'not',
+  'please', 'mean', 'can', 'say', 'speak', 'english', 'because', 'live', 'from', 'okay',
+]);
+
+export class AdaptivityController {
+  constructor() {
+    this.level = 0;
+    this.scores = [];            // struggle score per student turn, newest last
+    this.cleanStreak = 0;
+    this.aiFinishedAt = null;    // when the buddy last went quiet
+    this.latencyMs = null;       // hesitation before the turn being transcribed
+    this.pendingSpeed = null;    // speed to send once the current response is done
+    this.lastSignals = null;     // for logging
+  }
+
+  // ─── Called when the buddy has finished speaking ────────────────────────
+  aiFinished(now = Date.now()) {
+    this.aiFinishedAt = now;
+  }
+
+  // ─── Called when the student presses the mic ────────────────────────────
+  studentStarted(now = Date.now()) {
+    this.latencyMs = this.aiFinishedAt != null ? now - this.aiFinishedAt : null;
+    this.aiFinishedAt = null;
+  }
+
+  // ─── Called once per student turn with its transcript (null = failed) ──
+  // Returns directive strings (empty unless the support level changed)
+  recordStudentTurn(text) {
+    const signals = this._signals(text);
+    this.lastSignals = signals;
+    // Either/or and yes/no questions invite short answers: above level 0 they
+    // neither count against the student nor toward recovery
+    const counted = this.level > 0 ? { ...signals, short: false } : signals;
+    const score = Object.entries(counted).reduce((sum, [name, on]) => sum + (on ? SCORES[name] : 0), 0);
+    this.scores = [...this.scores, score].slice(-STRUGGLE_WINDOW);
+    this.cleanStreak = score > 0 ? 0 : signals.short ? this.cleanStreak : this.cleanStreak + 1;
+
+    const struggling = signals.repeat || this.scores.reduce((a, b) => a + b, 0) >= STRUGGLE_THRESHOLD;
+    if (struggling && this.level < LEVELS.length - 1) return this._setLevel(this.level + 1);
+    if (this.cleanStreak >= RECOVERY_TURNS && this.level > 0) return this._setLevel(this.level - 1);
+    return [];
+  }
+
+  // ─── Speaking rate to apply via session.update, once, or null ───────────
+  takeSpeedChange() {
+    const speed = this.pendingSpeed;
+    this.pendingSpeed = null;
+    return speed;
+  }
+
+  reset() {
+    this.level = 0;
+    this.scores = [];
+    this.cleanStreak = 0;
+    this.aiFinishedAt = null;
+    this.latencyMs = null;
+    this.pendingSpeed = null;
+    this.lastSignals = null;
+  }
+
+  // ─── Internal ───────────────────────────────────────────────────────────
+  _signals(text) {
+    const latencyMs = this.latencyMs;
+    this.latencyMs = null;
+    const words = tokenize(text).map(normalizeWord);
+    const failed = !text || text === '(inaudible)' || words.length === 0;
+    const englishCount = words.filter(w => ENGLISH_WORDS.has(w)).length;
+    return {
+      failed,
+      english: !failed && englishCount >= 2 && englishCount / words.length >= 0.5,
+      repeat: !failed && REPEAT_RE.test(text),
+      short: !failed && words.length <= SHORT_ANSWER_WORDS,
+      slow: latencyMs != null && latencyMs > SLOW_LATENCY_MS,
+    };
+  }
+
+  _setLevel(level) {
+    this.level = level;
+    this.scores = [];        // fresh evidence before the next change
+    this.cleanStreak = 0;
+    this.pendingSpeed = LEVELS[level].speed;
+    return [LEVELS[level].directive];
+  }
+}
@@ -2,8 +2,9 @@
  * ConversationManager — Application-level enforcement of conversation phases,
  * topic balance, warm-up starters, and timing.
  *
- * Instantiated per session in useVoiceConnection. After each AI turn or timer
- * tick, returns an array of directive strings to inject as [SYSTEM: ...] messages.
+ * Instantiated per session in useVoiceConnection (and server/textSessionLoop.js for
+ * typed chat). After each AI turn or timer tick, returns an array of directive
+ * strings to inject as [SYSTEM: ...] messages.
  *
  * ARCHITECTURE:
  * - Phase tracking: 1 (warm-up) → 2 (main) → 3 (closing)
@@ -12,15 +13,44 @@
  *   pool (current or review), inject a MUST directive
  * - Phase 3 entry: at 90% of max duration
  * - Topic classification: async LLM call (GPT-4o-mini) via /api/classify-topic
+ * - Vocabulary: out-of-vocabulary words found by VocabularyChecker are tallied;
+ *   repeated violations trigger a corrective directive (with a cooldown)
+ * - Grammar: forbidden constructions found by grammarAnalyzer trigger a
+ *   "simplify" directive the first time each tag shows up, then with a cooldown
+ * - Farewell: a student goodbye ends the session once the minimum time is
+ *   reached; before that the buddy declines and keeps going
+ * - Communicative goals: each student turn is classified against the unit's
+ *   communicative_functions.goals (async, /api/classify-goal); in Phase 2 the
+ *   buddy is asked to create an opportunity for a goal not yet demonstrated
+ *   every GOAL_INTERVAL AI turns, each goal at most GOAL_MAX_NUDGES times
+ * - Vocabulary recycling: earlier words the student is due to practise
+ *   (reviewWords, from the server's vocabulary schedule) are ticked off when
+ *   the student says them; in Phase 2 the buddy is steered toward the next
+ *   one every RECYCLE_INTERVAL AI turns, each word at most RECYCLE_MAX_NUDGES times
+ *   (never in the same turn as a goal directive)
  *
  * FILE: frontend/src/utils/conversationManager.js
  */
 
+import { tokenize, lemmaCandidates } from './germanText.js';
+
+const VOCAB_DIRECTIVE_COOLDOWN = 3;   // AI turns between vocabulary directives
+const GRAMMAR_DIRECTIVE_COOLDOWN = 2; // AI turns before the same grammar tag is corrected again
+const GOAL_INTERVAL = 3;              // AI turns between goal directives
+const GOAL_MAX_NUDGES = 2;            // directives per goal before moving on
+const RECYCLE_INTERVAL = 3;           // AI turns between vocabulary-recycling directives
+const RECYCLE_MAX_NUDGES = 2;         // directives per review word before moving on
+
+const ARTICLES = new Set(['der', 'die', 'das', 'sich']);
+
+export const FAREWELL_RE = /\b(tsch[uü]ss|auf wiedersehen|tschau|ciao|bye|goodbye|auf wiederschauen|macht's gut|bis dann|bis später)\b/i;
+
 export class ConversationManager {
-  constructor({ currentTopics = [], reviewTopics = [], minMs, maxMs, studentNameKnown = false }) {
+  constructor({ currentTopics = [], reviewTopics = [], goals = [], minMs, maxMs, studentNameKnown = false, returningStudent = false, reviewWords = [] }) {
     // Topic data from the unit
     this.currentTopics = currentTopics;        // string[] — current unit topics
     this.reviewTopics = reviewTopics;          // {chapter, topic}[] — from _cumulative
+    this.goals = goals;                        // string[] — current unit communicative_functions.goals
 
     // Duration thresholds
     this.minMs = minMs;
@@ -31,8 +61,9 @@ export class ConversationManager {
     this.startTime = null;
 
     // Warm-up starter tracking — detect via regex on AI transcripts
-    // Pre-mark name as done if the student already typed their name on the welcome screen
-    this.starters = { name: studentNameKnown, origin: false, howAreYou: false };
+    // Pre-mark name as done if the student already typed their name on the welcome screen,
+    // and name and origin if the buddy remembers the student from earlier sessions
+    this.starters = { name: studentNameKnown || returningStudent, origin: returningStudent, howAreYou: false };
 
     // Topic tracking — populated by async classification results
     this.coveredTopics = new Set();    // topic names confirmed covered
@@ -44,6 +75,24 @@ export class ConversationManager {
     this.maxReached = false;
     this.phase3Signaled = false;
     this.phase2Signaled = false;
+
+    // Vocabulary enforcement — out-of-vocabulary words per AI turn
+    this.oovCounts = new Map();        // lower-cased word → number of AI turns using it
+    this.oovTurns = [];                // per-AI-turn: number of OOV words
+    this.lastVocabDirectiveTurn = -Infinity;
+
+    // Grammar enforcement — forbidden tags seen in AI turns
+    this.grammarCounts = new Map();     // tag → number of AI turns using it
+    this.grammarDirectiveTurn = new Map(); // tag → aiTurnCount of the last directive about it
+
+    // Goal tracking — populated by async classification of student turns
+    this.demonstratedGoals = new Set();
+    this.goalNudges = new Map();       // goal → directives sent about it
+    this.lastGoalDirectiveTurn = -Infinity;
+
+    // Vocabulary recycling — { word, translation } from /token or /api/conversation/start
+    this.reviewWords = reviewWords.map(w => ({ ...w, lemmas: wordLemmas(w.word), nudges: 0, produced: false }));
+    this.lastRecycleTurn = -Infinity;
   }
 
   start() {
@@ -62,6 +111,24 @@ export class ConversationManager {
     return this.phase;
   }
 
+  // ─── Called with each student utterance — farewell handling (spec 2.7) ───
+  // Returns { directives, endAfterReply }: endAfterReply is true when the
+  // buddy's next turn is its closing line and the session should end after it.
+  processStudentTurn(studentText) {
+    this._recordReviewWords(studentText);
+    if (!FAREWELL_RE.test(studentText || '')) return { directives: [], endAfterReply: false };
+    if (this.isMinDurationReached()) {
+      return {
+        directives: ['[SYSTEM: The student said goodbye and the minimum conversation time has been reached. Say your natural closing farewell NOW in one sentence, then the session will end automatically.]'],
+        endAfterReply: true,
+      };
+    }
+    return {
+      directives: ['[SYSTEM: The student tried to say goodbye but the minimum conversation time has NOT been reached. You MUST respond with the early-goodbye response (e.g. "Schon? Wir können noch ein bisschen reden!") and then continue the conversation.]'],
+      endAfterReply: false,
+    };
+  }
+
   // ─── Called immediately after each AI turn ───────────────────────────────
   // Returns directive strings for phase transitions, timing, and starter nudges.
   // Topic balance enforcement happens separately in updateTopicClassification()
@@ -111,6 +178,12 @@ export class ConversationManager {
       );
     }
 
+    // ── Phase 2: steer toward a missing goal, or else recycle an earlier word ──
+    if (this.phase === 2) {
+      const steer = this._goalDirective() || this._recycleDirective();
+      if (steer) directives.push(steer);
+    }
+
     // ── Phase 3 at 90% of max ──
     if (!this.phase3Signaled && this.phase === 2 && elapsed >= this.maxMs * 0.90) {
       this.phase = 3;
@@ -171,6 +244,66 @@ export class ConversationManager {
     return directives;
   }
 
+  // ─── Called when async goal classification of a student turn returns ────
+  updateGoalClassification({ matchedGoals = [] }) {
+    for (const g of matchedGoals) {
+      if (this.goals.includes(g)) this.demonstratedGoals.add(g);
+    }
+  }
+
+  // ─── Called after each AI turn with the words VocabularyChecker flagged ──
+  // One stray word is tolerated. A directive is sent when a word comes back in
+  // a later turn, or when two of the last three turns went off-list — at most
+  // once every VOCAB_DIRECTIVE_COOLDOWN AI turns.
+  recordVocabularyViolations(words = []) {
+    this.oovTurns.push(words.length);
+    const repeated = [];
+    for (const w of words) {
+      const key = w.toLowerCase();
+      const count = (this.oovCounts.get(key) || 0) + 1;
+      this.oovCounts.set(key, count);
+      if (count >= 2) repeated.push(w);
+    }
+
+    const directives = [];
+    if (!words.length) return directives;
+    if (this.aiTurnCount - this.lastVocabDirectiveTurn < VOCAB_DIRECTIVE_COOLDOWN) return directives;
+
+    const offListTurns = this.oovTurns.slice(-3).filter(n => n > 0).length;
+    if (repeated.length === 0 && offListTurns < 2) return directives;
+
+    this.lastVocabDirectiveTurn = this.aiTurnCount;
+    const list = (repeated.length ? repeated : words).slice(0, 5).map(w => `"${w}"`).join(', ');
+    directives.push(
+      `[SYSTEM: VOCABULARY — You used words the student has not learned yet: ${list}. ` +
+      'Do NOT use them again. Rephrase with words from the ACTIVE and PASSIVE VOCABULARY lists ' +
+      'and the fillers, and keep your sentences short and simple.]'
+    );
+    return directives;
+  }
+
+  // ─── Called after each AI turn with grammarAnalyzer findings ─────────────
+  // findings: [{ tag, match }] — already filtered to the unit's forbidden tags.
+  // Unlike vocabulary, one slip is enough: the student can't parse a tense
+  // they haven't learned, so the buddy is told to simplify straight away.
+  recordGrammarViolations(findings = []) {
+    const due = [];
+    for (const f of findings) {
+      this.grammarCounts.set(f.tag, (this.grammarCounts.get(f.tag) || 0) + 1);
+      const lastTurn = this.grammarDirectiveTurn.get(f.tag) ?? -Infinity;
+      if (this.aiTurnCount - lastTurn >= GRAMMAR_DIRECTIVE_COOLDOWN) due.push(f);
+    }
+    if (!due.length) return [];
+
+    for (const f of due) this.grammarDirectiveTurn.set(f.tag, this.aiTurnCount);
+    const list = due.map(f => `${describeGrammarTag(f.tag)} ("${f.match}")`).join('; ');
+    return [
+      `[SYSTEM: GRAMMAR — Your last turn used grammar the student has not learned yet: ${list}. ` +
+      'This is on the FORBIDDEN list in SECTION 3. Do NOT use it again. Keep to the allowed tenses, cases, ' +
+      'and sentence types — short, simple sentences. If the student looks confused, say it again more simply.]',
+    ];
+  }
+
   // ─── Called periodically by the timer (every 10s) ───────────────────────
   // Handles timing-based events that should fire even when nobody is speaking.
   checkTiming() {
@@ -205,6 +338,15 @@ export class ConversationManager {
     };
   }
 
+  // ─── Goals for the /api/classify-goal call, and what's been shown so far ──
+  getGoalsForClassification() {
+    return this.goals;
+  }
+
+  getDemonstratedGoals() {
+    return this.goals.filter(g => this.demonstratedGoals.has(g));
+  }
+
   // ─── Topics not yet covered (for optional nudging) ──────────────────────
   getRemainingTopics() {
     const all = [
@@ -225,6 +367,52 @@ export class ConversationManager {
     this.maxReached = false;
     this.phase3Signaled = false;
     this.phase2Signaled = false;
+    this.oovCounts = new Map();
+    this.oovTurns = [];
+    this.lastVocabDirectiveTurn = -Infinity;
+    this.grammarCounts = new Map();
+    this.grammarDirectiveTurn = new Map();
+    this.demonstratedGoals = new Set();
+    this.goalNudges = new Map();
+    this.lastGoalDirectiveTurn = -Infinity;
+    this.reviewWords = [];
+    this.lastRecycleTurn = -Infinity;
+  }
+
+  // ─── Internal: Phase 2 steering directives ──────────────────────────────
+  // The least-nudged goal the student hasn't demonstrated yet
+  _goalDirective() {
+    if (this.aiTurnCount - this.lastGoalDirectiveTurn < GOAL_INTERVAL) return null;
+    const candidates = this.goals
+      .filter(g => !this.demonstratedGoals.has(g) && (this.goalNudges.get(g) || 0) < GOAL_MAX_NUDGES)
+      .sort((a, b) => (this.goalNudges.get(a) || 0) - (this.goalNudges.get(b) || 0));
+    const goal = candidates[0];
+    if (!goal) return null;
+    this.goalNudges.set(goal, (this.goalNudges.get(goal) || 0) + 1);
+    this.lastGoalDirectiveTurn = this.aiTurnCount;
+    return `[SYSTEM: COMMUNICATIVE GOAL — The student has not yet practised "${goal}" (Section 10). ` +
+      'In your next turn, create a natural opportunity for them to do it — usually a question that can only be answered that way, ' +
+      'or by doing it yourself first and inviting them to do the same. Do not name the goal or turn it into an exercise.]';
+  }
+
+  _recycleDirective() {
+    if (this.aiTurnCount - this.lastRecycleTurn < RECYCLE_INTERVAL) return null;
+    const next = this.reviewWords.find(w => !w.produced && w.nudges < RECYCLE_MAX_NUDGES);
+    if (!next) return null;
+    next.nudges++;
+    this.lastRecycleTurn = this.aiTurnCount;
+    return `[SYSTEM: VOCABULARY REVIEW — In your next turn, ask a question the student can naturally answer with ` +
+      `"${next.word}"${next.translation ? ` (${next.translation})` : ''}, a word from an earlier unit they have not used lately. ` +
+      'Fit it to the current topic if you can. Do not say the word yourself, quiz them, or ask for a translation.]';
+  }
+
+  // ─── Internal: tick off review words the student said ───────────────────
+  _recordReviewWords(text) {
+    if (!this.reviewWords.length) return;
+    const said = new Set(tokenize(text).flatMap(lemmaCandidates));
+    for (const w of this.reviewWords) {
+      if (!w.produced && w.lemmas.length && w.lemmas.every(alternatives => alternatives.some(c => said.has(c)))) w.produced = true;
+    }
   }
 
   // ─── Internal: detect warm-up starters in AI transcript ─────────────────
@@ -256,3 +444,20 @@ export class ConversationManager {
     return m;
   }
 }
+
+// "der Regen" → [lemmaCandidates("regen")]: one candidate list per content word
+function wordLemmas(word) {
+  return tokenize(String(word || '').split(',')[0].split('/')[0])
+    .filter(t => !ARTICLES.has(t.toLowerCase()))
+    .map(lemmaCandidates);
+}
+
+// "tense:Perfekt" → "the Perfekt tense", "sentence_type:subordinate_weil" → "a subordinate weil sentence"
+function describeGrammarTag(tag) {
+  const [family, value = ''] = tag.split(':');
+  const name = value.replace(/_/g, ' ');
+  if (family === 'tense') return `the ${name} tense`;
+  if (family === 'case') return `the ${name} case`;
+  if (family === 'sentence_type') return `a ${name} sentence`;
+  return tag;
+}
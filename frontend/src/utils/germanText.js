@@ -0,0 +1,75 @@
+/**
+ * germanText — lightweight German tokenizer and lemmatizer.
+ *
+ * Rule-based, no dictionary: lemmaCandidates() strips the common
+ * inflectional endings, undoes plural umlauts, and maps ge-…-t / ge-…-en
+ * participles and case-inflected articles/pronouns back to a base form.
+ * It over-generates on purpose — a candidate only counts if it matches a
+ * known word, so extra candidates cost nothing but missing ones cause
+ * false alarms.
+ *
+ * FILE: frontend/src/utils/germanText.js
+ */
+
+const WORD_RE = /[A-Za-zÄÖÜäöüß]+(?:-[A-Za-zÄÖÜäöüß]+)*/g;
+
+// Inflected function words → the form that appears in the vocabulary lists
+const IRREGULAR_LEMMAS = {
+  den: 'der', dem: 'der', des: 'der',
+  mich: 'ich', mir: 'ich', dich: 'du', dir: 'du',
+  ihn: 'er', ihm: 'er', uns: 'wir', euch: 'ihr', ihnen: 'sie',
+  bin: 'sein', bist: 'sein', ist: 'sein', sind: 'sein', seid: 'sein',
+  war: 'sein', warst: 'sein', waren: 'sein', wart: 'sein', gewesen: 'sein',
+  hast: 'haben', hat: 'haben', habt: 'haben', hatte: 'haben', gehabt: 'haben',
+  wird: 'werden', wirst: 'werden', wurde: 'werden', geworden: 'werden',
+  im: 'in', ins: 'in', am: 'an', ans: 'an', zum: 'zu', zur: 'zu', vom: 'von', beim: 'bei',
+};
+
+// Longest first so "-est" is tried before "-st" and "-t"
+const SUFFIXES = ['ern', 'est', 'et', 'st', 'en', 'em', 'er', 'es', 'ns', 'e', 'n', 's', 't'];
+const MIN_STEM = 3;
+
+/** Split text into word tokens (keeps hyphenated compounds together). */
+export function tokenize(text) {
+  return String(text || '').match(WORD_RE) || [];
+}
+
+export function normalizeWord(word) {
+  return String(word || '').toLowerCase();
+}
+
+/** ä, ö, ü → a, o, u */
+export function removeUmlauts(w) {
+  return w.replace(/ä/g, 'a').replace(/ö/g, 'o').replace(/ü/g, 'u');
+}
+
+/**
+ * Possible base forms of a single (lower-cased) word, including the word
+ * itself. Order is not significant.
+ */
+export function lemmaCandidates(word) {
+  const w = normalizeWord(word);
+  const out = new Set([w]);
+  if (IRREGULAR_LEMMAS[w]) out.add(IRREGULAR_LEMMAS[w]);
+
+  // Participles: gemacht → mach(en), gelesen → les(en); also separable auf-ge-schrieben
+  const part = w.match(/^(.*?)ge([a-zäöüß]{2,}?)(?:et|t|en)$/);
+  if (part) {
+    out.add(`${part[1]}${part[2]}en`);
+    out.add(`${part[1]}${part[2]}n`);
+  }
+
+  for (const base of [...out]) {
+    for (const suffix of SUFFIXES) {
+      if (base.endsWith(suffix) && base.length - suffix.length >= MIN_STEM) {
+        out.add(base.slice(0, -suffix.length));
+      }
+    }
+  }
+
+  for (const c of [...out]) {
+    const plain = removeUmlauts(c);
+    if (plain !== c) out.add(plain);
+  }
+  return [...out];
+}
@@ -0,0 +1,203 @@
+/**
+ * grammarAnalyzer — rule-based detection of grammar the student hasn't learned.
+ *
+ * analyzeGrammar() scans German text for constructions that map onto the
+ * `grammar_constraints.forbidden` tag vocabulary (tense:*, case:*,
+ * sentence_type:*). findGrammarViolations() keeps only the tags the current
+ * unit forbids.
+ *
+ * The rules work on sentences split at . ! ? and clauses split at commas, and
+ * only look at surface forms — auxiliary + participle, würde/hätte/wäre,
+ * subordinating conjunctions, case-marked articles after prepositions. They
+ * will miss things (weak/strong Präteritum of arbitrary verbs isn't detected)
+ * and occasionally misfire, so findings are hints for the buddy, not grades.
+ *
+ * FILE: frontend/src/utils/grammarAnalyzer.js
+ */
+import { tokenize } from './germanText.js';
+
+const HABEN_SEIN = /^(habe|hast|hat|haben|habt|bin|bist|ist|sind|seid)$/i;
+const WAR_HATTE = /^(war|warst|waren|wart|hatte|hattest|hatten|hattet)$/i;
+const WERDEN = /^(werde|wirst|wird|werden|werdet)$/i;
+const WURDE = /^(wurde|wurdest|wurden|wurdet)$/i;
+// sollte is left out: it is mostly the advice form ("Du solltest …"), not past tense
+const MODAL_PRAET = /^(konnte|musste|wollte|durfte|mochte)(st|n|t)?$/i;
+const KONJ_II = /^(würde|hätte|wäre|könnte|müsste|dürfte)(st|n|t)?$/i;
+const KONJ_II_AUX = /^(hätte|wäre)(st|n|t)?$/i;
+
+// Lower-case ge-…-t / ge-…-en (incl. separable auf-ge-…) and -iert participles
+const PARTICIPLE = /^([a-zäöü]*?ge[a-zäöüß]{2,}(t|en)|[a-zäöüß]{3,}iert)$/;
+const NOT_PARTICIPLES = new Set(['gegen', 'gehen', 'geben', 'genug', 'gestern', 'gerne', 'gern', 'geht', 'gibt', 'morgen', 'liegen', 'fliegen', 'steigen', 'zeigen', 'regnet', 'eigentlich']);
+
+const DATIVE_PREPS = /^(mit|nach|bei|seit|von|zu|aus|gegenüber)$/i;
+const DATIVE_FORMS = /^(dem|einem|keinem|meinem|deinem|seinem|ihrem|unserem|eurem|Ihrem|ihm|ihnen|Ihnen|mir|dir)$/;
+const DATIVE_CONTRACTIONS = /^(zum|zur|vom|beim)$/i;
+// After a dative preposition: feminine singular or plural article
+const DATIVE_AFTER_PREP = /^(der|den|einer|keiner|meiner|deiner|seiner|ihrer|unserer|eurer)$/i;
+const ACCUSATIVE_FORMS = /^(den|einen|keinen|meinen|deinen|seinen|unseren|euren|mich|dich|ihn)$/;
+const GENITIVE_FORMS = /^(des|eines|keines|meines|deines|seines|ihres|unseres|eures)$/i;
+
+// Set phrases taught in Chapter 1 that happen to contain case forms
+const SET_PHRASES = [
+  /\bgeht(?:'s| es) (?:dir|ihnen|mir|euch)\b/i,
+  /\b(?:mir|dir|ihnen) geht(?:'s| es)?\b/i,
+  /\b(?:und|auch) (?:dir|ihnen)\b/i,
+  /\b(?:aus|in) (?:der|den) (?:Schweiz|USA|Türkei|Niederlanden|Ukraine|Slowakei)\b/i,
+  /\bhätte(?:n|st)? (?:ich |sie |du |wir )?gerne?\b/i,
+  /\bfreut mich\b/i,
+  /\bwie hei(?:ß|ss)t (?:das|man|\w+) auf\b/i,
+];
+
+const SUBORDINATORS = {
+  weil: 'sentence_type:subordinate_weil',
+  wenn: 'sentence_type:subordinate_wenn',
+  dass: 'sentence_type:subordinate_dass',
+  bevor: 'sentence_type:subordinate_bevor',
+  während: 'sentence_type:subordinate_während',
+  nachdem: 'sentence_type:subordinate_nachdem',
+  obwohl: 'sentence_type:subordinate_obwohl',
+};
+
+const PRONOUNS = /^(ich|du|er|sie|es|wir|ihr|Sie|man)$/;
+const W_WORDS = /^(wer|wen|wem|wessen|was|wo|woher|wohin|wann|warum|wie|welche[rsmn]?|wieso|weshalb)$/i;
+const COMMON_FINITE = /^(ist|sind|war|hat|habe|klingt|macht|gibt|heißt|kommt|geht)$/i;
+
+function splitSentences(text) {
+  return String(text || '').match(/[^.!?]+[.!?]*/g)?.map(s => s.trim()).filter(Boolean) || [];
+}
+
+function splitClauses(sentence) {
+  return sentence.split(/[,;:–—]/).map(c => c.trim()).filter(Boolean);
+}
+
+// Which tense an auxiliary + participle pair forms, keyed by the auxiliary
+const AUX_KINDS = [
+  [WURDE, 'tense:Passiv_Präteritum'],
+  [WERDEN, 'tense:Passiv_Präsens'],
+  [KONJ_II_AUX, 'tense:Konjunktiv_II_past'],
+  [WAR_HATTE, 'tense:Plusquamperfekt'],
+  [HABEN_SEIN, 'tense:Perfekt'],
+];
+
+function auxKind(token) {
+  return AUX_KINDS.find(([re]) => re.test(token))?.[1] || null;
+}
+
+function isParticiple(token) {
+  return PARTICIPLE.test(token) && !NOT_PARTICIPLES.has(token);
+}
+
+/**
+ * Every construction found in `text`, as [{ tag, match }]. A tag appears at
+ * most once per text (first match wins).
+ */
+export function analyzeGrammar(text) {
+  const findings = new Map();
+  const add = (tag, match) => { if (!findings.has(tag)) findings.set(tag, { tag, match }); };
+
+  for (const sentence of splitSentences(text)) {
+    const masked = SET_PHRASES.reduce((s, re) => s.replace(re, ' '), sentence);
+    const sentenceTokens = tokenize(masked);
+    const isQuestion = sentence.endsWith('?');
+
+    // ── Sentence-level patterns ──
+    if (isQuestion && sentenceTokens.length >= 2 && !W_WORDS.test(sentenceTokens[0]) && !/^(und|aber|oder)$/i.test(sentenceTokens[0])
+        && PRONOUNS.test(sentenceTokens[1]) && /^[A-ZÄÖÜ]/.test(sentenceTokens[0])) {
+      add('sentence_type:yes_no_question', `${sentenceTokens[0]} ${sentenceTokens[1]} …?`);
+    }
+    if (sentence.endsWith('!') && sentenceTokens.length >= 2
+        && ((sentenceTokens[1] === 'Sie' && /en$/.test(sentenceTokens[0])) || /^mal$/i.test(sentenceTokens[1]))
+        && !W_WORDS.test(sentenceTokens[0])) {
+      add('sentence_type:imperative', `${sentenceTokens[0]} ${sentenceTokens[1]}`);
+    }
+    const um = sentenceTokens.findIndex(t => /^um$/i.test(t));
+    if (um !== -1 && sentenceTokens.slice(um + 2).some((t, i, rest) => /^zu$/i.test(t) && rest[i + 1])) {
+      add('sentence_type:infinitive_um_zu', 'um … zu');
+    }
+
+    const clauses = splitClauses(masked);
+    clauses.forEach((clause, ci) => {
+      const tokens = tokenize(clause);
+      const lower = tokens.map(t => t.toLowerCase());
+      const first = lower[0];
+
+      // ── Tenses: participle + the nearest auxiliary before it (or after it, verb-final) ──
+      const p = tokens.findIndex(isParticiple);
+      let auxAt = -1;
+      if (p !== -1) {
+        for (let i = p - 1; i >= 0 && auxAt === -1; i--) if (auxKind(tokens[i])) auxAt = i;
+        if (auxAt === -1) auxAt = tokens.findIndex((t, i) => i > p && auxKind(t));
+      }
+      if (auxAt !== -1) {
+        const tag = auxKind(tokens[auxAt]);
+        add(tag, `${tokens[auxAt]} … ${tokens[p]}`);
+        if (tag === 'tense:Passiv_Präsens' && lower[0] === 'es' && lower[1] === 'wird') {
+          add('sentence_type:impersonal_passive', `es wird … ${tokens[p]}`);
+        }
+      }
+      // Auxiliaries not used above are finite verbs in their own right
+      const freeAux = (re) => tokens.find((t, i) => i !== auxAt && re.test(t)) || null;
+      if (freeAux(WAR_HATTE)) add('tense:Präteritum_haben_sein', freeAux(WAR_HATTE));
+      const last = tokens[tokens.length - 1] || '';
+      if (freeAux(WERDEN) && tokens.length > 2 && /^[a-zäöü]+en$/.test(last) && !WERDEN.test(last)) {
+        add('tense:Futur_I', `${freeAux(WERDEN)} … ${last}`);
+      }
+      if (freeAux(MODAL_PRAET)) add('tense:Präteritum_modal', freeAux(MODAL_PRAET));
+      if (freeAux(KONJ_II)) add('tense:Konjunktiv_II_present', freeAux(KONJ_II));
+      const aux = (re) => tokens.find(t => re.test(t)) || null;
+
+      // ── Subordinate and coordinate clauses ──
+      if (SUBORDINATORS[first]) add(SUBORDINATORS[first], tokens[0]);
+      for (let i = 1; i < lower.length; i++) {
+        if (SUBORDINATORS[lower[i]] && /^(und|aber|oder)$/.test(lower[i - 1])) add(SUBORDINATORS[lower[i]], tokens[i]);
+      }
+      if (first === 'damit' && ci > 0 && tokens.length > 2) add('sentence_type:subordinate_damit', tokens[0]);
+      if (first === 'da' && ci > 0 && tokens.length > 2 && PRONOUNS.test(tokens[1])) add('sentence_type:subordinate_da', `${tokens[0]} ${tokens[1]}`);
+      if (first === 'denn' && ci > 0 && !isQuestion) add('sentence_type:coordinating_denn', tokens[0]);
+      if (first === 'wenn' && aux(KONJ_II)) add('sentence_type:conditional_irreal', `wenn … ${aux(KONJ_II)}`);
+      if (/\bwünschte\b/i.test(clause) || (first === 'wenn' && aux(KONJ_II) && lower.some(t => t === 'nur' || t === 'doch'))) {
+        add('sentence_type:irreal_wish', clause);
+      }
+
+      // ── Relative clauses: ", der/die/das/den/dem/dessen … finite verb" ──
+      // (a finite verb right after the pronoun means a main clause: ", das ist …")
+      if (ci > 0 && tokens.length >= 3 && !COMMON_FINITE.test(tokens[1]) && !/^[a-zäöü]+s?t$/.test(tokens[1])
+          && /^[a-zäöü]+(t|en|e)$/.test(last)) {
+        const relTags = {
+          der: 'sentence_type:relative_clause_nominative',
+          die: 'sentence_type:relative_clause_nominative',
+          das: 'sentence_type:relative_clause_nominative',
+          den: 'sentence_type:relative_clause_accusative',
+          dem: 'sentence_type:relative_clause_dative',
+          denen: 'sentence_type:relative_clause_dative',
+          dessen: 'sentence_type:relative_clause_genitive',
+          deren: 'sentence_type:relative_clause_genitive',
+        };
+        if (relTags[first]) add(relTags[first], `, ${tokens[0]} … ${last}`);
+      }
+
+      // ── Cases: case-marked articles / pronouns ──
+      for (let i = 0; i < tokens.length; i++) {
+        const t = tokens[i];
+        const next = tokens[i + 1] || '';
+        if (DATIVE_CONTRACTIONS.test(t)) add('case:dative', t);
+        else if (DATIVE_FORMS.test(t)) add('case:dative', t);
+        else if (DATIVE_PREPS.test(t) && DATIVE_AFTER_PREP.test(next)) add('case:dative', `${t} ${next}`);
+        else if (ACCUSATIVE_FORMS.test(t) && !(t === 'den' && DATIVE_PREPS.test(tokens[i - 1] || ''))) add('case:accusative', t);
+        else if (GENITIVE_FORMS.test(t)) add('case:genitive', t);
+      }
+    });
+  }
+
+  return [...findings.values()];
+}
+
+/**
+ * Constructions in `text` that the unit's grammar_constraints forbid.
+ * Returns [{ tag, match }].
+ */
+export function findGrammarViolations(text, grammarConstraints) {
+  const forbidden = new Set(grammarConstraints?.forbidden || []);
+  if (!forbidden.size) return [];
+  return analyzeGrammar(text).filter(f => forbidden.has(f.tag));
+}
@@ -0,0 +1,242 @@
+/**
+ * realtimeTransport — opens the event channel to a Realtime voice session.
+ *
+ * connectRealtime picks the transport for a /token response:
+ *   relay      — the session relayed through our server
+ *                (server/realtimeRelay.js) over a WebSocket; the default, and
+ *                the only one that keeps the buddy prompt out of the browser
+ *   webrtc     — OpenAI over WebRTC, when the server runs with
+ *                REALTIME_TRANSPORT=webrtc: the mic is an audio track, the AI
+ *                voice a remote track, events go over the "oai-events" data
+ *                channel; falls back to the relay when it can't connect
+ *   simulator  — the local Realtime simulator (server/realtimeSimulator.js)
+ *                over a WebSocket
+ * Over a WebSocket the mic is streamed as input_audio_buffer.append and the
+ * AI voice arrives as response.audio.delta chunks.
+ *
+ * All return { kind, channel, close, simulated }. `channel` behaves like an
+ * RTCDataChannel (readyState, send, addEventListener('open' | 'message' | 'close'))
+ * and onTrack receives the AI voice as a MediaStream, so
+ * useVoiceConnection handles them all the same way. ?transport=relay on the
+ * page forces the relay; ?transport=webrtc turns off the fallback.
+ *
+ * FILE: frontend/src/utils/realtimeTransport.js
+ */
+
+const REALTIME_URL = "https://api.openai.com/v1/realtime";
+const SIM_SAMPLE_RATE = 24000; // pcm16 mono in both directions, as the Realtime API uses
+const READY_STATES = ["connecting", "open", "closing", "closed"];
+const WEBRTC_OPEN_TIMEOUT_MS = 10000; // blocked networks usually hang in ICE rather than fail fast
+const RELAY_PREFERRED_KEY = "realtimeRelayPreferred"; // sessionStorage: WebRTC already failed in this tab
+
+// Resolves when the data channel opens; rejects if the connection fails or times out
+function waitForChannel(pc, channel) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("WebRTC connection timed out")), WEBRTC_OPEN_TIMEOUT_MS);
+    channel.addEventListener("open", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+    pc.addEventListener("connectionstatechange", () => {
+      if (pc.connectionState === "failed") {
+        clearTimeout(timer);
+        reject(new Error("WebRTC connection failed"));
+      }
+    });
+  });
+}
+
+export async function connectWebRTC({ ephemeralKey, model, micTrack, onTrack }) {
+  const pc = new RTCPeerConnection();
+  pc.ontrack = (e) => onTrack(e.streams[0]);
+  pc.addTrack(micTrack);
+
+  // Log ICE / connection state changes to help debug audio path issues
+  pc.oniceconnectionstatechange = () => {
+    console.log('[WebRTC] ICE connection state:', pc.iceConnectionState);
+  };
+  pc.onconnectionstatechange = () => {
+    console.log('[WebRTC] Connection state:', pc.connectionState);
+    if (pc.connectionState === 'failed' || pc.connectionState === 'disconnected') {
+      console.warn('[WebRTC] Connection lost — mic audio may not reach OpenAI');
+    }
+  };
+
+  const channel = pc.createDataChannel("oai-events");
+  const close = () => {
+    channel.close();
+    pc.close();
+  };
+
+  try {
+    // SDP exchange
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+
+    const sdpResponse = await fetch(`${REALTIME_URL}?model=${model}`, {
+      method: "POST",
+      body: offer.sdp,
+      headers: {
+        Authorization: `Bearer ${ephemeralKey}`,
+        "Content-Type": "application/sdp",
+      },
+    });
+
+    if (!sdpResponse.ok)
+      throw new Error(`SDP failed: ${sdpResponse.status}`);
+
+    await pc.setRemoteDescription({
+      type: "answer",
+      sdp: await sdpResponse.text(),
+    });
+    await waitForChannel(pc, channel);
+  } catch (err) {
+    close();
+    throw err;
+  }
+
+  return { kind: "webrtc", channel, close, simulated: false };
+}
+
+function floatToPcm16Base64(samples) {
+  const bytes = new Uint8Array(samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+function pcm16Base64ToFloat(base64) {
+  const binary = atob(base64);
+  const view = new DataView(new ArrayBuffer(binary.length));
+  for (let i = 0; i < binary.length; i++) view.setUint8(i, binary.charCodeAt(i));
+  const out = new Float32Array(binary.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = view.getInt16(i * 2, true) / 0x8000;
+  return out;
+}
+
+function socketUrl(url, params) {
+  const wsUrl = new URL(url, window.location.href);
+  wsUrl.protocol = wsUrl.protocol === "https:" ? "wss:" : "ws:";
+  for (const [key, value] of Object.entries(params)) {
+    if (value) wsUrl.searchParams.set(key, value);
+  }
+  return wsUrl;
+}
+
+// Realtime events over a WebSocket, with the mic and AI voice as pcm16 chunks
+function connectSocket(wsUrl, { micStream, onTrack }) {
+  const ws = new WebSocket(wsUrl);
+
+  const audioCtx = new AudioContext({ sampleRate: SIM_SAMPLE_RATE });
+  audioCtx.resume().catch(() => {});
+
+  // AI voice: schedule each chunk right after the previous one on a stream
+  const output = audioCtx.createMediaStreamDestination();
+  let playhead = 0;
+  const play = (base64) => {
+    const samples = pcm16Base64ToFloat(base64);
+    if (!samples.length) return;
+    const buffer = audioCtx.createBuffer(1, samples.length, SIM_SAMPLE_RATE);
+    buffer.copyToChannel(samples, 0);
+    const source = audioCtx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(output);
+    playhead = Math.max(playhead, audioCtx.currentTime);
+    source.start(playhead);
+    playhead += buffer.duration;
+  };
+  onTrack(output.stream);
+
+  // Mic: stream continuously, like the WebRTC track — the hook gates turns
+  // with input_audio_buffer.clear / commit. ScriptProcessor only runs while
+  // connected to the destination; its output buffer stays silent.
+  const micSource = audioCtx.createMediaStreamSource(micStream);
+  const processor = audioCtx.createScriptProcessor(4096, 1, 1);
+  processor.onaudioprocess = (e) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ type: "input_audio_buffer.append", audio: floatToPcm16Base64(e.inputBuffer.getChannelData(0)) }));
+  };
+  micSource.connect(processor);
+  processor.connect(audioCtx.destination);
+
+  const channel = new EventTarget();
+  Object.defineProperty(channel, "readyState", { get: () => READY_STATES[ws.readyState] });
+  channel.send = (data) => ws.send(data);
+  channel.close = () => ws.close();
+
+  ws.addEventListener("open", () => channel.dispatchEvent(new Event("open")));
+  ws.addEventListener("close", (e) => channel.dispatchEvent(new CloseEvent("close", { code: e.code, reason: e.reason })));
+  ws.addEventListener("message", (e) => {
+    // Audio is played here; the hook only sees the events a data channel would carry
+    if (e.data.includes('"response.audio.delta"')) {
+      const event = JSON.parse(e.data);
+      if (event.type === "response.audio.delta") {
+        play(event.delta);
+        return;
+      }
+    }
+    channel.dispatchEvent(new MessageEvent("message", { data: e.data }));
+  });
+
+  const close = () => {
+    processor.onaudioprocess = null;
+    micSource.disconnect();
+    processor.disconnect();
+    ws.close();
+    audioCtx.close().catch(() => {});
+  };
+
+  return { channel, close };
+}
+
+export function connectSimulator({ url, micStream, onTrack }) {
+  // ?scenario=name-mismatch on the page picks the simulator's script
+  const scenario = new URLSearchParams(window.location.search).get("scenario");
+  const socket = connectSocket(socketUrl(url, { scenario }), { micStream, onTrack });
+  return { kind: "simulator", ...socket, simulated: true };
+}
+
+export function connectRelay({ url, sessionId, micStream, onTrack, simulated = false }) {
+  const socket = connectSocket(socketUrl(url, { session: sessionId }), { micStream, onTrack });
+  return { kind: "relay", ...socket, simulated };
+}
+
+/**
+ * Connects to the voice session described by a /token response. A WebRTC
+ * session (the server handed out a key) is tried first; if it can't connect,
+ * the server relay takes over and stays preferred for the rest of the tab's
+ * life so later sessions don't wait for WebRTC to time out again.
+ */
+export async function connectRealtime({ token, micStream, onTrack }) {
+  const forced = new URLSearchParams(window.location.search).get("transport");
+  const relay = () => connectRelay({
+    url: token.relayUrl,
+    sessionId: token.sessionId,
+    micStream,
+    onTrack,
+    simulated: token.transport === "simulator",
+  });
+
+  if (forced === "relay" || token.transport === "relay") return relay();
+  if (token.transport === "simulator") return connectSimulator({ url: token.url, micStream, onTrack });
+  if (forced !== "webrtc" && sessionStorage.getItem(RELAY_PREFERRED_KEY)) return relay();
+
+  try {
+    return await connectWebRTC({
+      ephemeralKey: token.value,
+      model: token.model,
+      micTrack: micStream.getAudioTracks()[0],
+      onTrack,
+    });
+  } catch (err) {
+    if (forced === "webrtc") throw err;
+    console.warn("[Transport] WebRTC unavailable, using the server relay:", err.message);
+    sessionStorage.setItem(RELAY_PREFERRED_KEY, "1");
+    return relay();
+  }
+}
@@ -20,6 +20,21 @@ export function getDurations(book, chapter) {
   return { minMs: mn*60*1000, maxMs: mx*60*1000, minLabel: `${mn} minutes`, maxLabel: `${mx} minutes` };
 }
 
+/**
+ * The seed message that opens every session with the Phase 1 greeting.
+ * Shared by voice (conversation.item.create) and text chat (first user message).
+ * studentMemory: what the buddy remembers from earlier sessions (server/studentMemory.js)
+ */
+export function buildOpeningMessage(buddyName, studentName = '', studentMemory = null) {
+  if (studentMemory) {
+    const greeting = studentName ? `Hallo, ${studentName}!` : 'Hallo!';
+    return `[Session started. This is Phase 1 (warm-up). Your name is ${buddyName}. You have talked with this student before — greet them as a friend you are happy to see again. Do NOT introduce yourself and do NOT ask "Wie heißt du?" or "Woher kommst du?". Say: "${greeting} Wie geht's?" Do NOT ask about the unit topic yet. Speak only in German.]`;
+  }
+  return studentName
+    ? `[Session started. This is Phase 1 (warm-up). Your name is ${buddyName}. The student's name is "${studentName}". Do NOT ask "Wie heißt du?". Say: "Hallo, ${studentName}! Ich bin ${buddyName}." then ask: "Woher kommst du?" Do NOT ask about the unit topic yet. Speak only in German.]`
+    : `[Session started. This is Phase 1 (warm-up). Your name is ${buddyName}. Say: "Hallo! Ich bin ${buddyName}." then ask the student: "Wie heißt du?" Do NOT ask about the unit topic yet. Speak only in German.]`;
+}
+
 /**
  * Generates the system instructions for the AI conversation buddy.
  * Implements the v2 behavioral prompt as specified in
@@ -65,6 +80,16 @@ export function generateUnitInstructions(unitData, persona = null, studentName =
     .filter(Boolean)
     .join(', ');
 
+  // Earlier words this student is due to recycle (server/vocabularyMemory.js)
+  const recycleWords = (unitData._reviewVocabulary || [])
+    .map((w) => `  - ${w.word}${w.translation ? ` (${w.translation})` : ''}`)
+    .join('\n');
+  const recycleBlock = recycleWords
+    ? `\n\nWORDS TO RECYCLE — learned in earlier units, and this student has not used them lately (or ever):\n${recycleWords}\n` +
+      'During Phase 2, ask questions the student can answer with these words, one at a time (e.g. ask about the weather to draw out "Regen"). ' +
+      'Let the student say the word; do not quiz them or ask for translations.'
+    : '';
+
   // Note vocab breadth for the AI
   const vocabStats = cumulative?.stats
     ? `(${cumulative.stats.totalActiveWords} words from units 1\u2013${n}, ${cumulative.stats.totalVerbs} verbs)`
@@ -110,7 +135,8 @@ export function generateUnitInstructions(unitData, persona = null, studentName =
     .map((g, i) => `  ${i + 1}. ${g}`).join('\n');
 
   // ── Fillers ───────────────────────────────────────────────────────────────
-  const uf = unitData.universal_fillers || {};
+  // Only unit 1 defines them; later units get them through _cumulative.
+  const uf = unitData.universal_fillers || unitData._cumulative?.universalFillers || {};
   const fillerLines = [
     uf.affirmation_negation?.length ? `Affirmation/Negation: ${uf.affirmation_negation.join(', ')}` : '',
     uf.reactions?.length            ? `Reactions: ${uf.reactions.join(', ')}`                       : '',
@@ -199,7 +225,23 @@ Only reveal details when they come up naturally in conversation. If asked about
 
   // ── Student name (typed on welcome screen) ───────────────────────────────
   const studentNameBlock = studentName
-    ? `\nSTUDENT NAME \u2014 CORRECT SPELLING\nThe student typed their name as "${studentName}" before the session started.\nWhen you use the student's name in conversation, you MUST spell it exactly as "${studentName}".\nYou will still ask "Wie hei\u00dft du?" as part of the warm-up \u2014 this is normal.\nWhen the student says their name, use the spelling "${studentName}" in your response.\n`
+    ? `\nSTUDENT NAME \u2014 CORRECT SPELLING\nThe student typed their name as "${studentName}" before the session started.\nWhen you use the student's name in conversation, you MUST spell it exactly as "${studentName}".\n` +
+      (unitData._studentMemory ? '' : 'You will still ask "Wie hei\u00dft du?" as part of the warm-up \u2014 this is normal.\n') +
+      `When the student says their name, use the spelling "${studentName}" in your response.\n`
+    : '';
+
+  // ── Returning student (server/studentMemory.js) ──────────────────────────
+  const memory = unitData._studentMemory || null;
+  const memoryFacts = (memory?.facts || []).map((f) => `  - ${f.topic}: ${f.text}`).join('\n');
+  const memoryBlock = memory
+    ? `\nWHAT YOU ALREADY KNOW ABOUT THIS STUDENT\nYou have talked with this student ${memory.sessionCount === 1 ? 'once' : `${memory.sessionCount} times`} before. They told you:\n` +
+      `${memoryFacts || '  (nothing about themselves yet)'}\n` +
+      'Greet them as a returning friend. Do not ask for things you already know; instead, come back to one of them during the warm-up ' +
+      '(e.g. "Wie geht\'s deiner Schwester?" or "Spielst du noch Fu\u00dfball?") and ask what is new. ' +
+      'If they say something has changed, react with interest. Only use words from the vocabulary in this prompt.\n'
+    : '';
+  const returningWarmup = memory
+    ? '\n- EXCEPTION: this student is a returning friend (see WHAT YOU ALREADY KNOW ABOUT THIS STUDENT). Skip "Wie hei\u00dft du?" and "Woher kommst du?": greet them, ask "Wie geht\'s?", and follow up on something you remember instead.'
     : '';
 
   // ── Estimated conversation duration (spec table 7.1) ─────────────────────
@@ -228,7 +270,7 @@ PHASE 1 — WARM-UP (first ~20% of conversation time)
   3. Ask how they are doing: "Wie geht's?"
 - These starters happen EVERY session as the warm-up ritual.
 - They are NOT review topics — do not repeat them during Phase 2.
-- After these three exchanges, transition naturally into Phase 2.
+- After these three exchanges, transition naturally into Phase 2.${returningWarmup}
 
 PHASE 2 — MAIN CONVERSATION (~70% of conversation time)
 - Move into topics from the CURRENT CHAPTER and REVIEW CHAPTERS.
@@ -410,7 +452,7 @@ SECTION 5 — ACTIVE VOCABULARY (CUMULATIVE)
 All words the student knows from units 1 through ${n}. ${vocabStats}
 Prefer these in your speech. ONLY use words from this list (plus passive, fillers, proper nouns, and student-introduced words).
 
-${activeWords || '(basic everyday vocabulary)'}
+${activeWords || '(basic everyday vocabulary)'}${recycleBlock}
 
 ═══════════════════════════════════════════
 SECTION 6 — PASSIVE VOCABULARY (CUMULATIVE)
@@ -458,8 +500,10 @@ Use these as a guide for what kinds of language to draw out — but never as a s
 ═══════════════════════════════════════════
 OPENING INSTRUCTION
 ═══════════════════════════════════════════
-${studentNameBlock}
-Start in PHASE 1. Introduce yourself as ${buddyFirstName}, then ask the student's name. Speak only in German from your very first word.
+${studentNameBlock}${memoryBlock}
+${memory
+  ? `Start in PHASE 1. You are ${buddyFirstName}, and the student already knows you: greet them as a friend, without introducing yourself or asking their name.`
+  : `Start in PHASE 1. Introduce yourself as ${buddyFirstName}, then ask the student's name.`} Speak only in German from your very first word.
 `.trim();
 }
 
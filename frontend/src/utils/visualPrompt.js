@@ -0,0 +1,35 @@
+/**
+ * Picture prompts — curriculum images (server/imageMap.json) shown on the
+ * chalkboard while the buddy talks about them.
+ *
+ * The server picks the image (/api/image-prompt in voice sessions, the `image`
+ * field of a text-chat reply). When the buddy's line was a question, the
+ * student's next answer is checked against the image's keywords and the buddy
+ * is told whether it named what the picture shows:
+ *   matchImageKeywords(text, keywords) → the keywords the answer names,
+ *     compared on lemma candidates so "Bananen" counts for "banane"
+ *   pictureAnswerDirective(image, matched) → a [SYSTEM: PICTURE — …] message
+ *
+ * FILE: frontend/src/utils/visualPrompt.js
+ */
+import { tokenize, lemmaCandidates } from './germanText.js';
+
+/** Whether the buddy's line asks something about the picture it brought up */
+export function isPictureQuestion(text) {
+  return /\?/.test(text || '');
+}
+
+export function matchImageKeywords(text, keywords = []) {
+  const said = new Set(tokenize(text).flatMap(t => lemmaCandidates(t)));
+  return keywords.filter(k => lemmaCandidates(k).some(c => said.has(c)));
+}
+
+export function pictureAnswerDirective(image, matched) {
+  const picture = image.description ? `the picture (${image.description})` : 'the picture';
+  if (matched.length) {
+    return `[SYSTEM: PICTURE — The student's answer to your question about ${picture} mentions ` +
+      `${matched.map(k => `"${k}"`).join(', ')}, which fits the picture. Acknowledge that briefly and carry on.]`;
+  }
+  return `[SYSTEM: PICTURE — The student's answer to your question about ${picture} does not name what it shows. ` +
+    `Don't tell them they are wrong: name it for them once in a short German sentence ("Das ist …") and carry on.]`;
+}
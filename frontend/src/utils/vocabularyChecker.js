@@ -0,0 +1,80 @@
+/**
+ * VocabularyChecker — flags words in the buddy's speech that fall outside
+ * the cumulative vocabulary of the current unit.
+ *
+ * Built once per session from the `_cumulative` block of /api/cumulative/:unitId
+ * (active + passive vocabulary, verb forms, universal fillers). Proper nouns
+ * can't be told apart from German nouns by capitalisation, so the persona's
+ * traits, the student's name, and anything the student says are added as
+ * known words (the prompt allows "proper nouns and student-introduced words").
+ *
+ * FILE: frontend/src/utils/vocabularyChecker.js
+ */
+import { tokenize, normalizeWord, lemmaCandidates } from './germanText.js';
+
+export class VocabularyChecker {
+  constructor(cumulative = {}, { extraWords = [] } = {}) {
+    this.known = new Set();
+
+    const itemWord = (item) => (typeof item === 'object' ? item?.word : item);
+    for (const item of cumulative.activeVocabulary || []) this.addKnownText(itemWord(item));
+    for (const item of cumulative.passiveVocabulary || []) this.addKnownText(itemWord(item));
+
+    for (const [verb, tenses] of Object.entries(cumulative.verbForms || {})) {
+      this.addKnownText(verb);
+      for (const persons of Object.values(tenses || {})) {
+        for (const form of Object.values(persons || {})) this.addKnownText(form);
+      }
+    }
+
+    for (const [key, list] of Object.entries(cumulative.universalFillers || {})) {
+      if (key !== 'description' && Array.isArray(list)) list.forEach(f => this.addKnownText(f));
+    }
+
+    extraWords.forEach(w => this.addKnownText(w));
+  }
+
+  /** Mark every word in `text` (and its base forms) as known. */
+  addKnownText(text) {
+    for (const token of tokenize(text)) {
+      for (const part of [token, ...token.split('-')]) {
+        for (const c of lemmaCandidates(part)) this.known.add(c);
+      }
+    }
+  }
+
+  isKnown(token) {
+    if (token.length < 2) return true;
+    if (token.includes('-') && token.split('-').every(p => this.isKnown(p))) return true;
+    if (this._isKnownWord(token)) return true;
+    return this._isKnownCompound(normalizeWord(token));
+  }
+
+  _isKnownWord(word) {
+    return lemmaCandidates(word).some(c => this.known.has(c));
+  }
+
+  // Compounds of two known words (Lieblings|schuhe, Haus|aufgabe), allowing a linking -s-
+  _isKnownCompound(word) {
+    for (let i = 3; i <= word.length - 3; i++) {
+      const head = word.slice(0, i);
+      const tail = word.slice(i);
+      if (!this._isKnownWord(tail)) continue;
+      if (this._isKnownWord(head) || (head.endsWith('s') && this._isKnownWord(head.slice(0, -1)))) return true;
+    }
+    return false;
+  }
+
+  /** Unique out-of-vocabulary words in `text`, in order of appearance. */
+  check(text) {
+    const seen = new Set();
+    const unknown = [];
+    for (const token of tokenize(text)) {
+      const key = normalizeWord(token);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!this.isKnown(token)) unknown.push(token);
+    }
+    return unknown;
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * WordLookup — what a word on the chalkboard means and where the student met it.
+ *
+ * Built once per session from the `_cumulative` block of /api/cumulative/:unitId,
+ * like VocabularyChecker. Inflected verbs are resolved through the allowed verb
+ * forms ("wohnst" → wohnen), everything else through germanText's lemma
+ * candidates ("Buchstaben" → der Buchstabe). A word met only inside a phrase
+ * ("Woher kommst du?") resolves to that phrase. Each item carries the unit that
+ * introduced it (added by the server's buildCumulativeUnit).
+ *
+ * lookup(word) → { word, lemma, translation, pos, cefr, unit, phrase, status }
+ *   status: 'active'  — a word the student should be able to use
+ *           'passive' — a word they should recognise
+ *           'known'   — fillers and names (persona, student); nothing to explain
+ *           'unknown' — not in the student's vocabulary yet
+ *
+ * FILE: frontend/src/utils/wordLookup.js
+ */
+import { tokenize, normalizeWord, lemmaCandidates } from './germanText';
+
+const ARTICLES = new Set(['der', 'die', 'das', 'sich']);
+const SEGMENT_RE = /([A-Za-zÄÖÜäöüß]+(?:-[A-Za-zÄÖÜäöüß]+)*)/;
+
+/** Text split into words and the spaces/punctuation between them, in order. */
+export function splitWords(text) {
+  return String(text || '')
+    .split(SEGMENT_RE)
+    .filter(Boolean)
+    .map(part => ({ text: part, isWord: SEGMENT_RE.test(part) }));
+}
+
+export class WordLookup {
+  constructor(cumulative = {}, { extraWords = [] } = {}) {
+    this.active = new Map();       // lower-case word → item
+    this.passive = new Map();
+    this.phrases = { active: new Map(), passive: new Map() };   // word → phrase item
+    this.verbForms = new Map();    // inflected form → infinitive
+    this.known = new Set();
+
+    for (const item of cumulative.activeVocabulary || []) this._index(this.active, this.phrases.active, item);
+    for (const item of cumulative.passiveVocabulary || []) this._index(this.passive, this.phrases.passive, item);
+
+    for (const [verb, tenses] of Object.entries(cumulative.verbForms || {})) {
+      for (const persons of Object.values(tenses || {})) {
+        for (const form of Object.values(persons || {})) {
+          for (const token of tokenize(form)) {
+            const key = normalizeWord(token);
+            if (!this.verbForms.has(key)) this.verbForms.set(key, verb);
+          }
+        }
+      }
+    }
+
+    for (const [key, list] of Object.entries(cumulative.universalFillers || {})) {
+      if (key !== 'description' && Array.isArray(list)) list.forEach(f => this._addKnown(f));
+    }
+    extraWords.forEach(w => this._addKnown(w));
+  }
+
+  lookup(word) {
+    const w = normalizeWord(word);
+    // Allowed verb forms are active by definition, even where the infinitive
+    // isn't a vocabulary item of its own
+    const infinitive = this.verbForms.get(w);
+    const candidates = infinitive ? [normalizeWord(infinitive)] : lemmaCandidates(w);
+    for (const [map, status] of [[this.active, 'active'], [this.passive, 'passive']]) {
+      const item = candidates.map(c => map.get(c)).find(Boolean);
+      if (item) return this._entry(word, item, infinitive ? 'active' : status);
+    }
+    if (infinitive) return this._entry(word, { word: infinitive }, 'active');
+    for (const status of ['active', 'passive']) {
+      const item = candidates.map(c => this.phrases[status].get(c)).find(Boolean);
+      if (item) return { ...this._entry(word, item, status), lemma: w, phrase: item.word };
+    }
+    if (candidates.some(c => this.known.has(c))) return { word, lemma: word, status: 'known' };
+    return { word, lemma: word, status: 'unknown' };
+  }
+
+  _index(map, phraseMap, item) {
+    const entry = typeof item === 'object' ? item : { word: item };
+    const headword = String(entry?.word || '').split(',')[0].trim();
+    const tokens = tokenize(headword).filter(t => !ARTICLES.has(normalizeWord(t)));
+    if (tokens.length === 1) {
+      const key = normalizeWord(tokens[0]);
+      if (!map.has(key)) map.set(key, { ...entry, word: headword });
+      return;
+    }
+    for (const token of tokens) {
+      const key = normalizeWord(token);
+      if (!phraseMap.has(key)) phraseMap.set(key, entry);
+    }
+  }
+
+  _addKnown(text) {
+    for (const token of tokenize(text)) {
+      for (const c of lemmaCandidates(token)) this.known.add(c);
+    }
+  }
+
+  _entry(word, item, status) {
+    return {
+      word,
+      lemma: item.word,
+      translation: item.translation || '',
+      pos: item.pos || '',
+      cefr: item.cefr || '',
+      unit: item.unit ?? null,
+      phrase: null,
+      status,
+    };
+  }
+}
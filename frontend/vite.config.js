@@ -20,6 +20,9 @@ export default defineConfig({
         },
       },
       "/log-viewer": "http://localhost:3000",
+      "/teacher": "http://localhost:3000",
+      "/realtime-sim": { target: "ws://localhost:3000", ws: true },
+      "/realtime-relay": { target: "ws://localhost:3000", ws: true },
     },
   },
 });
@@ -0,0 +1,89 @@
+/**
+ * AudioArchive — the recorded audio of student voice turns.
+ *
+ * /api/transcribe files each upload under the session and the log turn id
+ * (DATA_DIR/audio/<sessionId>/<turnId>.<ext>) so teachers can hear what was
+ * actually said when a transcript reads "(inaudible)" or looks wrong. A turn
+ * keeps the first clip filed under it; later ones are refused.
+ * Clips older than the retention period (AUDIO_RETENTION_DAYS, default 30)
+ * are deleted by prune(); a retention of 0 keeps no audio at all.
+ *
+ * FILE: server/audioArchive.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, SAFE_ID } = require('./storage');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// MediaRecorder output by browser: Chrome/Firefox record WebM/Ogg, Safari MP4
+const EXTENSIONS = { 'audio/webm': 'webm', 'video/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'video/mp4': 'm4a' };
+const CONTENT_TYPES = { webm: 'audio/webm', ogg: 'audio/ogg', m4a: 'audio/mp4' };
+
+function retentionFromEnv() {
+  const raw = String(process.env.AUDIO_RETENTION_DAYS ?? '').trim();
+  const days = Number(raw);
+  return raw && Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+class AudioArchive {
+  constructor(baseDir = DATA_DIR, retentionDays = retentionFromEnv()) {
+    this.dir = path.join(baseDir, 'audio');
+    this.retentionDays = retentionDays;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  get enabled() {
+    return this.retentionDays > 0;
+  }
+
+  /**
+   * Store a clip (a Buffer) for a turn. Returns false when audio isn't kept,
+   * the ids are unusable, or the turn already has a clip.
+   */
+  save(sessionId, turnId, data, mimeType = 'audio/webm') {
+    if (!this.enabled || !SAFE_ID.test(String(sessionId)) || !SAFE_ID.test(String(turnId))) return false;
+    if (this.has(sessionId, turnId)) return false;
+    const ext = EXTENSIONS[String(mimeType).split(';')[0]] || 'webm';
+    const dir = path.join(this.dir, sessionId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${turnId}.${ext}`), data, { flag: 'wx' });
+    return true;
+  }
+
+  /** { file, contentType } for a stored clip, or null */
+  find(sessionId, turnId) {
+    if (!SAFE_ID.test(String(sessionId)) || !SAFE_ID.test(String(turnId))) return null;
+    for (const [ext, contentType] of Object.entries(CONTENT_TYPES)) {
+      const file = path.join(this.dir, sessionId, `${turnId}.${ext}`);
+      if (fs.existsSync(file)) return { file, contentType };
+    }
+    return null;
+  }
+
+  has(sessionId, turnId) {
+    return !!this.find(sessionId, turnId);
+  }
+
+  /** Delete clips past the retention period (and session folders left empty). Returns the number deleted. */
+  prune(now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    let deleted = 0;
+    for (const sessionId of fs.readdirSync(this.dir)) {
+      const dir = path.join(this.dir, sessionId);
+      if (!fs.statSync(dir).isDirectory()) continue;
+      for (const file of fs.readdirSync(dir)) {
+        const full = path.join(dir, file);
+        if (!this.enabled || fs.statSync(full).mtimeMs < cutoff) {
+          fs.unlinkSync(full);
+          deleted++;
+        }
+      }
+      if (!fs.readdirSync(dir).length) fs.rmdirSync(dir);
+    }
+    return deleted;
+  }
+}
+
+module.exports = { AudioArchive };
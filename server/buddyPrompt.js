@@ -0,0 +1,39 @@
+/**
+ * Buddy prompt on the server.
+ *
+ * Both voice (/token) and text chat (/api/conversation/start) sessions get
+ * their prompt here, so it never passes through the browser. It is built by
+ * frontend/src/utils/systemInstructions.js, a plain ES module with no
+ * imports, which the server loads with import() rather than keeping a second
+ * copy that could drift.
+ *
+ * FILE: server/buddyPrompt.js
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../frontend/src/utils/systemInstructions.js')).href;
+
+let loading = null;
+function loadSystemInstructions() {
+  if (!loading) loading = import(MODULE_URL);
+  return loading;
+}
+
+/**
+ * Instructions and opening message for one session.
+ * unitData is a cumulative unit (as from /api/cumulative) with _book and _chapter set,
+ * and _studentMemory when the buddy knows the student (server/studentMemory.js).
+ * returns: { instructions, opening, buddyName }
+ */
+async function buildBuddyPrompt(unitData, persona = null, studentName = '') {
+  const { generateUnitInstructions, getBuddyFirstName, buildOpeningMessage } = await loadSystemInstructions();
+  const buddyName = getBuddyFirstName(persona);
+  return {
+    instructions: generateUnitInstructions(unitData, persona, studentName),
+    opening: buildOpeningMessage(buddyName, studentName, unitData._studentMemory || null),
+    buddyName,
+  };
+}
+
+module.exports = { loadSystemInstructions, buildBuddyPrompt };
@@ -0,0 +1,50 @@
+/**
+ * Chapter tables for the three textbooks.
+ *
+ * Each chapter covers a contiguous range of sequence_info.position values in
+ * its book's track. Shared by the server routes and the curriculum validator.
+ *
+ * FILE: server/chapters.js
+ */
+
+// Impuls Deutsch 1 — chapters with titles and unit ranges
+const ID1_CHAPTERS = [
+  { chapter: 1, title: 'Wer bin ich?: Heute und in der Zukunft',                                     unitStart: 1,   unitEnd: 15  },
+  { chapter: 2, title: 'Was ziehe ich an?: Wetter und Klimawandel',                                   unitStart: 16,  unitEnd: 26  },
+  { chapter: 3, title: 'Was ist da drin? Lebensmittel unter der Lupe',                                unitStart: 27,  unitEnd: 37  },
+  { chapter: 4, title: 'Wie gestalte ich mein Leben?: Schlanke Produktion f\u00fcr Haus und Alltag', unitStart: 38,  unitEnd: 52  },
+  { chapter: 5, title: 'Woher kommen meine Sachen?: Konsum, Verpackungen, M\u00fclltrennung',         unitStart: 53,  unitEnd: 67  },
+  { chapter: 6, title: 'Wie war es damals?: Kindheit im Wandel der Zeit',                            unitStart: 68,  unitEnd: 79  },
+  { chapter: 7, title: "Was gibt's da zu sehen?: Sehensw\u00fcrdigkeiten in Wien",                    unitStart: 80,  unitEnd: 93  },
+  { chapter: 8, title: 'Wie sieht die Zukunft aus?: Erfindungen und Innovationen',                   unitStart: 94,  unitEnd: 104 },
+];
+
+// Impuls Deutsch 2 BLAU
+const ID2B_CHAPTERS = [
+  { chapter: 1, title: 'Wie leben wir nachhaltig?: Kommunikation für die Zukunft unseres Planeten', unitStart: 1,  unitEnd: 14 },
+  { chapter: 2, title: 'Was war da los?: Ost-West-Geschichte(n)',                                    unitStart: 15, unitEnd: 26 },
+  { chapter: 3, title: 'Wer sind wir?: Deutsch im Plural',                                           unitStart: 27, unitEnd: 37 },
+  { chapter: 4, title: 'Wie unterhalten wir uns?: Alte und neue Medien',                             unitStart: 38, unitEnd: 52 },
+];
+
+// Impuls Deutsch 2 ORANGE
+const ID2O_CHAPTERS = [
+  { chapter: 1, title: 'Wer würde sich trauen?: Achterbahnen und anderer Nervenkitzel',             unitStart: 1,  unitEnd: 17 },
+  { chapter: 2, title: 'Wofür/wogegen sind wir?: Protest, Widerstand, Mitbestimmung',               unitStart: 18, unitEnd: 29 },
+  { chapter: 3, title: 'Wie wird das gemacht?: Die Schweiz als Herstellerin von Qualitätsprodukten', unitStart: 30, unitEnd: 41 },
+  { chapter: 4, title: 'Was prägt uns?: Transatlantische Beziehungen und Einflüsse',                unitStart: 42, unitEnd: 52 },
+];
+
+const ALL_CHAPTERS = { ID1: ID1_CHAPTERS, ID2B: ID2B_CHAPTERS, ID2O: ID2O_CHAPTERS };
+
+// Each book's units are one sequence_info track; ID2 unit ids carry a B/O prefix
+const BOOK_TRACKS = { ID1: 'core', ID2B: 'blau', ID2O: 'orange' };
+
+function bookForUnit(unitId) {
+  const uid = String(unitId);
+  if (uid.startsWith('B')) return 'ID2B';
+  if (uid.startsWith('O')) return 'ID2O';
+  return 'ID1';
+}
+
+module.exports = { ID1_CHAPTERS, ID2B_CHAPTERS, ID2O_CHAPTERS, ALL_CHAPTERS, BOOK_TRACKS, bookForUnit };
@@ -0,0 +1,265 @@
+/**
+ * Curriculum validator for the Knowledge Base unit files.
+ *
+ * Checks every curriculum/units/Knowledge Base/*.json file for:
+ *   - JSON that does not parse, or required sections that are missing
+ *   - allowed_verb_forms tenses / persons not covered by grammar_constraints
+ *   - forbidden tags outside the known tag vocabulary
+ *   - duplicate unit ids, and unit ids that don't match their track
+ *   - gaps or repeats in sequence_info.position within a track
+ *   - chapter tables (server/chapters.js) that disagree with the tracks
+ *
+ * Runs at server startup (summary only) and as a CLI that prints the full
+ * report as JSON and exits 1 when there are errors:
+ *
+ *   npm run validate:curriculum
+ *   node server/curriculumValidator.js --dir <path>
+ *
+ * FILE: server/curriculumValidator.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { ALL_CHAPTERS, BOOK_TRACKS, bookForUnit } = require('./chapters');
+
+const KB_DIR = path.join(__dirname, '../curriculum/units/Knowledge Base');
+
+// [path, expected type] — every unit file must have these
+const REQUIRED_FIELDS = [
+  ['unit', 'string'],
+  ['sequence_info', 'object'],
+  ['sequence_info.track', 'string'],
+  ['sequence_info.position', 'number'],
+  ['grammar_constraints', 'object'],
+  ['grammar_constraints.allowed_tenses', 'array'],
+  ['grammar_constraints.allowed_cases', 'array'],
+  ['grammar_constraints.allowed_persons', 'array'],
+  ['grammar_constraints.sentence_types', 'array'],
+  ['grammar_constraints.forbidden', 'array'],
+  ['communicative_functions', 'object'],
+  ['communicative_functions.goals', 'array'],
+  ['conversation_topics', 'object'],
+  ['conversation_topics.topics', 'array'],
+  ['active_vocabulary', 'object'],
+  ['active_vocabulary.items', 'array'],
+  ['passive_vocabulary', 'object'],
+  ['passive_vocabulary.items', 'array'],
+  ['allowed_verb_forms', 'object'],
+  ['allowed_verb_forms.verbs', 'object'],
+  ['model_sentences', 'object'],
+];
+
+// Tag vocabulary for grammar_constraints.forbidden ("<family>:<value>")
+const KNOWN_TAGS = {
+  tense: [
+    'present', 'Perfekt', 'Futur_I', 'Plusquamperfekt',
+    'Präteritum_haben_sein', 'Präteritum_modal', 'Präteritum_weak', 'Präteritum_strong', 'Präteritum_mixed',
+    'Konjunktiv_II_present', 'Konjunktiv_II_past', 'Passiv_Präsens', 'Passiv_Präteritum',
+  ],
+  case: ['nominative', 'accusative', 'dative', 'genitive'],
+  sentence_type: [
+    'declarative', 'w_question', 'yes_no_question', 'imperative',
+    'subordinate_weil', 'subordinate_wenn', 'subordinate_dass', 'subordinate_damit', 'infinitive_um_zu',
+    'subordinate_bevor', 'subordinate_während', 'subordinate_nachdem', 'subordinate_da', 'subordinate_obwohl',
+    'coordinating_denn', 'relative_clause_nominative', 'relative_clause_accusative', 'relative_clause_dative',
+    'relative_clause_genitive', 'irreal_wish', 'conditional_irreal', 'impersonal_passive',
+  ],
+};
+
+// allowed_verb_forms groups Präteritum forms under one key; any Präteritum_* tense permits it.
+// Imperative forms are governed by sentence_types rather than allowed_tenses.
+function verbTenseAllowed(tense, grammar) {
+  if (tense === 'imperative') return grammar.sentence_types.includes('imperative');
+  if (tense === 'Präteritum') return grammar.allowed_tenses.some(t => t.startsWith('Präteritum'));
+  return grammar.allowed_tenses.includes(tense);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+/**
+ * Check one parsed unit file. Returns a list of issues (without file/unit,
+ * which the caller fills in).
+ */
+function validateUnit(data) {
+  const issues = [];
+  const add = (severity, code, message, at) => issues.push({ severity, code, message, path: at });
+
+  for (const [field, type] of REQUIRED_FIELDS) {
+    const actual = typeOf(getPath(data, field));
+    if (actual === 'undefined') add('error', 'missing_section', `Missing ${field}`, field);
+    else if (actual !== type) add('error', 'wrong_type', `${field} should be ${type}, found ${actual}`, field);
+  }
+
+  const grammar = data.grammar_constraints;
+  const grammarOk = grammar && ['allowed_tenses', 'allowed_persons', 'sentence_types', 'forbidden']
+    .every(k => Array.isArray(grammar[k]));
+  if (!grammarOk) return issues;
+
+  for (const tag of grammar.forbidden) {
+    const [family, ...rest] = String(tag).split(':');
+    const value = rest.join(':');
+    if (!KNOWN_TAGS[family]) {
+      add('warning', 'unknown_tag_family', `Forbidden tag "${tag}" uses unknown family "${family}"`, 'grammar_constraints.forbidden');
+    } else if (!KNOWN_TAGS[family].includes(value)) {
+      add('warning', 'unknown_tag', `Forbidden tag "${tag}" is not in the ${family} vocabulary`, 'grammar_constraints.forbidden');
+    }
+  }
+
+  const verbs = data.allowed_verb_forms?.verbs;
+  if (typeOf(verbs) !== 'object') return issues;
+
+  for (const [verb, tenses] of Object.entries(verbs)) {
+    if (typeOf(tenses) !== 'object') {
+      add('error', 'wrong_type', `Verb "${verb}" should map tenses to forms`, `allowed_verb_forms.verbs.${verb}`);
+      continue;
+    }
+    for (const [tense, persons] of Object.entries(tenses)) {
+      const at = `allowed_verb_forms.verbs.${verb}.${tense}`;
+      if (!verbTenseAllowed(tense, grammar)) {
+        add('warning', 'tense_not_allowed', `"${verb}" has ${tense} forms but the unit does not allow ${tense}`, at);
+      }
+      if (typeOf(persons) !== 'object') {
+        add('error', 'wrong_type', `"${verb}" ${tense} should map persons to forms`, at);
+        continue;
+      }
+      const extra = Object.keys(persons).filter(p => !grammar.allowed_persons.includes(p));
+      if (extra.length) {
+        add('warning', 'person_not_allowed', `"${verb}" ${tense} has forms for ${extra.join(', ')} outside allowed_persons`, at);
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate every unit file in kbDir plus the cross-file checks.
+ * Returns a JSON-serialisable report.
+ */
+function validateCurriculum(kbDir = KB_DIR) {
+  const issues = [];
+  const units = [];
+
+  if (!fs.existsSync(kbDir)) {
+    issues.push({ severity: 'error', code: 'missing_directory', message: `Knowledge Base directory not found: ${kbDir}` });
+    return buildReport(kbDir, 0, 0, issues);
+  }
+
+  const files = fs.readdirSync(kbDir).filter(f => f.endsWith('.json')).sort();
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(kbDir, file), 'utf8'));
+    } catch (e) {
+      issues.push({ severity: 'error', code: 'invalid_json', file, message: e.message });
+      continue;
+    }
+    const unit = data?.unit !== undefined ? String(data.unit) : null;
+    for (const issue of validateUnit(data)) issues.push({ file, unit, ...issue });
+    if (unit !== null) units.push({ file, unit, data });
+  }
+
+  // Duplicate unit ids — the server keys unitMap by id, so the later file wins silently
+  const byId = new Map();
+  for (const u of units) {
+    if (byId.has(u.unit)) {
+      issues.push({
+        severity: 'error', code: 'duplicate_unit', file: u.file, unit: u.unit,
+        message: `Unit ${u.unit} is also defined in ${byId.get(u.unit).file}`,
+      });
+    } else {
+      byId.set(u.unit, u);
+    }
+  }
+
+  for (const [book, track] of Object.entries(BOOK_TRACKS)) {
+    const inTrack = units.filter(u => u.data.sequence_info?.track === track);
+
+    for (const u of inTrack) {
+      if (bookForUnit(u.unit) !== book) {
+        issues.push({
+          severity: 'error', code: 'track_mismatch', file: u.file, unit: u.unit,
+          message: `Unit ${u.unit} is in track "${track}" but its id belongs to ${bookForUnit(u.unit)}`,
+        });
+      }
+    }
+
+    // Positions should run 1..n without gaps or repeats
+    const positions = inTrack.map(u => u.data.sequence_info.position).filter(Number.isInteger);
+    const max = positions.length ? Math.max(...positions) : 0;
+    const seen = new Map();
+    for (const u of inTrack) {
+      const pos = u.data.sequence_info.position;
+      if (seen.has(pos)) {
+        issues.push({
+          severity: 'error', code: 'duplicate_position', file: u.file, unit: u.unit,
+          message: `Track "${track}" position ${pos} is shared with unit ${seen.get(pos)}`,
+        });
+      } else {
+        seen.set(pos, u.unit);
+      }
+    }
+    const missing = [];
+    for (let p = 1; p <= max; p++) if (!seen.has(p)) missing.push(p);
+    if (missing.length) {
+      issues.push({
+        severity: 'error', code: 'position_gap',
+        message: `Track "${track}" has no units at position(s) ${missing.join(', ')}`,
+      });
+    }
+
+    issues.push(...checkChapters(book, track, ALL_CHAPTERS[book], max, seen));
+  }
+
+  return buildReport(kbDir, files.length, units.length, issues);
+}
+
+/** Chapter ranges must tile positions 1..max of the track exactly. */
+function checkChapters(book, track, chapters, max, positions) {
+  const issues = [];
+  const add = (message) => issues.push({ severity: 'error', code: 'chapter_range', message: `${book}: ${message}` });
+
+  let expectedStart = 1;
+  for (const ch of chapters) {
+    if (ch.unitStart > ch.unitEnd) add(`chapter ${ch.chapter} range ${ch.unitStart}–${ch.unitEnd} is reversed`);
+    if (ch.unitStart > expectedStart) add(`positions ${expectedStart}–${ch.unitStart - 1} are not in any chapter`);
+    if (ch.unitStart < expectedStart) add(`chapter ${ch.chapter} starts at ${ch.unitStart}, overlapping the previous chapter`);
+    const empty = [];
+    for (let p = ch.unitStart; p <= ch.unitEnd; p++) if (!positions.has(p)) empty.push(p);
+    if (empty.length && max) add(`chapter ${ch.chapter} covers position(s) ${empty.join(', ')} with no unit in track "${track}"`);
+    expectedStart = Math.max(expectedStart, ch.unitEnd + 1);
+  }
+  if (expectedStart <= max) add(`positions ${expectedStart}–${max} of track "${track}" are not in any chapter`);
+  return issues;
+}
+
+function buildReport(kbDir, fileCount, unitCount, issues) {
+  const errorCount = issues.filter(i => i.severity === 'error').length;
+  return {
+    generatedAt: new Date().toISOString(),
+    directory: kbDir,
+    fileCount,
+    unitCount,
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    issues,
+  };
+}
+
+if (require.main === module) {
+  const dirFlag = process.argv.indexOf('--dir');
+  const kbDir = dirFlag !== -1 ? path.resolve(process.argv[dirFlag + 1] || '') : KB_DIR;
+  const report = validateCurriculum(kbDir);
+  console.log(JSON.stringify(report, null, 2));
+  process.exitCode = report.valid ? 0 : 1;
+}
+
+module.exports = { KB_DIR, KNOWN_TAGS, validateUnit, validateCurriculum };
@@ -0,0 +1,140 @@
+/**
+ * End-of-session report pieces that don't need the model.
+ *
+ *   vocabularyUse — which of the unit's active-vocabulary words the student
+ *                   produced, matched through frontend/src/utils/germanText.js
+ *                   (the lemmatizer the vocabulary checker uses), including
+ *                   separable verbs split across the sentence ("nehme … mit")
+ *   cleanCorrections — keeps the model's corrections that quote something the
+ *                   student really said, and marks the ones tied to a listed rule
+ *   practiceSuggestions — "next time" list from the model's suggestions, the
+ *                   words the student didn't get to, and pronunciation practice
+ *   recentGrammarRules — the grammar rules the feedback prompt lists, from the
+ *                   unit and the units just before it
+ *
+ * FILE: server/feedbackReport.js
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../frontend/src/utils/germanText.js')).href;
+
+const ARTICLES = new Set(['der', 'die', 'das', 'sich']);
+// Prefixes that split off in main clauses: mitnehmen → "ich nehme … mit"
+const SEPARABLE_PREFIXES = ['zurück', 'fern', 'fest', 'weg', 'auf', 'aus', 'ein', 'mit', 'nach', 'vor', 'zu', 'um', 'ab', 'an', 'los'];
+const MAX_CORRECTIONS = 4;
+const MAX_SUGGESTIONS = 4;
+const WORDS_TO_TRY = 3;
+
+let loading = null;
+function loadGermanText() {
+  if (!loading) loading = import(MODULE_URL);
+  return loading;
+}
+
+const squash = (s) => String(s || '').toLowerCase().replace(/[^a-zäöüß]+/g, ' ').trim();
+
+// "das Licht, -er" → "das Licht"; "zu warm/kalt" → alternatives "zu warm", "kalt"
+function headword(word) {
+  return String(word || '').split(',')[0].trim();
+}
+
+/**
+ * Active vocabulary the student produced vs never used.
+ * items: the unit's active_vocabulary.items; utterances: everything the student said
+ * returns: { used: string[], unused: string[], total }
+ */
+async function vocabularyUse(items = [], utterances = []) {
+  const { tokenize, lemmaCandidates } = await loadGermanText();
+  const sentences = utterances.filter(Boolean).map(u => {
+    const tokens = tokenize(u).map(t => t.toLowerCase());
+    return { tokens: new Set(tokens), lemmas: new Set(tokens.flatMap(lemmaCandidates)) };
+  });
+  const said = (w) => {
+    const candidates = lemmaCandidates(w);
+    return sentences.some(s => candidates.some(c => s.lemmas.has(c)));
+  };
+  const saidSeparated = (w) => {
+    const prefix = SEPARABLE_PREFIXES.find(p => w.startsWith(p) && w.length - p.length >= 4);
+    if (!prefix) return false;
+    const candidates = lemmaCandidates(w.slice(prefix.length));
+    return sentences.some(s => s.tokens.has(prefix) && candidates.some(c => s.lemmas.has(c)));
+  };
+
+  const used = [];
+  const unused = [];
+  for (const item of items) {
+    const word = headword(typeof item === 'object' ? item?.word : item);
+    if (!word) continue;
+    const alternatives = word.split('/').map(alt => tokenize(alt).map(t => t.toLowerCase()).filter(t => !ARTICLES.has(t)));
+    const found = alternatives.some(alt => alt.length > 0 && alt.every(w => said(w) || saidSeparated(w)));
+    (found ? used : unused).push(word);
+  }
+  return { used, unused, total: used.length + unused.length };
+}
+
+/**
+ * Corrections from the model, kept only when the original is something the
+ * student said and differs from the correction. A rule quoted exactly from
+ * `rules` ([{ unit, rule }]) carries that unit.
+ * returns: [{ original, corrected, rule, unit? }]
+ */
+function cleanCorrections(raw = [], utterances = [], rules = []) {
+  const spoken = utterances.map(squash);
+  const seen = new Set();
+  const out = [];
+  for (const c of Array.isArray(raw) ? raw : []) {
+    const original = typeof c?.original === 'string' ? c.original.trim() : '';
+    const corrected = typeof c?.corrected === 'string' ? c.corrected.trim() : '';
+    if (!original || !corrected || squash(original) === squash(corrected)) continue;
+    if (!spoken.some(u => u.includes(squash(original))) || seen.has(squash(original))) continue;
+    seen.add(squash(original));
+    const rule = typeof c.rule === 'string' ? c.rule.trim() : '';
+    const listed = rules.find(r => r.rule === rule);
+    out.push({ original, corrected, rule, ...(listed ? { unit: listed.unit } : {}) });
+    if (out.length >= MAX_CORRECTIONS) break;
+  }
+  return out;
+}
+
+/**
+ * "Next time" suggestions: the model's own (at most two), then words from
+ * the unit the student didn't use, then words to practise saying.
+ */
+function practiceSuggestions({ suggestions = [], vocabulary = null, pronunciation = null }) {
+  const out = (Array.isArray(suggestions) ? suggestions : [])
+    .filter(s => typeof s === 'string' && s.trim())
+    .slice(0, 2);
+  if (vocabulary?.unused.length) {
+    out.push(`Try to use some of this unit's words: ${vocabulary.unused.slice(0, WORDS_TO_TRY).join(', ')}.`);
+  }
+  if (pronunciation?.practice.length) {
+    out.push(`Practise saying ${pronunciation.practice.slice(0, WORDS_TO_TRY).map(p => `"${p.word}"`).join(', ')} out loud.`);
+  }
+  return out.slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Grammar rules introduced in the unit and the ones just before it in the
+ * same series (55, 54, …; B12, B11, …), most recent first, from the
+ * `unitCount` nearest units that list any.
+ * unitMap: unit id → unit data
+ * returns: [{ unit, rule }]
+ */
+function recentGrammarRules(unitMap, unit, unitCount = 3) {
+  const [, prefix, number] = String(unit).match(/^([BO]?)(\d+)$/i) || [];
+  const ids = number
+    ? Array.from({ length: Number(number) }, (_, i) => `${prefix.toUpperCase()}${Number(number) - i}`)
+    : [String(unit)];
+  const rules = [];
+  let units = 0;
+  for (const id of ids) {
+    const list = unitMap[id]?.grammar_constraints?.new_rules_in_this_unit || [];
+    if (!list.length) continue;
+    list.forEach(rule => rules.push({ unit: id, rule }));
+    if (++units >= unitCount) break;
+  }
+  return rules;
+}
+
+module.exports = { headword, vocabularyUse, cleanCorrections, practiceSuggestions, recentGrammarRules };
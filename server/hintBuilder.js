@@ -0,0 +1,220 @@
+/**
+ * Answer hints for a student who is stuck on the buddy's last question.
+ *
+ * buildHints() turns the question into two or three short answer scaffolds:
+ *   echo      — the question turned round: its du/Sie/ihr verb form is swapped
+ *               for the ich/wir form from the cumulative allowed_verb_forms
+ *               ("Wo wohnst du?" → "Ich wohne ___."); yes/no questions get a
+ *               "Ja, …" and a "Nein, …" version, either/or questions offer
+ *               the two options as choices
+ *   template  — the unit's model_sentences.templated pattern that best fits
+ *               the question, with placeholder_registry options as choices
+ * Words outside the cumulative active vocabulary become blanks, and every
+ * scaffold lists the vocabulary items it uses with their English translation.
+ *
+ * Scaffold shape: { text, choices: string[], words: [{ word, translation }] }
+ *
+ * FILE: server/hintBuilder.js
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../frontend/src/utils/germanText.js')).href;
+
+const MAX_SCAFFOLDS = 3;
+const MAX_CHOICES = 4;
+const MAX_WORDS = 4;
+const BLANK = '___';
+
+const QUESTION_WORDS = new Set(['wie', 'was', 'wo', 'woher', 'wohin', 'wann', 'wer', 'wen', 'wem', 'warum', 'welche', 'welcher', 'welches', 'welchen', 'welchem']);
+// Where the answer usually goes after the verb ("Woher kommst du?" → "Ich komme aus ___.")
+const ANSWER_LEAD = { wo: 'in', woher: 'aus' };
+// Addressing the buddy's listener → answering about oneself
+const SUBJECTS = { du: { person: 'du', answer: 'ich', answerPerson: 'ich' }, Sie: { person: 'Sie', answer: 'ich', answerPerson: 'ich' }, ihr: { person: 'ihr', answer: 'wir', answerPerson: 'wir' } };
+const FLIP = {
+  dich: 'mich', dir: 'mir', dein: 'mein', deine: 'meine', deinen: 'meinen', deinem: 'meinem', deiner: 'meiner', deines: 'meines',
+  euch: 'uns', euer: 'unser', eure: 'unsere', euren: 'unseren', eurem: 'unserem',
+};
+// Always fine in an answer, whether or not a unit lists them
+const FUNCTION_WORDS = new Set([
+  'ich', 'wir', 'mich', 'mir', 'uns', 'mein', 'meine', 'meinen', 'meinem', 'meiner', 'unser', 'unsere',
+  'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer',
+  'in', 'im', 'aus', 'nach', 'mit', 'zu', 'am', 'an', 'auf', 'für', 'von',
+  'und', 'oder', 'auch', 'nicht', 'sehr', 'gern', 'gerne', 'lieber', 'ja', 'nein',
+]);
+const ARTICLES = new Set(['der', 'die', 'das', 'sich']);
+// Not worth a gloss next to the scaffold
+const UNGLOSSED_POS = new Set(['ART', 'PRON', 'CONJ', 'PARTICLE', 'PREP']);
+
+let loading = null;
+function loadGermanText() {
+  if (!loading) loading = import(MODULE_URL);
+  return loading;
+}
+
+const headword = (word) => String(word || '').split(',')[0].trim();
+
+/** The question the student is answering: the last sentence ending in "?", else the last sentence. */
+function lastQuestion(text) {
+  const sentences = String(text || '').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+  return [...sentences].reverse().find(s => s.endsWith('?')) || sentences[sentences.length - 1] || '';
+}
+
+/**
+ * Lookups over the cumulative unit data.
+ * vocab: lemma → active item; known: everything an answer may use;
+ * verbs: "du:wohnst" → { infinitive, forms }
+ */
+function indexUnit(cumulative, { tokenize, lemmaCandidates }) {
+  const vocab = new Map();
+  for (const item of cumulative?.activeVocabulary || []) {
+    if (typeof item !== 'object' || !item?.word) continue;
+    const tokens = tokenize(headword(item.word)).filter(t => !ARTICLES.has(t.toLowerCase()));
+    if (tokens.length !== 1) continue;   // phrases can't be matched word by word
+    const key = tokens[0].toLowerCase();
+    if (!vocab.has(key)) vocab.set(key, item);
+  }
+  const known = new Set([...FUNCTION_WORDS, ...vocab.keys()]);
+  const verbs = new Map();
+  const infinitiveOf = new Map();   // any allowed form → its infinitive
+  for (const [infinitive, tenses] of Object.entries(cumulative?.verbForms || {})) {
+    const forms = tenses?.present;
+    if (!forms) continue;
+    known.add(infinitive.toLowerCase());
+    for (const [person, form] of Object.entries(forms)) {
+      if (typeof form !== 'string') continue;
+      known.add(form.toLowerCase());
+      infinitiveOf.set(form.toLowerCase(), infinitive.toLowerCase());
+      if (SUBJECTS[person]) verbs.set(`${person}:${form.toLowerCase()}`, { infinitive, forms });
+    }
+  }
+  for (const list of Object.values(cumulative?.universalFillers || {})) {
+    if (Array.isArray(list)) list.forEach(f => tokenize(f).forEach(t => known.add(t.toLowerCase())));
+  }
+  const lookup = (word) => [...lemmaCandidates(word), infinitiveOf.get(String(word).toLowerCase())]
+    .map(c => vocab.get(c)).find(Boolean) || null;
+  const isKnown = (word) => lemmaCandidates(word).some(c => known.has(c));
+  return { vocab, verbs, lookup, isKnown };
+}
+
+// Vocabulary items (with a translation) behind the words of a scaffold
+function glossWords(tokens, index, extra = []) {
+  const out = [];
+  for (const item of [...extra, ...tokens.map(t => index.lookup(t))]) {
+    if (!item?.translation || UNGLOSSED_POS.has(item.pos) || out.some(w => w.word === item.word)) continue;
+    out.push({ word: item.word, translation: item.translation });
+  }
+  return out.slice(0, MAX_WORDS);
+}
+
+function sentence(words) {
+  const text = words.filter(Boolean).join(' ').replace(/(?:___ )+___/g, BLANK);
+  return text.charAt(0).toUpperCase() + text.slice(1) + '.';
+}
+
+/**
+ * "Wohnst du in Berlin?" → "Ja, ich wohne in ___." / "Nein, ich wohne ___."
+ * "Wie alt bist du?" → "Ich bin ___ alt."; "Woher kommst du?" → "Ich komme aus ___."
+ */
+function echoScaffolds(question, index, { tokenize }) {
+  const tokens = tokenize(question);
+  const lower = tokens.map(t => t.toLowerCase());
+  // "Sie" only as the formal you, not a sentence-initial "she/they"
+  const subjectKey = (t, i) => (t === 'Sie' && i > 0 ? 'Sie' : ['du', 'ihr'].includes(t.toLowerCase()) ? t.toLowerCase() : null);
+  const subjectAt = tokens.findIndex(subjectKey);
+  if (subjectAt === -1) return [];
+  const subject = SUBJECTS[subjectKey(tokens[subjectAt], subjectAt)];
+  const verbAt = lower.findIndex(t => index.verbs.has(`${subject.person}:${t}`));
+  if (verbAt === -1) return [];
+  const verb = index.verbs.get(`${subject.person}:${lower[verbAt]}`);
+  const answerVerb = verb.forms[subject.answerPerson];
+  if (!answerVerb) return [];
+
+  // Answer words for the tokens in [from, to), minus the subject
+  const choices = [];
+  const answerWords = (from, to) => {
+    const out = [];
+    for (let i = from; i < to; i++) {
+      if (subjectKey(tokens[i], i)) continue;
+      // Either/or: "Kaffee oder Tee" → a blank with both as choices
+      if (lower[i + 1] === 'oder' && i + 2 < to) {
+        choices.push(tokens[i], tokens[i + 2]);
+        out.push(BLANK);
+        i += 2;
+        continue;
+      }
+      const word = FLIP[lower[i]] || tokens[i];
+      out.push(index.isKnown(word) ? word : BLANK);
+    }
+    return out;
+  };
+
+  const questionAt = lower.findIndex((t, i) => i < verbAt && QUESTION_WORDS.has(t));
+  const after = answerWords(verbAt + 1, tokens.length);
+  let scaffolds;
+  if (questionAt !== -1) {
+    const questionWord = lower[questionAt];
+    // "Wie alt …", "Wie viele Geschwister …": those words follow the answer
+    const between = questionWord === 'wie'
+      ? answerWords(questionAt + 1, verbAt).filter(w => !['viel', 'viele'].includes(w.toLowerCase()))
+      : [];
+    const lead = after.includes(BLANK) ? [] : [ANSWER_LEAD[questionWord], BLANK];
+    scaffolds = [[subject.answer, answerVerb, ...after, ...lead, ...between]];
+  } else if (choices.length) {
+    scaffolds = [[subject.answer, answerVerb, ...after]];
+  } else {
+    scaffolds = [['Ja,', subject.answer, answerVerb, ...after], ['Nein,', subject.answer, answerVerb, BLANK]];
+  }
+
+  const words = glossWords([...after, ...choices], index, [index.lookup(verb.infinitive)]);
+  return scaffolds.map(w => ({ text: sentence(w), choices, words }));
+}
+
+/** The unit's templated model sentence sharing the most words with the question */
+function templateScaffold(question, unitData, index, { tokenize, lemmaCandidates }) {
+  const questionLemmas = new Set(tokenize(question)
+    .filter(t => !FUNCTION_WORDS.has(t.toLowerCase()))
+    .flatMap(t => lemmaCandidates(t)));
+  let best = null;
+  for (const { template } of unitData?.model_sentences?.templated || []) {
+    if (typeof template !== 'string') continue;
+    const words = tokenize(template.replace(/\[[^\]]*\]|\{[^}]*\}/g, ' '));
+    const score = words.filter(w => !FUNCTION_WORDS.has(w.toLowerCase()) && lemmaCandidates(w).some(c => questionLemmas.has(c))).length;
+    if (score > 0 && (!best || score > best.score)) best = { template, words, score };
+  }
+  if (!best) return null;
+  const choices = [];
+  const text = best.template.replace(/\[[^\]]*\]|\{([^}]*)\}/g, (_, key) => {
+    const options = key ? unitData.placeholder_registry?.[key]?.options : null;
+    if (Array.isArray(options)) choices.push(...options.slice(0, MAX_CHOICES));
+    return BLANK;
+  });
+  return { text, choices, words: glossWords([...best.words, ...choices], index) };
+}
+
+/**
+ * Hints for the buddy's latest turn.
+ * aiText: what the buddy last said; unitData: buildCumulativeUnit() output
+ * returns: { question, scaffolds }
+ */
+async function buildHints(aiText, unitData) {
+  const germanText = await loadGermanText();
+  const question = lastQuestion(aiText);
+  const index = indexUnit(unitData?._cumulative, germanText);
+  const scaffolds = [
+    ...echoScaffolds(question, index, germanText),
+    templateScaffold(question, unitData, index, germanText),
+  ].filter(Boolean);
+
+  const seen = new Set();
+  const unique = scaffolds.filter(s => !seen.has(s.text) && seen.add(s.text));
+  // Nothing to build on: the phrases for asking the buddy to help out
+  if (!unique.length) {
+    for (const phrase of unitData?._cumulative?.universalFillers?.meta_conversation || ['Wie bitte?', 'Noch einmal, bitte.']) {
+      unique.push({ text: phrase, choices: [], words: [] });
+    }
+  }
+  return { question, scaffolds: unique.slice(0, MAX_SCAFFOLDS) };
+}
+
+module.exports = { buildHints, lastQuestion };
@@ -0,0 +1,206 @@
+/**
+ * Chalkboard pictures (server/imageMap.json): matching and authoring.
+ *
+ * matchImage() finds the picture for something the buddy said. Keywords match
+ * whole words only, so "Obst" no longer fires on "Obstacle". Keywords that
+ * are German words of the curriculum (any unit's vocabulary or allowed verb
+ * forms) also match their inflected forms: "tisch" matches "Tische", "essen"
+ * matches "isst". Nouns only match capitalised, so "see" (der See) matches
+ * "Seen" but not English "seen". Other keywords (the English ones) must
+ * appear as written.
+ *
+ * As a CLI it audits the map against the curriculum and proposes entries,
+ * one per noun in a unit's active_vocabulary not yet covered by a picture:
+ *
+ *   npm run audit:images
+ *   node server/imageMap.js --unit 7
+ *
+ * The JSON report lists picture files missing under frontend/public/images,
+ * map entries for units that don't exist, keywords that only match exactly,
+ * units with no pictures, and the proposals. Exits 1 when files are missing.
+ *
+ * FILE: server/imageMap.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { KB_DIR } = require('./curriculumValidator');
+
+const MAP_PATH = path.join(__dirname, 'imageMap.json');
+const PUBLIC_DIR = path.join(__dirname, '../frontend/public');
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../frontend/src/utils/germanText.js')).href;
+
+const ARTICLES = new Set(['der', 'die', 'das', 'sich']);
+const DEFAULT_DURATION = 5000;
+
+let loading = null;
+function loadGermanText() {
+  if (!loading) loading = import(MODULE_URL);
+  return loading;
+}
+
+/** The imageMap object from an imageMap.json file ({} when there is none) */
+function loadImageMap(file = MAP_PATH) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8')).imageMap || {};
+}
+
+// Headword without its article, or null for phrases
+function singleWord(word) {
+  const tokens = String(word || '').split(',')[0].trim().split(/\s+/).filter(t => t && !ARTICLES.has(t.toLowerCase()));
+  return tokens.length === 1 ? tokens[0].replace(/[.!?]+$/, '') : null;
+}
+
+const isCapitalized = (word) => word.charAt(0) !== word.charAt(0).toLowerCase();
+
+/**
+ * German words of the curriculum, for deciding which keywords are inflected.
+ * units: unit data objects
+ * returns: { lemmas: Map<lower-cased word, 'noun'|'word'>, verbOf: Map<form, infinitive> }
+ */
+function buildLexicon(units) {
+  const lemmas = new Map();
+  const verbOf = new Map();
+  for (const unit of units) {
+    for (const item of [...(unit.active_vocabulary?.items || []), ...(unit.passive_vocabulary?.items || [])]) {
+      const word = singleWord(typeof item === 'object' ? item.word : item);
+      // A word that is both ("Essen", "essen") may inflect either way
+      if (word && lemmas.get(word.toLowerCase()) !== 'word') lemmas.set(word.toLowerCase(), isCapitalized(word) ? 'noun' : 'word');
+    }
+    for (const [infinitive, tenses] of Object.entries(unit.allowed_verb_forms?.verbs || {})) {
+      lemmas.set(infinitive.toLowerCase(), 'word');
+      for (const persons of Object.values(tenses || {})) {
+        for (const form of Object.values(persons || {})) {
+          if (typeof form !== 'string') continue;
+          for (const token of form.toLowerCase().split(/\s+/)) {
+            if (!verbOf.has(token)) verbOf.set(token, infinitive.toLowerCase());
+          }
+        }
+      }
+    }
+  }
+  return { lemmas, verbOf };
+}
+
+/**
+ * The picture for a line of buddy text, or null.
+ * returns: { path, duration, description, keywords }
+ */
+async function matchImage(imageMap, lexicon, unit, text) {
+  const unitImages = imageMap[String(unit)];
+  if (!unitImages) return null;
+  const { tokenize, lemmaCandidates } = await loadGermanText();
+  const words = tokenize(text);
+
+  const wordMatches = (keyword, word) => {
+    const lower = word.toLowerCase();
+    if (lower === keyword) return true;
+    const kind = lexicon.lemmas.get(keyword);
+    if (!kind || (kind === 'noun' && !isCapitalized(word))) return false;
+    return lexicon.verbOf.get(lower) === keyword || lemmaCandidates(lower).includes(keyword);
+  };
+  // Multi-word keywords match consecutive words
+  const mentions = (keyword) => {
+    const parts = tokenize(keyword).map(k => k.toLowerCase());
+    if (!parts.length) return false;
+    for (let i = 0; i + parts.length <= words.length; i++) {
+      if (parts.every((part, j) => wordMatches(part, words[i + j]))) return true;
+    }
+    return false;
+  };
+
+  const imageConfig = (unitImages.images || []).find(img => (img.keywords || []).some(mentions));
+  if (!imageConfig) return null;
+  return {
+    path: imageConfig.path,
+    duration: imageConfig.duration,
+    description: imageConfig.description,
+    keywords: imageConfig.keywords || [],
+  };
+}
+
+/** "/images/unit-05", "/images/unit-B03" — where a unit's picture files go */
+function imageDirFor(unit) {
+  const m = String(unit).match(/^([A-Z]*)(\d+)$/i);
+  return `/images/unit-${m ? m[1].toUpperCase() + m[2].padStart(2, '0') : unit}`;
+}
+
+function slugify(word) {
+  return word.toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Checks an imageMap against the curriculum and proposes entries.
+ * units: unit data objects; onlyUnit: limit the proposals to one unit
+ */
+function auditImageMap({ imageMap, units, publicDir = PUBLIC_DIR, onlyUnit = null }) {
+  const lexicon = buildLexicon(units);
+  const unitIds = new Set(units.map(u => String(u.unit)));
+  const missingFiles = [];
+  const exactOnlyKeywords = [];
+  for (const [unit, config] of Object.entries(imageMap)) {
+    for (const img of config.images || []) {
+      if (!img.path || !fs.existsSync(path.join(publicDir, img.path))) missingFiles.push({ unit, path: img.path || null });
+    }
+    const exact = [...new Set((config.images || []).flatMap(img => img.keywords || []))]
+      .filter(k => !k.toLowerCase().split(/\s+/).every(part => lexicon.lemmas.has(part)));
+    if (exact.length) exactOnlyKeywords.push({ unit, keywords: exact });
+  }
+
+  const proposals = {};
+  for (const unit of units) {
+    const id = String(unit.unit);
+    if (onlyUnit != null && id !== String(onlyUnit)) continue;
+    const covered = new Set((imageMap[id]?.images || []).flatMap(img => (img.keywords || []).map(k => k.toLowerCase())));
+    const images = [];
+    for (const item of unit.active_vocabulary?.items || []) {
+      if (item?.pos !== 'NOUN') continue;
+      const noun = singleWord(item.word)?.toLowerCase();
+      if (!noun || covered.has(noun) || images.some(img => img.keywords[0] === noun)) continue;
+      images.push({
+        keywords: [noun],
+        path: `${imageDirFor(id)}/${slugify(noun)}.svg`,
+        duration: DEFAULT_DURATION,
+        description: String(item.translation || noun).split(',')[0].trim(),
+      });
+    }
+    if (images.length) proposals[id] = { images };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    unitCount: units.length,
+    unitsWithImages: Object.keys(imageMap).filter(u => unitIds.has(u)).length,
+    unitsWithoutImages: [...unitIds].filter(u => !(imageMap[u]?.images || []).length),
+    unknownUnits: Object.keys(imageMap).filter(u => !unitIds.has(u)),
+    missingFiles,
+    exactOnlyKeywords,
+    proposals,
+  };
+}
+
+// Unit files that parse and have a unit id (npm run validate:curriculum reports the rest)
+function loadUnits(kbDir = KB_DIR) {
+  const units = [];
+  for (const file of fs.readdirSync(kbDir).filter(f => f.endsWith('.json')).sort()) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(kbDir, file), 'utf8'));
+      if (data.unit !== undefined) units.push(data);
+    } catch {
+      // skipped
+    }
+  }
+  return units;
+}
+
+if (require.main === module) {
+  const unitFlag = process.argv.indexOf('--unit');
+  const onlyUnit = unitFlag !== -1 ? process.argv[unitFlag + 1] : null;
+  const report = auditImageMap({ imageMap: loadImageMap(), units: loadUnits(), onlyUnit });
+  console.log(JSON.stringify(report, null, 2));
+  process.exitCode = report.missingFiles.length ? 1 : 0;
+}
+
+module.exports = { loadImageMap, buildLexicon, matchImage, auditImageMap, imageDirFor };
@@ -0,0 +1,240 @@
+/**
+ * Persona database tooling: loading with encoding repair, persona generation,
+ * and checks.
+ *
+ * server/personaDatabase.json is hand-edited, and editors on Windows have
+ * saved it as Windows-1252 before — read as UTF-8 that turns "Müller" into
+ * "M�ller", and the buddy introduces itself with the broken name.
+ * loadPersonaDatabase() reads the file as UTF-8 when it is valid UTF-8 and as
+ * Windows-1252 otherwise, and NFC-normalises every string.
+ *
+ * buildPersona() picks one option per trait with a seeded PRNG, so the same
+ * seed always gives the same buddy. Picks respect the database's `_rules`:
+ *   { "if":   { "Wohnsituation": ["in einer WG in Wien"] },
+ *     "then": { "Wohnort": ["Wien"] } }
+ * `then` lists the allowed values, or { "not": [...] } the excluded ones. A
+ * rule applies once all its traits are picked; when no option of a trait fits
+ * (the chapter row lacks one), the rule is ignored for that persona.
+ *
+ * validatePersonaDatabase() checks the rows against the chapter tables and
+ * the curriculum. Issue codes:
+ *   missing_chapter  (error)   a chapter with no row — generatePersona falls back to ID1_Ch8,
+ *                              or fails when NODE_ENV=development
+ *   unknown_key      (error)   a key that isn't <book>_Ch<n> for a known book and chapter
+ *   option_count     (error)   a trait without OPTIONS_PER_TRAIT options
+ *   encoding         (error)   an option still containing U+FFFD, i.e. lost characters
+ *   rule             (error)   a _rules entry naming a trait no chapter has
+ *   vocabulary       (warning) an option using words outside the cumulative vocabulary
+ *                              at the first unit of its chapter (names and places are not checked)
+ *
+ * FILE: server/personaTools.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { ALL_CHAPTERS } = require('./chapters');
+
+const DATABASE_PATH = path.join(__dirname, 'personaDatabase.json');
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../frontend/src/utils/germanText.js')).href;
+
+const OPTIONS_PER_TRAIT = 5;
+const UNAVAILABLE = '-';
+// Proper names are free to use at any level
+const NAME_TRAITS = new Set(['Vorname', 'Nachname', 'Geburtsort', 'Wohnort', 'Lieblingsfilm/Serie', 'Lieblingsreiseziel']);
+// Unit id of a book's track position
+const UNIT_PREFIX = { ID1: '', ID2B: 'B', ID2O: 'O' };
+
+// Windows-1252 differs from Latin-1 only in 0x80–0x9F
+const CP1252_HIGH = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ', 0x89: '‰',
+  0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+  0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ',
+};
+
+let loading = null;
+function loadGermanText() {
+  if (!loading) loading = import(MODULE_URL);
+  return loading;
+}
+
+/** File bytes → { text, encoding: 'utf-8'|'windows-1252' } */
+function decodeText(buffer) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { text: text.replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+  } catch {
+    const text = Array.from(buffer, b => CP1252_HIGH[b] || String.fromCharCode(b)).join('');
+    return { text, encoding: 'windows-1252' };
+  }
+}
+
+function normalizeStrings(value) {
+  if (typeof value === 'string') return value.normalize('NFC');
+  if (Array.isArray(value)) return value.map(normalizeStrings);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k.normalize('NFC'), normalizeStrings(v)]));
+  }
+  return value;
+}
+
+/**
+ * The chapter rows of the persona database, meta keys (_comment) stripped.
+ * returns: { database: { [chapterKey]: { [trait]: string[] } }, rules, encoding }
+ */
+function loadPersonaDatabase(file = DATABASE_PATH) {
+  if (!fs.existsSync(file)) return { database: {}, rules: [], encoding: null };
+  const { text, encoding } = decodeText(fs.readFileSync(file));
+  const raw = normalizeStrings(JSON.parse(text));
+  const database = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!key.startsWith('_')) database[key] = value;
+  }
+  const rules = Array.isArray(raw._rules) ? raw._rules.filter(r => r && typeof r === 'object') : [];
+  return { database, rules, encoding };
+}
+
+/** Map (book, chapter) → persona database key */
+function personaChapterKey(book, chapter) {
+  return UNIT_PREFIX[book] !== undefined ? `${book}_Ch${chapter}` : null;
+}
+
+/** A random seed for a new persona */
+function newPersonaSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+// Seeded PRNG in [0, 1): xmur3 string hash → mulberry32
+function createRandom(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  let a = (h ^ (h >>> 16)) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A rule's list of allowed values, or { not: [...] }
+function allows(spec, value) {
+  if (Array.isArray(spec)) return spec.includes(value);
+  if (spec && Array.isArray(spec.not)) return !spec.not.includes(value);
+  return true;
+}
+
+// Whether the traits picked so far break a rule. Unavailable traits (null)
+// neither trigger a rule nor break one.
+function breaksRule(picked, rule) {
+  const conditions = Object.entries(rule.if || {});
+  const requirements = Object.entries(rule.then || {});
+  if (![...conditions, ...requirements].every(([trait]) => trait in picked)) return false;
+  if (!conditions.every(([trait, spec]) => picked[trait] != null && allows(spec, picked[trait]))) return false;
+  return requirements.some(([trait, spec]) => picked[trait] != null && !allows(spec, picked[trait]));
+}
+
+/**
+ * One option per trait ("-" → null), reproducible for a given seed.
+ * traits: a chapter row; rules: the database's _rules
+ */
+function buildPersona(traits, { seed = newPersonaSeed(), rules = [] } = {}) {
+  const random = createRandom(String(seed));
+  const persona = {};
+  for (const [trait, options] of Object.entries(traits)) {
+    const values = options.map(o => (o === UNAVAILABLE ? null : o));
+    const fitting = values.filter(v => !rules.some(rule => breaksRule({ ...persona, [trait]: v }, rule)));
+    const pool = fitting.length ? fitting : values;
+    persona[trait] = pool[Math.floor(random() * pool.length)];
+  }
+  return persona;
+}
+
+// Known German words at a unit: every token of its cumulative vocabulary, verb forms and fillers
+function knownWords(cumulative, tokenize) {
+  const known = new Set();
+  const add = (text) => tokenize(String(text || '')).forEach(t => known.add(t.toLowerCase()));
+  for (const item of [...(cumulative?.activeVocabulary || []), ...(cumulative?.passiveVocabulary || [])]) {
+    add(typeof item === 'object' ? item.word : item);
+  }
+  for (const [infinitive, tenses] of Object.entries(cumulative?.verbForms || {})) {
+    add(infinitive);
+    for (const persons of Object.values(tenses || {})) Object.values(persons || {}).forEach(add);
+  }
+  for (const list of Object.values(cumulative?.universalFillers || {})) {
+    if (Array.isArray(list)) list.forEach(add);
+  }
+  return known;
+}
+
+/**
+ * Checks the persona rows.
+ * cumulativeFor(book, unitId): the `_cumulative` block of that unit (buildCumulativeUnit), or null
+ * returns: { valid, errorCount, warningCount, issues: [{ severity, code, chapterKey, trait?, option?, words?, message }] }
+ */
+async function validatePersonaDatabase(database, { cumulativeFor, rules = [] }) {
+  const { tokenize, lemmaCandidates } = await loadGermanText();
+  const issues = [];
+  const add = (severity, code, chapterKey, message, extra = {}) => issues.push({ severity, code, chapterKey, ...extra, message });
+
+  const expected = new Map();   // chapterKey → { book, chapter, unitStart }
+  for (const [book, chapters] of Object.entries(ALL_CHAPTERS)) {
+    for (const ch of chapters) expected.set(personaChapterKey(book, ch.chapter), { book, unitStart: ch.unitStart });
+  }
+  for (const key of expected.keys()) {
+    if (!database[key]) add('error', 'missing_chapter', key, `no persona row for ${key} — sessions fall back to ID1_Ch8 (and fail in development)`);
+  }
+
+  for (const [key, traits] of Object.entries(database)) {
+    const chapter = expected.get(key);
+    if (!chapter) {
+      add('error', 'unknown_key', key, `${key} is not a chapter of any book`);
+      continue;
+    }
+    const cumulative = cumulativeFor(chapter.book, `${UNIT_PREFIX[chapter.book]}${chapter.unitStart}`);
+    const known = cumulative ? knownWords(cumulative, tokenize) : null;
+    const isKnown = (word) => /^\d+$/.test(word) || lemmaCandidates(word).some(c => known.has(c));
+
+    for (const [trait, options] of Object.entries(traits || {})) {
+      if (!Array.isArray(options) || options.length !== OPTIONS_PER_TRAIT) {
+        add('error', 'option_count', key, `${key} ${trait}: expected ${OPTIONS_PER_TRAIT} options`, { trait });
+        continue;
+      }
+      for (const option of options) {
+        if (typeof option !== 'string' || option === UNAVAILABLE) continue;
+        if (option.includes('\uFFFD')) {
+          add('error', 'encoding', key, `${key} ${trait}: "${option}" has lost characters`, { trait, option });
+          continue;
+        }
+        if (!known || NAME_TRAITS.has(trait)) continue;
+        const words = tokenize(option).filter(w => !isKnown(w));
+        if (words.length) {
+          add('warning', 'vocabulary', key, `${key} ${trait}: "${option}" uses ${words.join(', ')}`, { trait, option, words });
+        }
+      }
+    }
+  }
+
+  const traitNames = new Set(Object.values(database).flatMap(traits => Object.keys(traits || {})));
+  rules.forEach((rule, i) => {
+    const unknown = [...Object.keys(rule.if || {}), ...Object.keys(rule.then || {})].filter(t => !traitNames.has(t));
+    if (unknown.length) add('error', 'rule', null, `_rules[${i}] names unknown trait(s): ${unknown.join(', ')}`);
+  });
+
+  const errorCount = issues.filter(i => i.severity === 'error').length;
+  return { valid: errorCount === 0, errorCount, warningCount: issues.length - errorCount, issues };
+}
+
+module.exports = {
+  DATABASE_PATH,
+  loadPersonaDatabase,
+  personaChapterKey,
+  newPersonaSeed,
+  buildPersona,
+  validatePersonaDatabase,
+  decodeText,
+};
@@ -0,0 +1,249 @@
+/**
+ * Pronunciation assessment for student turns.
+ *
+ * Nothing here listens to phonemes. The transcriber reports what it heard
+ * and how sure it was of each word, and that is compared with what the
+ * student was most likely trying to say:
+ *   repetition  — the turn repeats most of the buddy's previous line, so that
+ *                 line is the target, aligned word by word
+ *   vocabulary  — otherwise each heard word close to a word of the unit's
+ *                 cumulative vocabulary is checked against that word
+ * A target word is flagged when it was heard as a different word or with
+ * low confidence. Flagged words are then checked for the sounds English
+ * speakers most often get wrong: umlauts, ch, r, and final devoicing.
+ *
+ * Words are split and reduced to base forms by frontend/src/utils/germanText.js,
+ * loaded with import() as in feedbackReport.js.
+ *
+ * FILE: server/pronunciation.js
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../frontend/src/utils/germanText.js')).href;
+
+const LOW_CONFIDENCE = 0.6;          // below this the transcriber was guessing
+const MATCH_SIMILARITY = 0.7;        // heard ↔ target words this close are the same attempt
+const REPETITION_OVERLAP = 0.6;      // share of the buddy's line the turn must contain to count as a repetition
+const MIN_WORD_LENGTH = 3;           // short function words tell us nothing
+
+let loading = null;
+function loadGermanText() {
+  if (!loading) loading = import(MODULE_URL);
+  return loading;
+}
+
+const count = (w, re) => (w.match(re) || []).length;
+const VOICED_FINAL = { b: 'p', d: 't', g: 'k' };
+
+// Each sound: does the target word contain it, and does what was heard look
+// like the typical mistake with it? (germanText: the loaded germanText.js module)
+const SOUNDS = [
+  {
+    id: 'umlaut',
+    label: 'umlaut',
+    has: (w) => /[äöü]/.test(w),
+    confused: (w, heard, { removeUmlauts }) => removeUmlauts(w) !== w && removeUmlauts(heard) === removeUmlauts(w) && heard !== w,
+    tip: 'Keep the umlaut: ü is "ee" with rounded lips, ö is "e" with rounded lips, ä sounds like the "e" in "bed".',
+  },
+  {
+    id: 'ch',
+    label: 'ch',
+    has: (w) => /ch/.test(w),
+    confused: (w, heard) => count(heard, /ch/g) < count(w, /ch/g),
+    tip: '"ch" is never a "k": after e, i, ä, ö, ü it is a soft hiss (ich), after a, o, u a breathy throat sound (Buch).',
+  },
+  {
+    id: 'r',
+    label: 'r',
+    has: (w) => /r/.test(w),
+    confused: (w, heard) => count(heard, /r/g) < count(w, /r/g),
+    tip: 'The German r is made at the back of the throat; at the end of a word (der, Bruder) it softens to a short "a".',
+  },
+  {
+    id: 'final-devoicing',
+    label: 'final b/d/g',
+    has: (w) => /[bdg]$/.test(w),
+    confused: (w, heard) => heard === `${w}e` || heard === w.slice(0, -1) + VOICED_FINAL[w.slice(-1)],
+    tip: 'At the end of a word b, d and g sound like p, t and k: "Hund" sounds like "Hunt", "Tag" like "Tak".',
+  },
+];
+
+function words(text, { tokenize, normalizeWord }) {
+  return tokenize(text).map(normalizeWord);
+}
+
+// Base forms that keep the word's umlauts: an inflected form of a vocabulary
+// word is the right word, but "schon" is a mishearing of "schön", not a form of it
+function baseForms(w, { lemmaCandidates }) {
+  const umlauts = count(w, /[äöü]/g);
+  return lemmaCandidates(w).filter(c => count(c, /[äöü]/g) === umlauts);
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = Math.min(row[j] + 1, row[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = row[j];
+      row[j] = next;
+    }
+  }
+  return row[b.length];
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Word-by-word alignment (edit-distance style, fuzzy word matches).
+ * returns: for each target word, the index of the heard word it matches, or -1
+ */
+function align(target, heard) {
+  const n = target.length;
+  const m = heard.length;
+  const cost = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => i + j));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const sub = 1 - similarity(target[i - 1], heard[j - 1]);
+      cost[i][j] = Math.min(cost[i - 1][j] + 1, cost[i][j - 1] + 1, cost[i - 1][j - 1] + sub * 2);
+    }
+  }
+  const match = new Array(n).fill(-1);
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    const sub = 1 - similarity(target[i - 1], heard[j - 1]);
+    if (cost[i][j] === cost[i - 1][j - 1] + sub * 2) {
+      if (similarity(target[i - 1], heard[j - 1]) >= MATCH_SIMILARITY) match[i - 1] = j - 1;
+      i--;
+      j--;
+    } else if (cost[i][j] === cost[i - 1][j] + 1) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  return match;
+}
+
+function assessWord(expected, heard, confidence, germanText) {
+  const misheard = heard !== expected;
+  const lowConfidence = confidence !== null && confidence < LOW_CONFIDENCE;
+  // A mishearing names the sound; low confidence alone only says which sounds are likely
+  const issues = misheard
+    ? SOUNDS.filter(s => s.confused(expected, heard, germanText)).map(s => s.id)
+    : lowConfidence ? SOUNDS.filter(s => s.has(expected)).map(s => s.id) : [];
+  return { expected, heard, confidence, flagged: misheard || lowConfidence, issues };
+}
+
+/** Every word of a cumulative unit's vocabulary (as in /api/cumulative `_cumulative`) */
+async function vocabularyWords(cumulative = {}) {
+  const germanText = await loadGermanText();
+  const out = new Set();
+  const add = (text) => words(text, germanText).forEach(w => { if (w.length >= MIN_WORD_LENGTH) out.add(w); });
+  const itemWord = (item) => (typeof item === 'object' ? item?.word : item);
+  for (const item of cumulative.activeVocabulary || []) add(itemWord(item));
+  for (const item of cumulative.passiveVocabulary || []) add(itemWord(item));
+  for (const [verb, tenses] of Object.entries(cumulative.verbForms || {})) {
+    add(verb);
+    for (const persons of Object.values(tenses || {})) {
+      for (const form of Object.values(persons || {})) add(form);
+    }
+  }
+  return out;
+}
+
+/**
+ * Assess one student turn.
+ * heardWords: [{ word, confidence }] from the transcriber (confidence 0–1, or null)
+ * prompt: the buddy's line before this turn; vocabulary: Set from vocabularyWords()
+ * returns: { mode: 'repetition'|'vocabulary', words: [{ expected, heard, confidence, flagged, issues }] } | null
+ */
+async function assessTurn({ heardWords = [], prompt = '', vocabulary = new Set() }) {
+  const germanText = await loadGermanText();
+  const heard = heardWords.map(w => ({ word: (words(w.word, germanText)[0] || ''), confidence: Number.isFinite(w.confidence) ? w.confidence : null }))
+    .filter(w => w.word);
+  if (!heard.length) return null;
+  const heardList = heard.map(w => w.word);
+
+  const target = words(prompt, germanText).filter(w => w.length >= MIN_WORD_LENGTH);
+  if (target.length) {
+    const match = align(target, heardList);
+    const found = match.filter(j => j >= 0).length;
+    // Most of the line is there, and the turn is mostly that line (not a long answer quoting it)
+    if (target.length >= 2 && found / target.length >= REPETITION_OVERLAP && found / heardList.length >= 0.5) {
+      // Words left out aren't a pronunciation problem (and may be "Sag mal:")
+      return {
+        mode: 'repetition',
+        words: target.flatMap((w, i) => match[i] >= 0 ? [assessWord(w, heard[match[i]].word, heard[match[i]].confidence, germanText)] : []),
+      };
+    }
+  }
+
+  const bases = new Set([...vocabulary].flatMap(v => baseForms(v, germanText)));
+  const assessed = [];
+  for (const { word, confidence } of heard) {
+    if (word.length < MIN_WORD_LENGTH) continue;
+    if (vocabulary.has(word) || baseForms(word, germanText).some(b => bases.has(b))) {
+      assessed.push(assessWord(word, word, confidence, germanText));
+      continue;
+    }
+    let best = null;
+    let bestScore = MATCH_SIMILARITY;
+    for (const v of vocabulary) {
+      if (Math.abs(v.length - word.length) > 2) continue;
+      const score = similarity(v, word);
+      if (score >= bestScore) {
+        best = v;
+        bestScore = score;
+      }
+    }
+    if (best) assessed.push(assessWord(best, word, confidence, germanText));
+  }
+  return assessed.length ? { mode: 'vocabulary', words: assessed } : null;
+}
+
+/**
+ * Session summary for the feedback screen.
+ * returns: { assessedWords, clear: string[], practice: [{ word, heardAs, issues: [{ id, label, tip }] }] } | null
+ */
+function summarizePronunciation(assessments = [], { limit = 6 } = {}) {
+  const byWord = new Map();
+  for (const a of assessments) {
+    for (const w of a?.words || []) {
+      const entry = byWord.get(w.expected) || { word: w.expected, attempts: 0, flagged: 0, heardAs: new Set(), issues: new Set() };
+      entry.attempts++;
+      if (w.flagged) {
+        entry.flagged++;
+        if (w.heard && w.heard !== w.expected) entry.heardAs.add(w.heard);
+        w.issues.forEach(i => entry.issues.add(i));
+      }
+      byWord.set(w.expected, entry);
+    }
+  }
+  if (!byWord.size) return null;
+
+  const entries = [...byWord.values()];
+  const practice = entries
+    .filter(e => e.flagged > 0)
+    .sort((a, b) => b.flagged - a.flagged || b.issues.size - a.issues.size)
+    .slice(0, limit)
+    .map(e => ({
+      word: e.word,
+      heardAs: [...e.heardAs],
+      issues: SOUNDS.filter(s => e.issues.has(s.id)).map(({ id, label, tip }) => ({ id, label, tip })),
+    }));
+  const clear = entries
+    .filter(e => e.flagged === 0)
+    .sort((a, b) => b.attempts - a.attempts)
+    .slice(0, limit)
+    .map(e => e.word);
+  return { assessedWords: entries.length, clear, practice };
+}
+
+module.exports = { assessTurn, summarizePronunciation, vocabularyWords, SOUNDS };
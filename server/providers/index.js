@@ -0,0 +1,41 @@
+/**
+ * AI provider registry.
+ *
+ * A provider implements:
+ *   chat({ purpose, messages, temperature?, maxTokens?, presencePenalty?, frequencyPenalty? }) → Promise<string>
+ *   transcribe({ filePath, language? })  → Promise<string>
+ *   transcribeWords({ filePath, language? }) → Promise<{ text, words: [{ word, confidence }] }>
+ *   speech({ text, voice?, speed? })      → Promise<{ buffer, contentType }>
+ *   createRealtimeSession({ instructions, voice?, temperature?, maxTokens?, language? }, { direct? })
+ *                                        → Promise<{ clientSecret, expiresAt, model, transport, url? }>
+ *   realtimeRelayTarget({ instructions, … }) → { url, headers, session }
+ *
+ * `purpose` names what the call is for ('conversation', 'feedback',
+ * 'classify-topic', …) so each provider can pick its own model. `transport`
+ * tells the browser how to reach the voice session: 'relay' (through
+ * server/realtimeRelay.js, which connects to realtimeRelayTarget), 'webrtc'
+ * (OpenAI directly, with the ephemeral key — only when `direct` is set) or
+ * 'simulator' (the local WebSocket simulator at `url`). The Realtime session
+ * is configured in full on the server (prompt, voice, transcription, manual
+ * turns). Only the relay keeps the prompt from the browser: a WebRTC session
+ * echoes it back in session.created and takes the browser's session.update.
+ *
+ * AI_PROVIDER selects the backend: 'openai' (default) or 'mock'.
+ *
+ * FILE: server/providers/index.js
+ */
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+function createProvider(name = process.env.AI_PROVIDER || 'openai') {
+  const factory = PROVIDERS[name];
+  if (!factory) throw new Error(`Unknown AI_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  return factory();
+}
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,177 @@
+/**
+ * Mock provider — deterministic local stand-in for the OpenAI backend.
+ *
+ * Selected with AI_PROVIDER=mock. Needs no API key and makes no network
+ * calls, so the whole app (including /api/feedback and /api/classify-topic)
+ * runs offline in development and in automated checks. The same input always
+ * produces the same output.
+ *
+ * chat() answers by `purpose` and reads the prompts server.js builds:
+ *   conversation    — short German replies from a fixed script
+ *   feedback        — credits the first goals listed under "Unit N: …" and
+ *                     corrects "ich" with a du/er verb ending ("ich wohnst")
+ *   classify-topic  — matches topics that share a word with the utterance
+ *   classify-goal   — matches goals sharing a word stem (first four letters) with the utterance
+ *   student-facts   — notes "Ich komme aus …", "Ich wohne in …", "Ich studiere …" and
+ *                     "Ich … gern …" from the student's lines
+ *
+ * FILE: server/providers/mockProvider.js
+ */
+const fs = require('fs');
+
+const CONVERSATION_SCRIPT = [
+  'Hallo! Wie heißt du?',
+  'Schön! Woher kommst du?',
+  'Interessant! Wie geht es dir?',
+  'Super. Was studierst du?',
+  'Toll! Und was machst du gern?',
+  'Ach so, cool. Erzähl mal mehr!',
+];
+
+const TRANSCRIPTS = [
+  'Hallo, ich heiße Alex.',
+  'Ich komme aus Berlin.',
+  'Mir geht es gut, danke.',
+  'Ich studiere Informatik.',
+];
+
+function conversationReply(messages) {
+  const assistantTurns = messages.filter(m => m.role === 'assistant').length;
+  return CONVERSATION_SCRIPT[Math.min(assistantTurns, CONVERSATION_SCRIPT.length - 1)];
+}
+
+function feedbackReply(prompt) {
+  const goals = [];
+  for (const line of prompt.split('\n')) {
+    const m = line.match(/^Unit (\S+): (.+)$/);
+    if (m) for (const goal of m[2].split('; ')) goals.push({ unit: m[1], goal });
+  }
+  const picked = goals.slice(0, 2);
+  const utterances = (prompt.split('Student utterances from this session:\n')[1] || '').split('\n\n')[0].split('\n');
+  const corrections = [];
+  for (const u of utterances) {
+    const m = u.match(/\bich ([a-zäöüß]{2,}?)(st|t)\b/i);
+    if (m) {
+      corrections.push({
+        original: m[0],
+        corrected: `${m[0].slice(0, 3)} ${m[1]}e`,
+        rule: 'With "ich" the verb ends in -e.',
+      });
+    }
+  }
+  return JSON.stringify({
+    items: picked.map(g => `You were able to ${g.goal}.`),
+    goals: picked,
+    corrections,
+    nextSteps: ['Ask your buddy a question of your own.'],
+  });
+}
+
+function classifyTopicReply(prompt) {
+  const utterance = (prompt.match(/Utterance: "([\s\S]*?)"\n/) || [])[1] || '';
+  const words = new Set(utterance.toLowerCase().match(/[a-zäöüß]{4,}/g) || []);
+  const matched = [];
+  let primaryPool = 'none';
+  for (const line of prompt.split('\n')) {
+    const m = line.match(/^(\d+)\. \[(current|review)\] (.+)$/);
+    if (!m) continue;
+    const topicWords = m[3].toLowerCase().match(/[a-zäöüß]{4,}/g) || [];
+    if (topicWords.some(w => words.has(w))) {
+      matched.push(Number(m[1]));
+      if (primaryPool === 'none') primaryPool = m[2];
+    }
+  }
+  return JSON.stringify({ matchedIndices: matched, primaryPool });
+}
+
+function classifyGoalReply(prompt) {
+  const utterance = (prompt.match(/Utterance: "([\s\S]*?)"\n/) || [])[1] || '';
+  const stems = new Set((utterance.toLowerCase().match(/[a-zäöüß]{4,}/g) || []).map(w => w.slice(0, 4)));
+  const matched = [];
+  for (const line of prompt.split('\n')) {
+    const m = line.match(/^(\d+)\. (.+)$/);
+    if (!m) continue;
+    const goalStems = (m[2].toLowerCase().match(/[a-zäöüß]{4,}/g) || []).map(w => w.slice(0, 4));
+    if (goalStems.some(s => stems.has(s))) matched.push(Number(m[1]));
+  }
+  return JSON.stringify({ matchedIndices: matched });
+}
+
+const FACT_PATTERNS = [
+  { topic: 'origin', re: /\bich komme aus ([^.,!?]+)/i, note: m => `comes from ${m[1]}` },
+  { topic: 'home', re: /\bich wohne in ([^.,!?]+)/i, note: m => `lives in ${m[1]}` },
+  { topic: 'studies', re: /\bich studiere ([^.,!?]+)/i, note: m => `studies ${m[1]}` },
+  { topic: 'hobbies', re: /\bich \S+ gerne? [^.,!?]*/i, note: m => `says "${m[0]}"` },
+];
+
+function studentFactsReply(prompt) {
+  const transcript = (prompt.split("Transcript of today's conversation:\n")[1] || '').split('\n\n')[0];
+  const facts = {};
+  for (const line of transcript.split('\n')) {
+    if (!line.startsWith('Student: ')) continue;
+    for (const { topic, re, note } of FACT_PATTERNS) {
+      const m = line.match(re);
+      if (m) facts[topic] = note(m);
+    }
+  }
+  return JSON.stringify({ facts });
+}
+
+// Silent 16-bit mono WAV, ~60 ms per word — enough for audio players to behave
+function silentWav(text) {
+  const sampleRate = 16000;
+  const words = String(text).split(/\s+/).filter(Boolean).length || 1;
+  const samples = Math.round(sampleRate * 0.06 * words);
+  const buf = Buffer.alloc(44 + samples * 2);
+  buf.write('RIFF', 0); buf.writeUInt32LE(36 + samples * 2, 4); buf.write('WAVE', 8);
+  buf.write('fmt ', 12); buf.writeUInt32LE(16, 16); buf.writeUInt16LE(1, 20); buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(sampleRate, 24); buf.writeUInt32LE(sampleRate * 2, 28); buf.writeUInt16LE(2, 32); buf.writeUInt16LE(16, 34);
+  buf.write('data', 36); buf.writeUInt32LE(samples * 2, 40);
+  return buf;
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    models: {},
+
+    async chat({ purpose = 'default', messages = [] }) {
+      const prompt = messages.map(m => m.content).join('\n');
+      if (purpose === 'conversation') return conversationReply(messages);
+      if (purpose === 'feedback') return feedbackReply(prompt);
+      if (purpose === 'classify-topic') return classifyTopicReply(prompt);
+      if (purpose === 'classify-goal') return classifyGoalReply(prompt);
+      if (purpose === 'student-facts') return studentFactsReply(prompt);
+      return '{}';
+    },
+
+    // Picks a canned student line from the upload size
+    async transcribe({ filePath }) {
+      const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+      return TRANSCRIPTS[size % TRANSCRIPTS.length];
+    },
+
+    // Umlauts and ch come back less certain, so pronunciation feedback has something to show
+    async transcribeWords({ filePath }) {
+      const text = await this.transcribe({ filePath });
+      const words = text.split(/\s+/).filter(Boolean).map(word => ({ word, confidence: /[äöü]|ch/i.test(word) ? 0.45 : 0.92 }));
+      return { text, words };
+    },
+
+    async speech({ text }) {
+      return { buffer: silentWav(text), contentType: 'audio/wav' };
+    },
+
+    // Voice sessions go to the local Realtime simulator (server/realtimeSimulator.js)
+    async createRealtimeSession() {
+      return { clientSecret: 'mock-ephemeral-key', expiresAt: null, model: 'mock-realtime', transport: 'simulator', url: '/realtime-sim' };
+    },
+
+    // The relay (forced with ?transport=relay) goes to the same simulator
+    realtimeRelayTarget(config = {}) {
+      return { url: `ws://127.0.0.1:${process.env.PORT || 3000}/realtime-sim`, headers: {}, session: { ...config } };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,166 @@
+/**
+ * OpenAI provider — the production backend.
+ *
+ * Every OpenAI model name the server uses lives in MODELS, keyed by the
+ * purpose the caller passes in, so switching a model is a one-line change.
+ *
+ * FILE: server/providers/openaiProvider.js
+ */
+const fs = require('fs');
+const https = require('https');
+const OpenAI = require('openai');
+
+const MODELS = {
+  conversation: 'gpt-4-turbo',          // typed text chat (/api/conversation/*)
+  feedback: 'gpt-4o-mini',              // post-session feedback
+  'classify-topic': 'gpt-4o-mini',      // Conversation Manager topic balance
+  'classify-goal': 'gpt-4o-mini',       // Conversation Manager communicative-goal tracking
+  'student-facts': 'gpt-4o-mini',       // notes on the student for the buddy's memory
+  default: 'gpt-4o-mini',
+  transcribe: 'gpt-4o-transcribe',      // better accuracy than whisper-1 for short clips
+  speech: 'tts-1-hd',                   // HD model for better quality
+  realtime: 'gpt-4o-realtime-preview-2024-12-17',
+  'realtime-transcribe': 'whisper-1',   // input transcription inside the Realtime session
+};
+
+// Realtime session settings — turn_detection is off: the app commits each
+// turn itself (push-to-talk)
+function realtimeSessionConfig({ instructions, voice = 'verse', temperature, maxTokens, language = 'de' } = {}) {
+  return {
+    modalities: ['text', 'audio'],
+    instructions,
+    voice,
+    input_audio_format: 'pcm16',
+    output_audio_format: 'pcm16',
+    input_audio_transcription: { model: MODELS['realtime-transcribe'], language },
+    turn_detection: null,
+    temperature,
+    max_response_output_tokens: maxTokens,
+  };
+}
+
+// Token logprobs → words, each with the probability the model gave it
+function wordsFromLogprobs(logprobs = []) {
+  const words = [];
+  for (const { token, logprob } of logprobs) {
+    const last = words[words.length - 1];
+    if (!last || /^\s/.test(token)) words.push({ word: token.trim(), logprob });
+    else {
+      last.word += token;
+      last.logprob += logprob;
+    }
+  }
+  return words.filter(w => w.word).map(w => ({ word: w.word, confidence: Math.exp(w.logprob) }));
+}
+
+function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY } = {}) {
+  if (!apiKey) throw new Error('OPENAI_API_KEY is not set (use AI_PROVIDER=mock to run without one)');
+  const openai = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    models: MODELS,
+
+    async chat({ purpose = 'default', messages, temperature, maxTokens, presencePenalty, frequencyPenalty }) {
+      const completion = await openai.chat.completions.create({
+        model: MODELS[purpose] || MODELS.default,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        presence_penalty: presencePenalty,
+        frequency_penalty: frequencyPenalty,
+      });
+      return completion.choices[0].message.content;
+    },
+
+    // filePath must carry an extension (e.g. .webm) — the API uses it to detect the format
+    async transcribe({ filePath, language = 'de' }) {
+      const transcription = await openai.audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model: MODELS.transcribe,
+        language,
+      });
+      return transcription.text || '';
+    },
+
+    // Same, plus per-word confidence (pronunciation feedback)
+    async transcribeWords({ filePath, language = 'de' }) {
+      const transcription = await openai.audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model: MODELS.transcribe,
+        language,
+        response_format: 'json',
+        include: ['logprobs'],
+      });
+      return { text: transcription.text || '', words: wordsFromLogprobs(transcription.logprobs) };
+    },
+
+    async speech({ text, voice = 'onyx', speed = 1.0 }) {
+      const mp3 = await openai.audio.speech.create({
+        model: MODELS.speech,
+        voice,
+        input: text,
+        speed,
+        response_format: 'mp3',
+      });
+      return { buffer: Buffer.from(await mp3.arrayBuffer()), contentType: 'audio/mpeg' };
+    },
+
+    // Ephemeral key for a browser WebRTC Realtime session, created with the
+    // full session config. The key's holder receives session.created/updated
+    // with the instructions in them and may send its own session.update, so
+    // it is only minted with `direct` (REALTIME_TRANSPORT=webrtc); otherwise
+    // the browser goes through the server relay and gets no key at all
+    createRealtimeSession(config, { direct = false } = {}) {
+      if (!direct) return Promise.resolve({ clientSecret: null, expiresAt: null, model: MODELS.realtime, transport: 'relay' });
+      return new Promise((resolve, reject) => {
+        const data = JSON.stringify({ model: MODELS.realtime, ...realtimeSessionConfig(config) });
+        const options = {
+          hostname: 'api.openai.com',
+          port: 443,
+          path: '/v1/realtime/sessions',
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(data),
+          },
+        };
+
+        const req = https.request(options, (res) => {
+          let body = '';
+          console.log('OpenAI response status:', res.statusCode);
+          res.on('data', (chunk) => body += chunk);
+          res.on('end', () => {
+            try {
+              const session = JSON.parse(body);
+              if (!session.client_secret) throw new Error(session.error?.message || `Unexpected response (${res.statusCode})`);
+              resolve({ clientSecret: session.client_secret.value, expiresAt: session.client_secret.expires_at, model: MODELS.realtime, transport: 'webrtc' });
+            } catch (e) {
+              reject(e);
+            }
+          });
+        });
+
+        req.on('error', (err) => {
+          console.error('HTTPS request error:', err);
+          reject(err);
+        });
+        req.write(data);
+        req.end();
+      });
+    },
+
+    // Upstream for the server relay (server/realtimeRelay.js): the server's own
+    // key, with the same session config applied once connected
+    realtimeRelayTarget(config) {
+      return {
+        url: `wss://api.openai.com/v1/realtime?model=${MODELS.realtime}`,
+        headers: { 'Authorization': `Bearer ${apiKey}`, 'OpenAI-Beta': 'realtime=v1' },
+        session: realtimeSessionConfig(config),
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider, MODELS };
@@ -0,0 +1,160 @@
+/**
+ * RealtimeRelay — Realtime voice sessions relayed through this server.
+ *
+ * The default voice transport: it keeps the buddy prompt on the server and
+ * works on networks that block WebRTC to api.openai.com. The browser opens a
+ * WebSocket to /realtime-relay?session=<sessionId from /token> and sends the
+ * same events it would put on the WebRTC data channel, with the mic streamed
+ * as input_audio_buffer.append and the AI voice coming back as
+ * response.audio.delta (connectRelay in frontend/src/utils/realtimeTransport.js).
+ *
+ * The server connects upstream with its own credentials (the provider's
+ * realtimeRelayTarget), applies the session config /token prepared, so the
+ * prompt still stays on the server, and forwards events both ways. Client
+ * events sent while the upstream is still connecting are queued. Since every
+ * transcript passes through here, they are printed to the server console.
+ *
+ * session.created and session.updated echo the whole session config back,
+ * persona password included, so they reach the browser without their
+ * instructions. In the other direction a client session.update may only
+ * change CLIENT_SESSION_FIELDS (the adaptivity controller slows the voice
+ * down), response.create loses its instructions, and system-role items are
+ * dropped from both response.create and conversation.item.create; the
+ * prompt stays as /token set it.
+ *
+ * FILE: server/realtimeRelay.js
+ */
+const WebSocket = require('ws');
+
+// Only these are parsed — everything else (audio above all) is forwarded untouched
+const TRANSCRIPT_EVENTS = {
+  'conversation.item.input_audio_transcription.completed': (e) => ['Student', e.transcript],
+  'response.audio_transcript.done': (e) => ['Buddy', e.transcript],
+};
+
+// Session events carry the prompt; the browser gets them without it
+const SESSION_EVENTS = new Set(['session.created', 'session.updated']);
+
+function withoutInstructions(text) {
+  if (!text.includes('"session.')) return text;
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  if (!SESSION_EVENTS.has(event.type) || !event.session) return text;
+  const session = { ...event.session };
+  delete session.instructions;
+  return JSON.stringify({ ...event, session });
+}
+
+// What a student's browser may change about the session
+const CLIENT_SESSION_FIELDS = ['voice', 'speed'];
+
+const isSystemItem = (item) => item?.role === 'system';
+
+// A client event as it may go upstream, or null to drop it. Every event is
+// parsed (a string check could be dodged with an escaped "type"), and
+// whatever would add to or replace the prompt is taken out.
+function allowedClientEvent(text) {
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch {
+    return null; // the Realtime API only takes JSON
+  }
+  switch (event?.type) {
+    case 'session.update': {
+      const session = {};
+      for (const field of CLIENT_SESSION_FIELDS) {
+        if (event.session?.[field] !== undefined) session[field] = event.session[field];
+      }
+      return Object.keys(session).length ? JSON.stringify({ ...event, session }) : null;
+    }
+    case 'response.create': {
+      if (!event.response) return text;
+      const response = { ...event.response };
+      delete response.instructions;
+      if (Array.isArray(response.input)) response.input = response.input.filter(item => !isSystemItem(item));
+      return JSON.stringify({ ...event, response });
+    }
+    case 'conversation.item.create':
+      return isSystemItem(event.item) ? null : text;
+    default:
+      return text;
+  }
+}
+
+function logTranscript(text) {
+  if (!text.includes('transcri')) return;
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch {
+    return;
+  }
+  const describe = TRANSCRIPT_EVENTS[event.type];
+  if (describe) {
+    const [who, transcript] = describe(event);
+    console.log(`[Relay] ${who}: ${transcript}`);
+  }
+}
+
+/**
+ * Serve the relay on `path` of an existing http.Server.
+ * resolveSession(sessionId) → { url, headers, session } | null
+ */
+function attachRealtimeRelay(server, { path = '/realtime-relay', resolveSession }) {
+  const wss = new WebSocket.WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== path) return;
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  wss.on('connection', (client, req) => {
+    const sessionId = new URL(req.url, 'http://localhost').searchParams.get('session');
+    const target = sessionId ? resolveSession(sessionId) : null;
+    if (!target) {
+      client.close(4404, 'Unknown or expired session');
+      return;
+    }
+    console.log(`[Relay] Session ${sessionId} connected`);
+
+    const upstream = new WebSocket(target.url, { headers: target.headers });
+    const queued = [];
+
+    upstream.on('open', () => {
+      upstream.send(JSON.stringify({ type: 'session.update', session: target.session }));
+      for (const message of queued.splice(0)) upstream.send(message);
+    });
+    upstream.on('message', (data) => {
+      const text = data.toString();
+      logTranscript(text);
+      if (client.readyState === WebSocket.OPEN) client.send(withoutInstructions(text));
+    });
+    upstream.on('error', (err) => {
+      if (client.readyState !== WebSocket.OPEN) return; // client already gone
+      console.error(`[Relay] Upstream error for ${sessionId}:`, err.message);
+      client.send(JSON.stringify({ type: 'error', error: { type: 'relay_error', message: err.message } }));
+      client.close(1011, 'Upstream connection failed');
+    });
+    upstream.on('close', () => {
+      if (client.readyState === WebSocket.OPEN) client.close();
+    });
+
+    client.on('message', (data) => {
+      const text = allowedClientEvent(data.toString());
+      if (text === null) return;
+      if (upstream.readyState === WebSocket.OPEN) upstream.send(text);
+      else if (upstream.readyState === WebSocket.CONNECTING) queued.push(text);
+    });
+    client.on('close', () => {
+      console.log(`[Relay] Session ${sessionId} closed`);
+      upstream.terminate();
+    });
+  });
+  return wss;
+}
+
+module.exports = { attachRealtimeRelay };
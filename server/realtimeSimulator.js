@@ -0,0 +1,370 @@
+/**
+ * RealtimeSimulator — local stand-in for the OpenAI Realtime API.
+ *
+ * Speaks the Realtime client/server event protocol over a WebSocket at
+ * /realtime-sim, so useVoiceConnection can run a whole session without
+ * OpenAI (attached when AI_PROVIDER=mock). The browser streams the mic as
+ * input_audio_buffer.append (base64 pcm16, 24 kHz mono) — the WebSocket
+ * equivalent of the WebRTC mic track — and plays back response.audio.delta.
+ *
+ * Nothing is recognised. Each commit is "transcribed" as the next line of the
+ * scenario's student script, and each response.create answers with the next
+ * buddy line — unless a pending [SYSTEM: …] message asks for a particular
+ * reply (name clarification or correction, farewell, early goodbye, silence
+ * prompt), which is answered the way the prompt tells the real model to.
+ * Every injected message is logged, so ConversationManager directives show up
+ * in the server console.
+ *
+ * Pick a scenario with ?scenario=<name> on the page or the WebSocket URL
+ * (default: REALTIME_SIM_SCENARIO, then 'default'). Script lines can use
+ * {name} (the name typed on the welcome screen, or Alex), {otherName} (a name
+ * with a different first letter) and {variant} (same first letter, different
+ * spelling); null in a student script makes that transcription fail.
+ *
+ * FILE: server/realtimeSimulator.js
+ */
+const { WebSocketServer } = require('ws');
+
+const SAMPLE_RATE = 24000;           // pcm16 mono, as the Realtime API uses
+const MIN_COMMIT_MS = 100;           // the real API rejects shorter buffers
+const WORD_INTERVAL_MS = 60;         // deltas stream faster than real time, like the API
+const WORD_AUDIO_MS = 320;           // audio generated per word
+const TRANSCRIPTION_DELAY_MS = 900;  // student transcript lands after the reply, as it usually does live
+
+const SCENARIOS = {
+  default: {
+    description: 'Introductions and small talk, then goodbye',
+    student: [
+      'Hallo! Ich heiße {name} und ich komme aus Berlin.',
+      'Gut, danke. Und dir?',
+      'Ich studiere Informatik.',
+      'Ich spiele gern Fußball.',
+      'Tschüss!',
+    ],
+    buddy: [
+      'Schön, dich kennenzulernen, {name}! Berlin ist super. Wie geht es dir?',
+      'Mir geht es auch gut, danke. Was studierst du?',
+      'Informatik, toll! Was machst du gern?',
+      'Cool! Ich spiele auch gern Fußball.',
+      'Tschüss, {name}! Bis bald!',
+    ],
+  },
+  'name-mismatch': {
+    description: 'Student says a name that does not match the typed one, then confirms the typed name',
+    student: ['Ich heiße {otherName}.', 'Ich komme aus Wien.', 'Ich heiße {name}.', 'Gut, danke.', 'Tschüss!'],
+    buddy: ['Hallo, {otherName}! Woher kommst du?', 'Wien ist schön!', 'Super, {name}! Wie geht es dir?', 'Prima! Was machst du gern?', 'Tschüss, {name}!'],
+  },
+  'name-spelling': {
+    description: 'Student says the typed name; the buddy picks it up with the wrong spelling',
+    student: ['Ich heiße {variant}.', 'Ich komme aus Hamburg.', 'Gut, danke.', 'Tschüss!'],
+    buddy: ['Schön, dich kennenzulernen, {variant}! Woher kommst du?', 'Hamburg ist toll! Wie geht es dir?', 'Schön! Was machst du gern?', 'Tschüss!'],
+  },
+  'early-goodbye': {
+    description: 'Student says goodbye on the second turn, long before the minimum time',
+    student: ['Hallo, ich heiße {name}.', 'Tschüss!', 'Ich komme aus Köln.', 'Gut, danke.'],
+    buddy: ['Hallo, {name}! Woher kommst du?', 'Oh, tschüss?', 'Köln ist schön! Wie geht es dir?', 'Super! Was machst du gern?'],
+  },
+  inaudible: {
+    description: 'Every other student transcription fails',
+    student: [null, 'Ich heiße {name}.', null, 'Gut, danke.'],
+    buddy: ['Wie bitte? Noch einmal, bitte.', 'Hallo, {name}! Wie geht es dir?', 'Wie bitte?', 'Super! Woher kommst du?'],
+  },
+  'off-curriculum': {
+    description: 'Buddy uses untaught vocabulary and grammar until it is told to simplify',
+    student: ['Ich heiße {name}.', 'Ich komme aus München.', 'Gut, danke.', 'Ich spiele gern Tennis.'],
+    buddy: [
+      { say: 'Hallo, {name}! Ich habe gestern einen fantastischen Dokumentarfilm gesehen. Woher kommst du?', simple: 'Hallo, {name}! Woher kommst du?' },
+      { say: 'München! Dort bin ich letztes Jahr gewesen, die Architektur war beeindruckend. Wie geht es dir?', simple: 'München ist schön! Wie geht es dir?' },
+      { say: 'Wunderbar. Was hast du am Wochenende gemacht?', simple: 'Super. Was machst du gern?' },
+      { say: 'Tennis! Ich hatte früher einen Tennislehrer.', simple: 'Tennis ist toll!' },
+    ],
+  },
+};
+
+// Replies the prompts ask for, checked in order against the pending messages
+const DIRECTIVE_REPLIES = [
+  { match: /\[Session started\..*?Say: "([^"]+)" then ask(?: the student)?: "([^"]+)"/, reply: (m) => `${m[1]} ${m[2]}` },
+  { match: /The student said goodbye and the minimum conversation time has been reached/, reply: () => 'Tschüss! Bis bald!' },
+  { match: /Maximum conversation time reached/, reply: () => 'Oh, unsere Zeit ist um. Tschüss, bis bald!' },
+  { match: /e\.g\. "(Oh, Entschuldigung[^"]+)"/, reply: (m) => m[1] },
+  { match: /ask for clarification in German: "([^"]+)"/, reply: (m) => m[1] },
+  { match: /early-goodbye response \(e\.g\. "([^"]+)"\)/, reply: (m) => `${m[1]} Was machst du gern?` },
+  { match: /The student has been silent for a while/, reply: () => 'Bist du noch da? Wie geht es dir?' },
+  { match: /Ask "Wie heißt du\?" in your very next turn/, reply: () => 'Und wie heißt du?' },
+];
+const SIMPLIFY_RE = /^\[SYSTEM: (GRAMMAR|VOCABULARY) —/;
+
+// Same first letter, different spelling (Nico → Niko, Anna → Ana)
+function spellingVariant(name) {
+  const swaps = [[/ck/, 'k'], [/c/, 'k'], [/k/, 'c'], [/ph/, 'f'], [/x/, 'ks'], [/(.)\1/, '$1'], [/y/, 'i'], [/i/, 'y']];
+  const rest = name.slice(1);
+  for (const [re, to] of swaps) {
+    if (re.test(rest)) return name[0] + rest.replace(re, to);
+  }
+  return `${name}a`;
+}
+
+// Voiced tone with one swell per syllable — enough for the lipsync analyzer to move the mouth
+function wordAudio(word) {
+  const samples = Math.round(SAMPLE_RATE * WORD_AUDIO_MS / 1000);
+  const voiced = Math.round(samples * 0.85);
+  const syllables = Math.max(1, (word.toLowerCase().match(/[aeiouäöüy]+/g) || []).length);
+  const buf = Buffer.alloc(samples * 2);
+  for (let i = 0; i < voiced; i++) {
+    const t = i / SAMPLE_RATE;
+    const envelope = Math.sin(Math.PI * ((i * syllables / voiced) % 1)) ** 2;
+    const tone = Math.sin(2 * Math.PI * 180 * t) + 0.6 * Math.sin(2 * Math.PI * 540 * t) + 0.4 * Math.sin(2 * Math.PI * 1100 * t);
+    buf.writeInt16LE(Math.round(tone / 2 * envelope * 12000), i * 2);
+  }
+  return buf.toString('base64');
+}
+
+class SimulatedSession {
+  constructor(ws, scenarioName) {
+    this.ws = ws;
+    this.scenarioName = scenarioName;
+    this.scenario = SCENARIOS[scenarioName];
+    this.session = { id: `sess_sim_${Date.now().toString(36)}`, object: 'realtime.session', model: 'mock-realtime', turn_detection: { type: 'server_vad' } };
+    this.seq = 0;
+    this.timers = new Set();
+    this.bufferedBytes = 0;
+    this.lastItemId = null;
+    this.pendingMessages = [];
+    this.activeResponse = null;
+    this.studentTurns = 0;
+    this.answeredTurn = -1;
+    this.simplified = false;
+    this.typedName = null;
+  }
+
+  send(event) {
+    if (this.ws.readyState !== this.ws.OPEN) return;
+    this.ws.send(JSON.stringify({ event_id: `event_sim_${++this.seq}`, ...event }));
+  }
+
+  error(code, message) {
+    this.send({ type: 'error', error: { type: 'invalid_request_error', code, message } });
+  }
+
+  later(ms, fn) {
+    const t = setTimeout(() => { this.timers.delete(t); fn(); }, ms);
+    this.timers.add(t);
+  }
+
+  dispose() {
+    for (const t of this.timers) clearTimeout(t);
+    this.timers.clear();
+  }
+
+  fill(line) {
+    const name = this.typedName || 'Alex';
+    return line
+      .replace(/\{name\}/g, name)
+      .replace(/\{otherName\}/g, /^m/i.test(name) ? 'Sophie' : 'Maria')
+      .replace(/\{variant\}/g, spellingVariant(name));
+  }
+
+  start() {
+    console.log(`[RealtimeSim] Session opened — scenario "${this.scenarioName}"`);
+    this.send({ type: 'session.created', session: this.session });
+  }
+
+  handle(event) {
+    switch (event.type) {
+      case 'session.update':
+        this.session = { ...this.session, ...event.session };
+        this.send({ type: 'session.updated', session: this.session });
+        break;
+
+      case 'input_audio_buffer.append':
+        this.bufferedBytes += Buffer.byteLength(event.audio || '', 'base64');
+        break;
+
+      case 'input_audio_buffer.clear':
+        this.bufferedBytes = 0;
+        this.send({ type: 'input_audio_buffer.cleared' });
+        break;
+
+      case 'input_audio_buffer.commit':
+        this.commit();
+        break;
+
+      case 'conversation.item.create':
+        this.addItem(event.item || {});
+        break;
+
+      case 'response.create':
+        this.respond();
+        break;
+
+      case 'response.cancel':
+        if (this.activeResponse) this.finishResponse('cancelled');
+        break;
+
+      default:
+        this.error('unknown_event', `The simulator does not handle '${event.type}'`);
+    }
+  }
+
+  commit() {
+    const bufferedMs = Math.round(this.bufferedBytes / (SAMPLE_RATE * 2) * 1000);
+    if (bufferedMs < MIN_COMMIT_MS) {
+      this.error('input_audio_buffer_commit_empty',
+        `Error committing input audio buffer: buffer too small. Expected at least ${MIN_COMMIT_MS}ms of audio, but buffer only has ${bufferedMs}ms of audio.`);
+      return;
+    }
+    this.bufferedBytes = 0;
+
+    const itemId = `item_sim_${++this.seq}`;
+    this.send({ type: 'input_audio_buffer.committed', previous_item_id: this.lastItemId, item_id: itemId });
+    this.send({
+      type: 'conversation.item.created',
+      previous_item_id: this.lastItemId,
+      item: { id: itemId, object: 'realtime.item', type: 'message', status: 'completed', role: 'user', content: [{ type: 'input_audio', transcript: null }] },
+    });
+    this.lastItemId = itemId;
+
+    const script = this.scenario.student;
+    const raw = script[Math.min(this.studentTurns, script.length - 1)];
+    const line = raw === null ? null : this.fill(raw);
+    this.studentTurns += 1;
+    console.log(`[RealtimeSim] Student turn ${this.studentTurns} (${bufferedMs}ms): ${line ?? '(transcription fails)'}`);
+
+    this.later(TRANSCRIPTION_DELAY_MS, () => {
+      if (line === null) {
+        this.send({
+          type: 'conversation.item.input_audio_transcription.failed',
+          item_id: itemId,
+          content_index: 0,
+          error: { type: 'transcription_error', code: 'audio_unintelligible', message: 'Audio could not be transcribed.' },
+        });
+      } else {
+        this.send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: line });
+      }
+    });
+  }
+
+  addItem(item) {
+    const itemId = item.id || `item_sim_${++this.seq}`;
+    const text = (item.content || []).map(c => c.text || '').join(' ').trim();
+    if (item.role === 'user' && text) {
+      console.log(`[RealtimeSim] Message: ${text.length > 160 ? text.slice(0, 157) + '…' : text}`);
+      this.pendingMessages.push(text);
+      const typed = text.match(/^\[Session started\..*?The student's name is "([^"]+)"/);
+      if (typed) this.typedName = typed[1];
+    }
+    this.send({ type: 'conversation.item.created', previous_item_id: this.lastItemId, item: { ...item, id: itemId, object: 'realtime.item', status: 'completed' } });
+    this.lastItemId = itemId;
+  }
+
+  composeReply() {
+    const messages = this.pendingMessages.splice(0);
+    if (messages.some(m => SIMPLIFY_RE.test(m))) this.simplified = true;
+
+    for (const { match, reply } of DIRECTIVE_REPLIES) {
+      for (const m of messages) {
+        const found = m.match(match);
+        if (found) return reply(found);
+      }
+    }
+
+    if (this.studentTurns === 0) return 'Hallo! Wie heißt du?';
+    if (this.answeredTurn === this.studentTurns) return 'Erzähl mal, was machst du gern?';
+    this.answeredTurn = this.studentTurns;
+    const script = this.scenario.buddy;
+    const line = script[Math.min(this.studentTurns - 1, script.length - 1)];
+    if (typeof line === 'string') return this.fill(line);
+    return this.fill(this.simplified ? line.simple : line.say);
+  }
+
+  respond() {
+    if (this.activeResponse) {
+      this.error('conversation_already_has_active_response', 'Conversation already has an active response');
+      return;
+    }
+    const text = this.composeReply();
+    const response = { id: `resp_sim_${++this.seq}`, itemId: `item_sim_${++this.seq}`, text };
+    this.activeResponse = response;
+    console.log(`[RealtimeSim] Buddy: ${text}`);
+
+    const ids = { response_id: response.id, item_id: response.itemId, output_index: 0, content_index: 0 };
+    this.send({ type: 'response.created', response: { id: response.id, object: 'realtime.response', status: 'in_progress', output: [] } });
+    this.send({
+      type: 'response.output_item.added',
+      response_id: response.id,
+      output_index: 0,
+      item: { id: response.itemId, object: 'realtime.item', type: 'message', status: 'in_progress', role: 'assistant', content: [] },
+    });
+
+    const words = text.split(/\s+/).filter(Boolean);
+    words.forEach((word, i) => {
+      this.later(i * WORD_INTERVAL_MS, () => {
+        if (this.activeResponse !== response) return;
+        this.send({ type: 'response.audio_transcript.delta', ...ids, delta: (i ? ' ' : '') + word });
+        this.send({ type: 'response.audio.delta', ...ids, delta: wordAudio(word) });
+      });
+    });
+    this.later(words.length * WORD_INTERVAL_MS, () => {
+      if (this.activeResponse !== response) return;
+      this.send({ type: 'response.audio.done', ...ids });
+      this.send({ type: 'response.audio_transcript.done', ...ids, transcript: text });
+      this.finishResponse('completed');
+    });
+  }
+
+  finishResponse(status) {
+    const response = this.activeResponse;
+    this.activeResponse = null;
+    const item = {
+      id: response.itemId,
+      object: 'realtime.item',
+      type: 'message',
+      status: status === 'completed' ? 'completed' : 'incomplete',
+      role: 'assistant',
+      content: [{ type: 'audio', transcript: response.text }],
+    };
+    this.send({ type: 'response.output_item.done', response_id: response.id, output_index: 0, item });
+    this.send({ type: 'response.done', response: { id: response.id, object: 'realtime.response', status, output: [item] } });
+    this.lastItemId = response.itemId;
+  }
+}
+
+/**
+ * Serve the simulator on `path` of an existing http.Server.
+ */
+function attachRealtimeSimulator(server, { path = '/realtime-sim' } = {}) {
+  // noServer + own path check, so other WebSocket endpoints can share the server
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== path) return;
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+  wss.on('connection', (ws, req) => {
+    const requested = new URL(req.url, 'http://localhost').searchParams.get('scenario')
+      || process.env.REALTIME_SIM_SCENARIO || 'default';
+    const scenarioName = SCENARIOS[requested] ? requested : 'default';
+    const session = new SimulatedSession(ws, scenarioName);
+    session.start();
+    if (scenarioName !== requested) {
+      session.error('unknown_scenario', `Unknown scenario "${requested}" — using "default" (available: ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+
+    ws.on('message', (raw) => {
+      let event;
+      try {
+        event = JSON.parse(raw);
+      } catch {
+        session.error('invalid_json', 'Client event is not valid JSON');
+        return;
+      }
+      session.handle(event);
+    });
+    ws.on('close', () => {
+      session.dispose();
+      console.log('[RealtimeSim] Session closed');
+    });
+  });
+  return wss;
+}
+
+module.exports = { attachRealtimeSimulator, SCENARIOS };
@@ -3,37 +3,60 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 const multer = require('multer');
-const OpenAI = require('openai');
 const fs = require('fs');
-const https = require('https');
+const crypto = require('crypto');
 
-// Load persona database
+// Load environment variables before the local modules read them (DATA_DIR, AI_PROVIDER)
+dotenv.config();
+
+const { SAFE_ID } = require('./storage');
+const { SessionStore } = require('./sessionStore');
+const { StudentStore } = require('./studentStore');
+const { AudioArchive } = require('./audioArchive');
+const { VocabularyMemory } = require('./vocabularyMemory');
+const { StudentMemory, factsPrompt, parseFacts } = require('./studentMemory');
+const { buildHints } = require('./hintBuilder');
+const { loadImageMap, buildLexicon, matchImage } = require('./imageMap');
+const { TEACHER_DASHBOARD_HTML } = require('./teacherDashboard');
+const { ID1_CHAPTERS, ALL_CHAPTERS, bookForUnit } = require('./chapters');
+const { validateCurriculum, KB_DIR } = require('./curriculumValidator');
+const { createProvider } = require('./providers');
+const { attachRealtimeSimulator } = require('./realtimeSimulator');
+const { attachRealtimeRelay } = require('./realtimeRelay');
+const { buildBuddyPrompt } = require('./buddyPrompt');
+const { TextSessionLoop } = require('./textSessionLoop');
+const { assessTurn, summarizePronunciation, vocabularyWords } = require('./pronunciation');
+const { headword, vocabularyUse, cleanCorrections, practiceSuggestions, recentGrammarRules } = require('./feedbackReport');
+const { FORMATS: EXPORT_FORMATS, exportFileName } = require('./sessionExport');
+const { loadPersonaDatabase, personaChapterKey, newPersonaSeed, buildPersona, validatePersonaDatabase } = require('./personaTools');
+
+// Load persona database (decoded as Windows-1252 if it isn't valid UTF-8)
 let personaDatabase = {};
+// Trait-compatibility rules (the database's _rules), see personaTools.js
+let personaRules = [];
 try {
-  const personaPath = path.join(__dirname, './personaDatabase.json');
-  if (fs.existsSync(personaPath)) {
-    const raw = JSON.parse(fs.readFileSync(personaPath, 'utf8'));
-    // Strip the _comment meta key
-    Object.entries(raw).forEach(([k, v]) => {
-      if (!k.startsWith('_')) personaDatabase[k] = v;
-    });
-    console.log(`Persona database loaded: ${Object.keys(personaDatabase).length} chapters`);
-  }
+  const { database, rules, encoding } = loadPersonaDatabase();
+  personaDatabase = database;
+  personaRules = rules;
+  if (encoding) console.log(`Persona database loaded: ${Object.keys(personaDatabase).length} chapters`);
+  if (encoding === 'windows-1252') console.warn('Persona database is saved as Windows-1252 — decoded it, but please re-save it as UTF-8');
 } catch (e) {
   console.warn('Persona database not found or invalid:', e.message);
 }
 
-// Load environment variables
-dotenv.config();
+// A missing persona chapter fails in development instead of falling back to ID1_Ch8
+const IS_DEVELOPMENT = process.env.NODE_ENV === 'development';
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Voice goes through the server relay unless direct WebRTC is chosen, which
+// hands the browser the prompt (persona password included) with its session
+const REALTIME_DIRECT_WEBRTC = process.env.REALTIME_TRANSPORT === 'webrtc';
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// AI backend (OpenAI, or the offline mock with AI_PROVIDER=mock)
+const ai = createProvider();
+console.log(`AI provider: ${ai.name}`);
 
 // Middleware
 app.use(cors());
@@ -45,36 +68,6 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-// Impuls Deutsch 1 — chapters with titles and unit ranges
-const ID1_CHAPTERS = [
-  { chapter: 1, title: 'Wer bin ich?: Heute und in der Zukunft',                                     unitStart: 1,   unitEnd: 15  },
-  { chapter: 2, title: 'Was ziehe ich an?: Wetter und Klimawandel',                                   unitStart: 16,  unitEnd: 26  },
-  { chapter: 3, title: 'Was ist da drin? Lebensmittel unter der Lupe',                                unitStart: 27,  unitEnd: 37  },
-  { chapter: 4, title: 'Wie gestalte ich mein Leben?: Schlanke Produktion f\u00fcr Haus und Alltag', unitStart: 38,  unitEnd: 52  },
-  { chapter: 5, title: 'Woher kommen meine Sachen?: Konsum, Verpackungen, M\u00fclltrennung',         unitStart: 53,  unitEnd: 67  },
-  { chapter: 6, title: 'Wie war es damals?: Kindheit im Wandel der Zeit',                            unitStart: 68,  unitEnd: 79  },
-  { chapter: 7, title: "Was gibt's da zu sehen?: Sehensw\u00fcrdigkeiten in Wien",                    unitStart: 80,  unitEnd: 93  },
-  { chapter: 8, title: 'Wie sieht die Zukunft aus?: Erfindungen und Innovationen',                   unitStart: 94,  unitEnd: 104 },
-];
-
-// Impuls Deutsch 2 BLAU
-const ID2B_CHAPTERS = [
-  { chapter: 1, title: 'Wie leben wir nachhaltig?: Kommunikation für die Zukunft unseres Planeten', unitStart: 1,  unitEnd: 14 },
-  { chapter: 2, title: 'Was war da los?: Ost-West-Geschichte(n)',                                    unitStart: 15, unitEnd: 26 },
-  { chapter: 3, title: 'Wer sind wir?: Deutsch im Plural',                                           unitStart: 27, unitEnd: 37 },
-  { chapter: 4, title: 'Wie unterhalten wir uns?: Alte und neue Medien',                             unitStart: 38, unitEnd: 52 },
-];
-
-// Impuls Deutsch 2 ORANGE
-const ID2O_CHAPTERS = [
-  { chapter: 1, title: 'Wer würde sich trauen?: Achterbahnen und anderer Nervenkitzel',             unitStart: 1,  unitEnd: 17 },
-  { chapter: 2, title: 'Wofür/wogegen sind wir?: Protest, Widerstand, Mitbestimmung',               unitStart: 18, unitEnd: 29 },
-  { chapter: 3, title: 'Wie wird das gemacht?: Die Schweiz als Herstellerin von Qualitätsprodukten', unitStart: 30, unitEnd: 41 },
-  { chapter: 4, title: 'Was prägt uns?: Transatlantische Beziehungen und Einflüsse',                unitStart: 42, unitEnd: 52 },
-];
-
-const ALL_CHAPTERS = { ID1: ID1_CHAPTERS, ID2B: ID2B_CHAPTERS, ID2O: ID2O_CHAPTERS };
-
 function getChapter(unitNum) {
   const n = parseInt(unitNum);
   return ID1_CHAPTERS.find(c => n >= c.unitStart && n <= c.unitEnd) || null;
@@ -83,7 +76,7 @@ function getChapter(unitNum) {
 // Load all unit files from Knowledge Base folder
 const unitMap = {};
 try {
-  const kbDir = path.join(__dirname, '../curriculum/units/Knowledge Base');
+  const kbDir = KB_DIR;
   if (fs.existsSync(kbDir)) {
     const files = fs.readdirSync(kbDir).filter(f => f.endsWith('.json'));
     for (const file of files) {
@@ -104,19 +97,62 @@ try {
   console.error('Error loading curriculum data:', error);
 }
 
+// Validate the unit files up front so malformed data is reported, not just skipped
+try {
+  const report = validateCurriculum(KB_DIR);
+  const summary = `Curriculum check: ${report.errorCount} error(s), ${report.warningCount} warning(s)`;
+  if (report.errorCount) {
+    console.warn(`${summary} — run \`npm run validate:curriculum\` for the full report`);
+    for (const issue of report.issues.filter(i => i.severity === 'error').slice(0, 10)) {
+      console.warn(`  [${issue.code}]${issue.file ? ` ${issue.file}:` : ''} ${issue.message}`);
+    }
+  } else {
+    console.log(summary);
+  }
+} catch (error) {
+  console.error('Error validating curriculum data:', error);
+}
+
+// Persona rows: one per chapter, options within the chapter's vocabulary
+const personaCheck = validatePersonaDatabase(personaDatabase, {
+  cumulativeFor: (book, unitId) => buildCumulativeUnit(unitId, book)?._cumulative || null,
+  rules: personaRules,
+});
+personaCheck
+  .then(report => {
+    const summary = `Persona check: ${report.errorCount} error(s), ${report.warningCount} option(s) outside their chapter's vocabulary` +
+      (report.issues.length ? ' — full report at /api/teacher/persona-check' : '');
+    if (!report.errorCount) return console.log(summary);
+    console.error(`${BOLD}${RED}${summary}${RESET}`);
+    for (const issue of report.issues.filter(i => i.severity === 'error').slice(0, 10)) {
+      console.error(`  [${issue.code}] ${issue.message}`);
+    }
+  })
+  .catch(error => console.error('Error validating persona database:', error));
+
 // Load image map data
 let imageMap = {};
+// German words of the whole curriculum — which image keywords match inflected forms
+const imageLexicon = buildLexicon(Object.values(unitMap));
 try {
-  const imageMapPath = path.join(__dirname, './imageMap.json');
-  if (fs.existsSync(imageMapPath)) {
-    imageMap = JSON.parse(fs.readFileSync(imageMapPath, 'utf8')).imageMap || {};
-  }
+  imageMap = loadImageMap();
 } catch (error) {
   console.error('Error loading image map:', error);
 }
 
-// Store active conversations (in production, use a database)
-const conversations = new Map();
+// Persistent session + transcript storage (Realtime log sessions and text chats)
+const sessionStore = new SessionStore();
+console.log(`Session store loaded: ${sessionStore.listSessions({ limit: Infinity }).length} sessions`);
+const studentStore = new StudentStore();
+// Per-student spaced-repetition schedule of active vocabulary
+const vocabularyMemory = new VocabularyMemory();
+// Per-student notes from earlier sessions, and the student's own buddy
+const studentMemory = new StudentMemory();
+// Student turn audio from /api/transcribe, kept for AUDIO_RETENTION_DAYS
+const audioArchive = new AudioArchive();
+console.log(audioArchive.enabled
+  ? `Audio archive: keeping student turns for ${audioArchive.retentionDays} day(s), pruned ${audioArchive.prune()} old clip(s)`
+  : `Audio archive: off (AUDIO_RETENTION_DAYS=0), removed ${audioArchive.prune()} clip(s)`);
 
 // ─── SSE log broadcast ─────────────────────────────────────────────────────
 const logClients = new Set();
@@ -131,6 +167,28 @@ function broadcastLog(payload) {
     try { res.write(data); } catch (_) { logClients.delete(res); }
   }
 }
+
+/**
+ * Rebuild the SSE replay buffer from a stored session so the log viewer
+ * still shows the most recent conversation after a server restart.
+ */
+function replaySessionIntoHistory(session) {
+  const time = (iso) => new Date(iso).toLocaleTimeString('en-US', { hour12: false });
+  const unitLabel = session.unitTitle ? `Unit ${session.unit} — ${session.unitTitle}` : `Unit ${session.unit}`;
+  logHistory.push({ type: 'start', sessionId: session.id, unitLabel, time: time(session.startedAt) });
+  for (const turn of session.turns) {
+    const audio = turn.role === 'student' && audioArchive.has(session.id, turn.id);
+    logHistory.push({ type: 'turn', role: turn.role, text: turn.text, id: turn.id, pending: turn.pending, flags: turn.flags, audio, time: time(turn.createdAt) });
+  }
+  if (session.endedAt) {
+    logHistory.push({ type: 'end', sessionId: session.id, exchangeCount: session.exchangeCount, time: time(session.endedAt) });
+  }
+  logHistory.splice(0, Math.max(0, logHistory.length - MAX_HISTORY));
+}
+{
+  const latest = sessionStore.latestSession();
+  if (latest && latest.source === 'realtime') replaySessionIntoHistory(latest);
+}
 // ─── Conversation Logger ────────────────────────────────────────────────────
 const RESET  = '\x1b[0m';
 const BOLD   = '\x1b[1m';
@@ -159,16 +217,40 @@ function logConversationStart(sessionId, unitNumber) {
   broadcastLog({ type: 'start', sessionId, unitLabel, time: timestamp() });
 }
 
-function logTurn(role, text) {
+function logTurn(role, text, flags) {
   const time = `${DIM}[${timestamp()}]${RESET}`;
   if (role === 'student') {
     console.log(`${time} ${BOLD}${YELLOW}STUDENT:${RESET} ${text}`);
   } else {
     console.log(`${time} ${BOLD}${BLUE}    AI :${RESET} ${text}`);
   }
+  if (flags?.vocabulary) {
+    console.log(`${' '.repeat(11)}${MAGENTA}OOV:${RESET} ${DIM}${flags.vocabulary.join(', ')}${RESET}`);
+  }
+  if (flags?.grammar) {
+    console.log(`${' '.repeat(11)}${MAGENTA}GRAMMAR:${RESET} ${DIM}${flags.grammar.map(g => `${g.tag} (${g.match})`).join(', ')}${RESET}`);
+  }
   // NOTE: does NOT call broadcastLog — callers handle that themselves.
 }
 
+/**
+ * Keep only the known checker flag lists from a client-supplied turn
+ * (validated item shapes, capped) so the session store never holds arbitrary payloads.
+ */
+const FLAG_ITEM_VALIDATORS = {
+  vocabulary: (w) => typeof w === 'string',                                      // 'gestern'
+  grammar: (g) => typeof g?.tag === 'string' && typeof g?.match === 'string',    // { tag: 'tense:Perfekt', match: 'habe … gesehen' }
+};
+function sanitizeFlags(flags) {
+  if (!flags || typeof flags !== 'object') return undefined;
+  const out = {};
+  for (const [kind, valid] of Object.entries(FLAG_ITEM_VALIDATORS)) {
+    const list = Array.isArray(flags[kind]) ? flags[kind].filter(valid).slice(0, 20) : [];
+    if (list.length) out[kind] = kind === 'grammar' ? list.map(({ tag, match }) => ({ tag, match })) : list;
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
 function logConversationEnd(sessionId, exchangeCount) {
   console.log(`${BOLD}${CYAN}${'─'.repeat(60)}${RESET}`);
   console.log(`${BOLD}${RED}[${timestamp()}] CONVERSATION ENDED${RESET}  ${DIM}session: ${sessionId} | ${exchangeCount} student turn(s)${RESET}`);
@@ -177,76 +259,127 @@ function logConversationEnd(sessionId, exchangeCount) {
 }
 // ────────────────────────────────────────────────────────────────────────────
 
-/**
- * Helper function to find matching image from imageMap based on unit and response text
- */
-function getImageForResponse(unitNumber, responseText) {
-  const unitImages = imageMap[String(unitNumber)];
-  if (!unitImages) return null;
-  
-  const responseTextLower = responseText.toLowerCase();
-  
-  for (const imageConfig of (unitImages.images || [])) {
-    for (const keyword of (imageConfig.keywords || [])) {
-      if (responseTextLower.includes(keyword.toLowerCase())) {
-        return {
-          path: imageConfig.path,
-          duration: imageConfig.duration,
-          description: imageConfig.description
-        };
-      }
-    }
+// Text chat sessions ('legacy' = records from before text mode used the unit prompt)
+const TEXT_SOURCES = new Set(['text', 'legacy']);
+
+// Open text conversations: conversationId → TextSessionLoop (the directives the buddy gets)
+const textLoops = new Map();
+
+// Sampling for the buddy, shared by the Realtime session and text chat
+const BUDDY_SETTINGS = { temperature: 0.55, maxTokens: 300 };
+
+/** Chapter number of a unit within a book, from its sequence position */
+function chapterForUnit(unitData, book = 'ID1') {
+  const pos = unitData?.sequence_info?.position || parseInt(String(unitData?.unit).replace(/^[BO]/i, ''));
+  const ch = (ALL_CHAPTERS[book] || ID1_CHAPTERS).find(c => pos >= c.unitStart && pos <= c.unitEnd);
+  return ch ? ch.chapter : null;
+}
+
+/** Notes a picture shown on the chalkboard on the session record and in the live log */
+function recordImagePrompt(sessionId, image) {
+  const session = sessionId ? sessionStore.getSession(sessionId) : null;
+  if (session) {
+    const images = [...(session.images || []), { path: image.path, description: image.description, at: new Date().toISOString() }];
+    sessionStore.updateSession(sessionId, { images });
   }
-  
-  return null;
+  console.log(`${DIM}[${timestamp()}]${RESET} ${BOLD}${GREEN}  IMAGE:${RESET} ${DIM}${image.description || image.path}${RESET}`);
+  broadcastLog({ type: 'image', description: image.description || image.path, time: timestamp() });
+}
+
+// Voice sessions set up by /token, waiting for their 'start' log entry.
+// sessionId → { createdAt, realtime: session config, fields: { unit, unitTitle, book, chapter, studentName, studentId, persona, personaSeed } }
+// The relay (/realtime-relay) looks the session config up here too.
+const realtimeSetups = new Map();
+const REALTIME_SETUP_TTL_MS = 10 * 60 * 1000;
+
+// Given to the browser that starts a session: the student's key to its export
+const newExportToken = () => crypto.randomBytes(16).toString('hex');
+
+/** The persona as the browser may see it — without the password the buddy guards */
+function publicPersona(persona) {
+  if (!persona) return null;
+  const visible = { ...persona };
+  delete visible.password;
+  return visible;
 }
 
-// Token endpoint for WebRTC Realtime API
-app.get('/token', async (req, res) => {
+/**
+ * Route: Set up a Realtime voice session
+ * The server builds the buddy prompt (cumulative unit, fresh persona, student
+ * name) and keeps it for the relay, so the prompt and the persona password
+ * never reach the browser. With REALTIME_TRANSPORT=webrtc it also creates an
+ * OpenAI session and returns its ephemeral key; that session sends the
+ * browser its instructions, so the password is no secret there.
+ *
+ * body: { unit, book?: 'ID1'|'ID2B'|'ID2O', chapter?, studentName?, studentId?, personaSeed? }
+ *       (personaSeed: the same seed gives the same buddy, see generatePersona)
+ * returns: { value?, model, transport: 'relay'|'webrtc'|'simulator', url?, relayUrl, sessionId, exportToken, opening, persona, personaSeed, returningStudent }
+ *          (returningStudent: the buddy remembers the student, see buddyForSession)
+ *          (persona without its password, for the vocabulary check;
+ *           relayUrl + sessionId reach the same session through the server relay)
+ */
+app.post('/token', async (req, res) => {
   console.log('Token endpoint requested');
   try {
-    const response = await new Promise((resolve, reject) => {
-      const data = JSON.stringify({
-        model: 'gpt-4o-realtime-preview-2024-12-17',
-        voice: 'verse'
-      });
-
-      const options = {
-        hostname: 'api.openai.com',
-        port: 443,
-        path: '/v1/realtime/sessions',
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-          'Content-Length': data.length
-        }
-      };
-
-      const req = https.request(options, (res) => {
-        let body = '';
-        console.log('OpenAI response status:', res.statusCode);
-        res.on('data', (chunk) => body += chunk);
-        res.on('end', () => {
-          console.log('OpenAI response body:', body);
-          try {
-            resolve(JSON.parse(body));
-          } catch (e) {
-            reject(e);
-          }
-        });
-      });
-
-      req.on('error', (err) => {
-        console.error('HTTPS request error:', err);
-        reject(err);
-      });
-      req.write(data);
-      req.end();
+    const { book = 'ID1' } = req.body;
+    const studentName = String(req.body.studentName || '').trim();
+    const unitData = ALL_CHAPTERS[book] ? buildCumulativeUnit(String(req.body.unit ?? ''), book) : null;
+    if (!unitData) {
+      return res.status(400).json({ error: 'Invalid unit' });
+    }
+    const chapter = Number(req.body.chapter) || chapterForUnit(unitData, book) || 1;
+    unitData._book = book;
+    unitData._chapter = chapter;
+
+    const studentId = studentStore.getStudent(req.body.studentId) ? req.body.studentId : null;
+    unitData._reviewVocabulary = reviewWordsFor(studentId, unitData);
+
+    const { generated, memory } = buddyForSession(book, chapter, studentId, req.body.personaSeed);
+    const persona = generated?.persona || null;
+    const personaSeed = generated?.seed || null;
+    unitData._studentMemory = memory;
+    const { instructions, opening } = await buildBuddyPrompt(unitData, persona, studentName);
+    const realtime = { instructions, voice: 'verse', language: 'de', ...BUDDY_SETTINGS };
+    const session = await ai.createRealtimeSession(realtime, { direct: REALTIME_DIRECT_WEBRTC });
+
+    const now = Date.now();
+    for (const [id, setup] of realtimeSetups) {
+      if (now - setup.createdAt > REALTIME_SETUP_TTL_MS) realtimeSetups.delete(id);
+    }
+    const sessionId = now.toString(36) + Math.random().toString(36).slice(2, 7);
+    const exportToken = newExportToken();
+    realtimeSetups.set(sessionId, {
+      createdAt: now,
+      realtime,
+      fields: {
+        unit: unitData.unit,
+        unitTitle: (unitData.communicative_functions?.goals || [])[0] || (unitData.conversation_topics?.topics || [])[0] || '',
+        book,
+        chapter,
+        studentName,
+        studentId,
+        persona: publicPersona(persona),   // the password stays in the prompt only
+        personaSeed,
+        exportToken,
+        reviewWords: unitData._reviewVocabulary.map(w => w.word),
+      },
     });
 
     console.log('Session created successfully');
-    res.json({ value: response.client_secret.value });
+    res.json({
+      value: session.clientSecret || undefined,
+      model: session.model,
+      transport: session.transport || 'relay',
+      url: session.url,
+      relayUrl: '/realtime-relay',
+      sessionId,
+      exportToken,
+      opening,
+      persona: publicPersona(persona),
+      personaSeed,
+      returningStudent: !!memory,
+      reviewWords: unitData._reviewVocabulary,
+    });
   } catch (error) {
     console.error('Error creating session token:', error);
     res.status(500).json({ error: 'Failed to create session token', details: error.message });
@@ -271,13 +404,7 @@ app.get('/api/units', (req, res) => {
   const chMeta = chapter ? chapterList.find(c => c.chapter === chapter) : null;
 
   // Filter units belonging to the requested book
-  let units = Object.values(unitMap).filter(u => {
-    const uid = String(u.unit);
-    if (book === 'ID1')  return !uid.startsWith('B') && !uid.startsWith('O');
-    if (book === 'ID2B') return uid.startsWith('B');
-    if (book === 'ID2O') return uid.startsWith('O');
-    return false;
-  });
+  let units = Object.values(unitMap).filter(u => bookForUnit(u.unit) === book);
 
   // Further filter by chapter range using sequence_info.position
   if (chMeta) {
@@ -315,17 +442,16 @@ app.get('/api/units/:unitId', (req, res) => {
 });
 
 /**
- * Route: Cumulative unit data for conversation buddy.
- * Merges active/passive vocabulary, verb forms, conversation topics, and
- * communicative functions from ALL non-optional prerequisite units.
+ * Cumulative unit data for the conversation buddy.
+ * Merges active/passive vocabulary (each item tagged with the `unit` that
+ * introduced it), verb forms, conversation topics, and communicative
+ * functions from ALL non-optional prerequisite units.
  * Grammar constraints come from the CURRENT unit only.
- * Query: ?book=ID1|ID2B|ID2O (default: ID1)
+ * Returns null when the unit doesn't exist.
  */
-app.get('/api/cumulative/:unitId', (req, res) => {
-  const targetId = req.params.unitId;
-  const book = req.query.book || 'ID1';
+function buildCumulativeUnit(targetId, book = 'ID1') {
   const targetUnit = unitMap[targetId];
-  if (!targetUnit) return res.status(404).json({ error: `Unit ${targetId} not found` });
+  if (!targetUnit) return null;
 
   // Build ordered prerequisite list
   const prerequisiteIds = [];
@@ -335,15 +461,16 @@ app.get('/api/cumulative/:unitId', (req, res) => {
   } else if (book === 'ID2B') {
     for (let i = 1; i <= 104; i++) { if (unitMap[String(i)]) prerequisiteIds.push(String(i)); }
     const targetNum = parseInt(targetId.replace(/^B/i, ''));
-    for (let i = 1; i <= targetNum; i++) { const bid = `B${String(i).padStart(2,'0')}`; if (unitMap[bid]) prerequisiteIds.push(bid); }
+    for (let i = 1; i <= targetNum; i++) { const bid = `B${i}`; if (unitMap[bid]) prerequisiteIds.push(bid); }
   } else if (book === 'ID2O') {
     for (let i = 1; i <= 104; i++) { if (unitMap[String(i)]) prerequisiteIds.push(String(i)); }
     const targetNum = parseInt(targetId.replace(/^O/i, ''));
-    for (let i = 1; i <= targetNum; i++) { const oid = `O${String(i).padStart(2,'0')}`; if (unitMap[oid]) prerequisiteIds.push(oid); }
+    for (let i = 1; i <= targetNum; i++) { const oid = `O${i}`; if (unitMap[oid]) prerequisiteIds.push(oid); }
   }
 
   const cumulativeActiveVocab = [], cumulativePassiveVocab = [];
   const cumulativeVerbForms = {};
+  const universalFillers = {};
   const reviewTopics = [], reviewFunctions = [];
   const seenActive = new Set(), seenPassive = new Set();
 
@@ -353,13 +480,14 @@ app.get('/api/cumulative/:unitId', (req, res) => {
     const isOptional = u.is_optional || false;
 
     if (!isOptional) {
+      // Each item carries the unit that introduced it (shown on the chalkboard word lookup)
       for (const item of (u.active_vocabulary?.items || [])) {
         const word = typeof item === 'object' ? item.word : item;
-        if (word && !seenActive.has(word)) { seenActive.add(word); cumulativeActiveVocab.push(typeof item === 'object' ? item : { word: item }); }
+        if (word && !seenActive.has(word)) { seenActive.add(word); cumulativeActiveVocab.push({ ...(typeof item === 'object' ? item : { word: item }), unit: uid }); }
       }
       for (const item of (u.passive_vocabulary?.items || [])) {
         const word = typeof item === 'object' ? item.word : item;
-        if (word && !seenPassive.has(word)) { seenPassive.add(word); cumulativePassiveVocab.push(typeof item === 'object' ? item : { word: item }); }
+        if (word && !seenPassive.has(word)) { seenPassive.add(word); cumulativePassiveVocab.push({ ...(typeof item === 'object' ? item : { word: item }), unit: uid }); }
       }
       const verbs = u.allowed_verb_forms?.verbs || {};
       for (const [verb, tenses] of Object.entries(verbs)) {
@@ -371,6 +499,12 @@ app.get('/api/cumulative/:unitId', (req, res) => {
       }
     }
 
+    // Fillers are defined once (unit 1) but are "always known" in every later unit
+    for (const [category, list] of Object.entries(u.universal_fillers || {})) {
+      if (!Array.isArray(list)) continue;
+      universalFillers[category] = [...new Set([...(universalFillers[category] || []), ...list])];
+    }
+
     if (uid !== targetId) {
       for (const topic of (u.conversation_topics?.topics || [])) { if (topic) reviewTopics.push({ unit: uid, topic }); }
       for (const goal of (u.communicative_functions?.goals || [])) { if (goal) reviewFunctions.push({ unit: uid, goal }); }
@@ -394,12 +528,13 @@ app.get('/api/cumulative/:unitId', (req, res) => {
     for (const t of topics.slice(0, 3)) sampledReviewTopics.push({ chapter: ch, topic: t });
   }
 
-  res.json({
+  return {
     ...targetUnit,
     _cumulative: {
       activeVocabulary: cumulativeActiveVocab,
       passiveVocabulary: cumulativePassiveVocab,
       verbForms: cumulativeVerbForms,
+      universalFillers,
       reviewTopics: sampledReviewTopics,
       reviewFunctions: reviewFunctions.slice(-30),
       stats: {
@@ -410,56 +545,102 @@ app.get('/api/cumulative/:unitId', (req, res) => {
         prerequisiteUnits: prerequisiteIds.length,
       },
     },
-  });
+  };
+}
+
+/**
+ * Route: Cumulative unit data for conversation buddy (see buildCumulativeUnit).
+ * Query: ?book=ID1|ID2B|ID2O (default: ID1)
+ */
+app.get('/api/cumulative/:unitId', (req, res) => {
+  const unit = buildCumulativeUnit(req.params.unitId, req.query.book || 'ID1');
+  if (!unit) return res.status(404).json({ error: `Unit ${req.params.unitId} not found` });
+  res.json(unit);
 });
 
 /**
- * Route: Start a new conversation
+ * Route: Start a typed text-chat conversation
+ * Same buddy as voice: the unit's cumulative data, a fresh persona, and the
+ * generateUnitInstructions prompt, opened with the Phase 1 greeting.
+ *
+ * body: { unit, book?: 'ID1'|'ID2B'|'ID2O', chapter?, studentName?, studentId?, personaSeed? }
+ *       (unitNumber is accepted for older clients)
+ * returns: { conversationId, exportToken, message, persona, personaSeed, returningStudent, reviewWords }   // reviewWords: see reviewWordsFor()
  */
 app.post('/api/conversation/start', async (req, res) => {
   try {
-    const { unitNumber } = req.body;
-    
-    if (!unitNumber || unitNumber < 1 || unitNumber > 104) {
-      return res.status(400).json({ error: 'Invalid unit number' });
+    const { book = 'ID1', studentName = '' } = req.body;
+    const unitId = String(req.body.unit ?? req.body.unitNumber ?? '');
+    const unitData = ALL_CHAPTERS[book] ? buildCumulativeUnit(unitId, book) : null;
+    if (!unitData) {
+      return res.status(400).json({ error: 'Invalid unit' });
     }
-    
+    const chapter = Number(req.body.chapter) || chapterForUnit(unitData, book) || 1;
+    unitData._book = book;
+    unitData._chapter = chapter;
+    const studentId = studentStore.getStudent(req.body.studentId) ? req.body.studentId : null;
+    unitData._reviewVocabulary = reviewWordsFor(studentId, unitData);
+
+    const { generated, memory } = buddyForSession(book, chapter, studentId, req.body.personaSeed);
+    const persona = generated?.persona || null;
+    const personaSeed = generated?.seed || null;
+    unitData._studentMemory = memory;
+    const { instructions, opening } = await buildBuddyPrompt(unitData, persona, String(studentName).trim());
+
     const conversationId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-    const systemPrompt = `Du bist ein freundlicher Gesprächspartner für Deutschlernende. Sprich einfach und klar. Beginne mit: "Hallo! Wie heißt du?"`;
-    
-    // Initialize conversation with system message
+    const exportToken = newExportToken();
     const messages = [
-      { role: 'system', content: systemPrompt }
+      { role: 'system', content: instructions },
+      { role: 'user', content: opening },
     ];
-    
+
     // Get initial AI greeting
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4-turbo',
-      messages: messages,
-      temperature: 0.8,
-      max_tokens: 100
-    });
-    
-    const aiResponse = completion.choices[0].message.content;
+    const aiResponse = await ai.chat({ purpose: 'conversation', messages, ...BUDDY_SETTINGS });
     messages.push({ role: 'assistant', content: aiResponse });
-    
+
     // Store conversation
-    conversations.set(conversationId, {
-      unitNumber,
+    const unitTitle = (unitData.communicative_functions?.goals || [])[0] || (unitData.conversation_topics?.topics || [])[0] || '';
+    sessionStore.createSession({
+      id: conversationId,
+      source: 'text',
+      unit: unitData.unit,
+      unitTitle,
+      book,
+      chapter,
+      studentName: String(studentName).trim(),
+      studentId,
+      persona: publicPersona(persona),   // the password stays in the prompt only
+      personaSeed,
+      exportToken,
+      reviewWords: unitData._reviewVocabulary.map(w => w.word),
       messages,
-      createdAt: Date.now(),
-      exchangeCount: 0
     });
+    sessionStore.addTurn(conversationId, { role: 'ai', text: aiResponse });
+
+    const loop = await TextSessionLoop.create({
+      unitData,
+      persona,
+      studentName: String(studentName).trim(),
+      returningStudent: !!memory,
+      classify: { topic: classifyTopic, goals: classifyGoals },
+    });
+    loop.aiTurn(aiResponse);
+    textLoops.set(conversationId, loop);
 
     // Log conversation start
-    logConversationStart(conversationId, unitNumber);
+    logConversationStart(conversationId, unitData.unit);
     logTurn('ai', aiResponse);
-    
+
     res.json({
       conversationId,
-      message: aiResponse
+      exportToken,
+      message: aiResponse,
+      persona: publicPersona(persona),
+      personaSeed,
+      returningStudent: !!memory,
+      reviewWords: unitData._reviewVocabulary,
     });
-    
+
   } catch (error) {
     console.error('Error starting conversation:', error);
     res.status(500).json({ error: 'Failed to start conversation' });
@@ -475,24 +656,19 @@ app.post('/api/speech-to-text', upload.single('audio'), async (req, res) => {
       return res.status(400).json({ error: 'No audio file provided' });
     }
     
-    // Transcribe audio using OpenAI Whisper
-    // Rename file to have proper extension for OpenAI
+    // Rename file to have proper extension for the transcription model
     const audioPath = req.file.path;
     const renamedPath = audioPath + '.webm';
     fs.renameSync(audioPath, renamedPath);
     
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(renamedPath),
-      model: 'gpt-4o-transcribe', // better accuracy than whisper-1 for short clips
-      language: 'de', // German
-    });
+    const text = await ai.transcribe({ filePath: renamedPath, language: 'de' });
     
     // Clean up uploaded file
     if (fs.existsSync(renamedPath)) {
       fs.unlinkSync(renamedPath);
     }
     
-    res.json({ text: transcription.text });
+    res.json({ text });
     
   } catch (error) {
     console.error('Error transcribing audio:', error);
@@ -513,48 +689,77 @@ app.post('/api/speech-to-text', upload.single('audio'), async (req, res) => {
 });
 
 /**
- * Route: Process user message and get AI response
+ * Route: Process a typed student message and get the buddy's reply
+ * The conversation's TextSessionLoop adds the Conversation Manager's
+ * [SYSTEM: …] directives before the message, just as voice sessions inject
+ * them. A request without a message (the browser's clock passed the maximum
+ * duration) sends only the directives, e.g. "say your farewell now".
+ *
+ * body: { conversationId, message? }
+ * returns: { response, image?, endAfterReply, demonstratedGoals }
+ *   endAfterReply — this reply is the buddy's goodbye; the browser ends the session
  */
 app.post('/api/conversation/message', async (req, res) => {
   try {
-    const { conversationId, message } = req.body;
+    const { conversationId } = req.body;
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
     
-    if (!conversationId || !message) {
+    if (!conversationId) {
       return res.status(400).json({ error: 'Missing conversationId or message' });
     }
     
-    const conversation = conversations.get(conversationId);
+    const conversation = sessionStore.getSession(conversationId);
     
-    if (!conversation) {
+    if (!conversation || !TEXT_SOURCES.has(conversation.source) || conversation.endedAt) {
       return res.status(404).json({ error: 'Conversation not found' });
     }
+
+    // Directives come from the conversation's own loop, never from the request
+    const loop = textLoops.get(conversationId);
+    const { directives, goalCheck } = loop ? loop.studentTurn(message) : { directives: [], goalCheck: null };
+    if (!message && directives.length === 0) {
+      loop?.rollback();
+      return res.status(400).json({ error: 'Missing conversationId or message' });
+    }
     
-    // Log and add user message to conversation
-    logTurn('student', message);
-    conversation.messages.push({ role: 'user', content: message });
-    conversation.exchangeCount = (conversation.exchangeCount || 0) + 1;
-    
-    // Get AI response
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4-turbo',
-      messages: conversation.messages,
-      temperature: 0.8, // More natural, less robotic
-      max_tokens: 100, // Shorter, more conversational responses
-      presence_penalty: 0.6, // Encourage variety in responses
-      frequency_penalty: 0.3 // Reduce repetition
-    });
-    
-    const aiResponse = completion.choices[0].message.content;
-    conversation.messages.push({ role: 'assistant', content: aiResponse });
+    // Nothing is stored until the model has answered, so a failed request
+    // leaves no unanswered turn behind and a retry doesn't save it twice
+    const incoming = directives.map(d => ({ role: 'user', content: d }));
+    if (message) incoming.push({ role: 'user', content: message });
+    let aiResponse;
+    try {
+      [aiResponse] = await Promise.all([
+        ai.chat({
+          purpose: 'conversation',
+          messages: [...conversation.messages, ...incoming],
+          ...BUDDY_SETTINGS,
+        }),
+        goalCheck,
+      ]);
+    } catch (error) {
+      loop?.rollback(); // the student may send the message again
+      throw error;
+    }
+
+    conversation.messages.push(...incoming, { role: 'assistant', content: aiResponse });
+    if (message) {
+      logTurn('student', message);
+      sessionStore.addTurn(conversationId, { role: 'student', text: message });
+    }
+    sessionStore.addTurn(conversationId, { role: 'ai', text: aiResponse });
     logTurn('ai', aiResponse);
     
     // Check if there's an image to display for this unit
-    const image = getImageForResponse(conversation.unitNumber, aiResponse);
+    const image = await matchImage(imageMap, imageLexicon, conversation.unit, aiResponse);
     
     const responseData = { response: aiResponse };
     if (image) {
       responseData.image = image;
+      recordImagePrompt(conversationId, image);
     }
+    loop?.aiTurn(aiResponse, image);
+    responseData.endAfterReply = !!loop?.endAfterReply;
+    responseData.demonstratedGoals = loop ? loop.demonstratedGoals() : [];
     
     res.json(responseData);
     
@@ -575,19 +780,14 @@ app.post('/api/text-to-speech', async (req, res) => {
       return res.status(400).json({ error: 'No text provided' });
     }
     
-    // Generate speech using OpenAI TTS
-    const mp3 = await openai.audio.speech.create({
-      model: 'tts-1-hd', // HD model for better quality
+    const { buffer, contentType } = await ai.speech({
+      text,
       voice: 'onyx', // Deep, warm, very natural voice
-      input: text,
-      speed: 1.0, // Completely natural conversational pace
-      response_format: 'mp3'
+      speed: 1.0 // Completely natural conversational pace
     });
     
-    const buffer = Buffer.from(await mp3.arrayBuffer());
-    
     res.set({
-      'Content-Type': 'audio/mpeg',
+      'Content-Type': contentType,
       'Content-Length': buffer.length
     });
     
@@ -646,7 +846,13 @@ app.get('/log-viewer', (req, res) => {
   .label.end     { color: #f87171; }
   .text { color: #e2e8f0; white-space: pre-wrap; word-break: break-word; }
   .text.pending { color: #475569; font-style: italic; }
+  .flags { display: flex; flex-wrap: wrap; gap: 4px; margin: 0 0 4px 162px; }
+  .flag { font-size: 11.5px; border-radius: 3px; padding: 0 5px; }
+  .flag.vocabulary { color: #f0abfc; background: #3b0d3f; border: 1px solid #701a75; }
+  .flag.grammar    { color: #fdba74; background: #3b1d0d; border: 1px solid #9a3412; }
   .meta { color: #64748b; font-size: 12px; }
+  .play { font: inherit; font-size: 11px; background: #1a1a1a; color: #fbbf24; border: 1px solid #334155; border-radius: 3px; padding: 0 6px; cursor: pointer; flex-shrink: 0; height: 19px; }
+  .play:hover { background: #263041; }
   #empty { color: #475569; margin-top: 30px; text-align: center; }
 </style>
 </head>
@@ -660,6 +866,7 @@ app.get('/log-viewer', (req, res) => {
   const log = document.getElementById('log');
   const dot = document.getElementById('dot');
   let hasContent = false;
+  let sessionId = null;
 
   function addRow(html) {
     const empty = document.getElementById('empty');
@@ -678,6 +885,7 @@ app.get('/log-viewer', (req, res) => {
       // Clear the log display for the new session
       log.innerHTML = '';
       hasContent = false;
+      sessionId = ev.sessionId;
       addRow('<div class="sep-heavy"></div>');
       addRow('<div class="row"><span class="time">' + ev.time + '</span><span class="label system">SESSION</span><span class="text">' + escHtml(ev.unitLabel) + '</span></div>');
       addRow('<div class="sep"></div>');
@@ -687,6 +895,10 @@ app.get('/log-viewer', (req, res) => {
       const idAttr = ev.id ? ' data-turn-id="' + escHtml(ev.id) + '"' : '';
       const textCls = ev.pending ? 'text pending' : 'text';
       addRow('<div class="row"' + idAttr + '><span class="time">' + ev.time + '</span><span class="label ' + cls + '">' + lbl + '</span><span class="' + textCls + '">' + escHtml(ev.text) + '</span></div>');
+      if (ev.audio) addPlayButton(ev.id);
+      if (ev.flags) addRow(renderFlags(ev.flags));
+    } else if (ev.type === 'turn-audio') {
+      if (ev.sessionId === sessionId) addPlayButton(ev.id);
     } else if (ev.type === 'update-turn') {
       // Replace the placeholder text with the real transcription
       const row = document.querySelector('[data-turn-id="' + ev.id + '"]');
@@ -694,6 +906,10 @@ app.get('/log-viewer', (req, res) => {
         const span = row.querySelector('.text');
         if (span) { span.textContent = ev.text; span.classList.remove('pending'); }
       }
+    } else if (ev.type === 'hint') {
+      addRow('<div class="row"><span class="time">' + ev.time + '</span><span class="label system">HINT</span><span class="meta">' + escHtml(ev.question || '(no question)') + '</span></div>');
+    } else if (ev.type === 'image') {
+      addRow('<div class="row"><span class="time">' + ev.time + '</span><span class="label system">IMAGE</span><span class="meta">' + escHtml(ev.description) + '</span></div>');
     } else if (ev.type === 'end') {
       addRow('<div class="sep"></div>');
       addRow('<div class="row"><span class="time">' + ev.time + '</span><span class="label end">ENDED &nbsp;</span><span class="meta">' + ev.exchangeCount + ' student turn(s)</span></div>');
@@ -701,9 +917,53 @@ app.get('/log-viewer', (req, res) => {
     }
   };
 
+  // ▶ next to a student turn whose recording the server kept
+  function addPlayButton(turnId) {
+    const row = document.querySelector('[data-turn-id="' + turnId + '"]');
+    if (!row || row.querySelector('.play')) return;
+    const button = document.createElement('button');
+    button.className = 'play';
+    button.textContent = '▶ audio';
+    button.title = 'Play what the student said';
+    button.onclick = () => playTurn(sessionId, turnId, button);
+    row.insertBefore(button, row.querySelector('.text'));
+  }
+
+  // Audio is teacher-only: send the access code like the dashboard does
+  async function playTurn(sid, turnId, button) {
+    const headers = {};
+    const code = sessionStorage.getItem('teacherCode');
+    if (code) headers['X-Teacher-Code'] = code;
+    const r = await fetch('/api/sessions/' + encodeURIComponent(sid) + '/turns/' + encodeURIComponent(turnId) + '/audio', { headers });
+    if (r.status === 401) {
+      const entered = prompt('Teacher access code:');
+      if (!entered) return;
+      sessionStorage.setItem('teacherCode', entered);
+      return playTurn(sid, turnId, button);
+    }
+    if (!r.ok) { button.textContent = 'no audio'; button.disabled = true; return; }
+    const url = URL.createObjectURL(await r.blob());
+    const audio = new Audio(url);
+    audio.onended = () => URL.revokeObjectURL(url);
+    audio.play();
+  }
+
   es.onerror = () => { dot.className = 'off'; };
   es.onopen  = () => { dot.className = ''; };
 
+  // Checker findings on an AI turn → one badge per flagged word / grammar finding
+  const FLAG_LABELS = { vocabulary: 'OOV', grammar: 'GRAMMAR' };
+  function renderFlags(flags) {
+    let html = '<div class="flags">';
+    for (const [kind, items] of Object.entries(flags)) {
+      for (const item of items) {
+        const label = typeof item === 'string' ? item : item.tag + ' \u2014 ' + item.match;
+        html += '<span class="flag ' + escHtml(kind) + '">' + (FLAG_LABELS[kind] || kind) + ': ' + escHtml(label) + '</span>';
+      }
+    }
+    return html + '</div>';
+  }
+
   function escHtml(s) {
     return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
   }
@@ -714,19 +974,36 @@ app.get('/log-viewer', (req, res) => {
 
 /**
  * Route: Conversation logger — frontend posts transcripts here.
- * body: { type: 'start'|'turn'|'end', sessionId, unit?, unitTitle?, role?: 'student'|'ai', text? }
+ * Every event is persisted to the session store before it is broadcast.
+ * body: {
+ *   type: 'start'|'turn'|'update-turn'|'end', sessionId,
+ *   unit?, unitTitle?, book?, chapter?, studentName?, studentId?, persona?,   // start
+ *   role?: 'student'|'ai', text?, id?, pending?                              // turn / update-turn
+ *   flags?: { vocabulary?: string[], grammar?: [{ tag, match }] }           // turn (AI checker findings)
+ *   durationMs?                                                              // end
+ * }
  */
-const logSessions = new Map(); // sessionId → { unit, unitTitle, exchangeCount }
-
 app.post('/api/log', (req, res) => {
   const { type, sessionId, unit, unitTitle, role, text } = req.body;
 
   if (!sessionId) return res.status(400).json({ error: 'Missing sessionId' });
+  if (!SAFE_ID.test(sessionId)) return res.status(400).json({ error: 'Invalid sessionId' });
 
   if (type === 'start') {
     // Clear history so reconnecting clients only see the current session
     logHistory.length = 0;
-    logSessions.set(sessionId, { unit, unitTitle, exchangeCount: 0 });
+    // Voice sessions from /token carry their unit, student and persona from the server
+    const setup = realtimeSetups.get(sessionId);
+    realtimeSetups.delete(sessionId);
+    if (!sessionStore.getSession(sessionId)) {
+      if (setup) {
+        sessionStore.createSession({ id: sessionId, source: 'realtime', ...setup.fields });
+      } else {
+        const { book = null, chapter = null, studentName = '' } = req.body;
+        const studentId = studentStore.getStudent(req.body.studentId) ? req.body.studentId : null;
+        sessionStore.createSession({ id: sessionId, source: 'realtime', unit, unitTitle: unitTitle || '', book, chapter, studentName, studentId, persona: null });
+      }
+    }
     const label = unitTitle ? `Unit ${unit} — ${unitTitle}` : `Unit ${unit}`;
     console.log(`\n${BOLD}${CYAN}${'═'.repeat(60)}${RESET}`);
     console.log(`${BOLD}${GREEN}[${timestamp()}] CONVERSATION STARTED${RESET}`);
@@ -736,17 +1013,24 @@ app.post('/api/log', (req, res) => {
     broadcastLog({ type: 'start', sessionId, unitLabel: label, time: timestamp() });
 
   } else if (type === 'turn') {
-    const session = logSessions.get(sessionId);
+    const session = sessionStore.getSession(sessionId);
     if (!session) return res.status(404).json({ error: 'Session not found' });
-    if (role === 'student') session.exchangeCount++;
-    const { id, pending } = req.body;
+    const { id, pending, durationMs } = req.body;
+    const flags = sanitizeFlags(req.body.flags);
+    const turn = sessionStore.addTurn(sessionId, { id: id || undefined, role, text, pending, durationMs, flags });
     // For pending student placeholders, skip the console until the real text arrives
-    if (!pending) logTurn(role, text);
-    broadcastLog({ type: 'turn', role, text, id: id || null, pending: !!pending, time: timestamp() });
+    if (!pending) logTurn(role, text, flags);
+    // The clip and its pronunciation may have reached /api/transcribe before the placeholder got here
+    const early = turn.placeholder ? takeEarlyResult(sessionId, turn.id) : null;
+    if (early?.audio) archiveTurnAudio(sessionId, turn.id, early.audio);
+    if (early?.pronunciation) recordPronunciation(sessionId, turn.id, early.pronunciation);
+    const audio = role === 'student' && audioArchive.has(sessionId, turn.id);
+    broadcastLog({ type: 'turn', role, text, id: turn.id, pending: !!pending, flags, audio, time: timestamp() });
 
   } else if (type === 'update-turn') {
     // Whisper transcription arrived — update the placeholder row in the log.
     const { id, text: updatedText } = req.body;
+    sessionStore.updateTurn(sessionId, id, { text: updatedText, pending: false });
     // Mutate the logHistory entry so replaying clients get the final text
     for (let i = logHistory.length - 1; i >= 0; i--) {
       if (logHistory[i].id === id) {
@@ -759,10 +1043,10 @@ app.post('/api/log', (req, res) => {
     broadcastLog({ type: 'update-turn', id, text: updatedText, time: timestamp() });
 
   } else if (type === 'end') {
-    const session = logSessions.get(sessionId);
+    const durationMs = Number.isFinite(req.body.durationMs) ? req.body.durationMs : undefined;
+    const session = sessionStore.endSession(sessionId, { durationMs });
     const count = session ? session.exchangeCount : 0;
     logConversationEnd(sessionId, count);
-    logSessions.delete(sessionId);
   }
 
   res.json({ ok: true });
@@ -773,76 +1057,375 @@ app.post('/api/log', (req, res) => {
  */
 app.post('/api/conversation/end', (req, res) => {
   const { conversationId } = req.body;
+  const durationMs = Number.isFinite(req.body.durationMs) ? req.body.durationMs : undefined;
   
-  if (conversationId && conversations.has(conversationId)) {
-    const conv = conversations.get(conversationId);
+  const conv = conversationId ? sessionStore.getSession(conversationId) : null;
+  textLoops.get(conversationId)?.close();
+  textLoops.delete(conversationId);
+  if (conv && TEXT_SOURCES.has(conv.source) && !conv.endedAt) {
+    sessionStore.endSession(conversationId, { durationMs });
     logConversationEnd(conversationId, conv.exchangeCount || 0);
-    conversations.delete(conversationId);
   }
   
   res.json({ success: true });
 });
 
-// Cleanup old conversations (every hour)
+// Drop student audio past its retention period (daily)
+setInterval(() => {
+  const deleted = audioArchive.prune();
+  if (deleted) console.log(`[Audio] Pruned ${deleted} clip(s) older than ${audioArchive.retentionDays} day(s)`);
+}, 24 * 60 * 60 * 1000);
+
+// Close abandoned text conversations (every hour). Their transcripts stay in the store.
 setInterval(() => {
-  const now = Date.now();
   const maxAge = 60 * 60 * 1000; // 1 hour
-  
-  for (const [id, conversation] of conversations.entries()) {
-    if (now - conversation.createdAt > maxAge) {
-      logConversationEnd(id, conversation.exchangeCount || 0);
-      conversations.delete(id);
+  for (const source of TEXT_SOURCES) {
+    for (const conversation of sessionStore.findStale(source, maxAge)) {
+      textLoops.get(conversation.id)?.close();
+      textLoops.delete(conversation.id);
+      sessionStore.endSession(conversation.id);
+      logConversationEnd(conversation.id, conversation.exchangeCount || 0);
     }
   }
 }, 60 * 60 * 1000);
 
+/**
+ * Teacher-only routes. When TEACHER_ACCESS_CODE is set, requests must send it
+ * in the X-Teacher-Code header (the dashboard prompts for it once).
+ * Without it (local development) the routes are open.
+ */
+function requireTeacher(req, res, next) {
+  const code = process.env.TEACHER_ACCESS_CODE;
+  if (!code || req.get('X-Teacher-Code') === code) return next();
+  res.status(401).json({ error: 'Teacher access code required' });
+}
+
+/**
+ * Route: Past sessions — newest first, summaries only.
+ * Query: ?unit=5&book=ID1&student=Anna&limit=50
+ */
+app.get('/api/sessions', requireTeacher, (req, res) => {
+  const { unit, book, student } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  res.json(sessionStore.listSessions({ unit, book, studentName: student, limit }));
+});
+
+/**
+ * Route: Full session record including every turn.
+ */
+app.get('/api/sessions/:sessionId', requireTeacher, (req, res) => {
+  const session = sessionStore.getSession(req.params.sessionId);
+  if (!session) return res.status(404).json({ error: `Session ${req.params.sessionId} not found` });
+  const { messages, turns, ...publicSession } = session;
+  res.json({
+    ...publicSession,
+    turns: turns.map(t => t.role === 'student' && audioArchive.has(session.id, t.id) ? { ...t, audio: true } : t),
+  });
+});
+
+/**
+ * Route: Recorded audio of one student turn (see /api/transcribe).
+ * Teacher-only; pages fetch it with the access code header and play the blob.
+ */
+app.get('/api/sessions/:sessionId/turns/:turnId/audio', requireTeacher, (req, res) => {
+  const clip = audioArchive.find(req.params.sessionId, req.params.turnId);
+  if (!clip) return res.status(404).json({ error: 'No audio for this turn' });
+  res.setHeader('Content-Type', clip.contentType);
+  res.sendFile(clip.file);
+});
+
+/**
+ * Route: Session export for students to hand in (server/sessionExport.js).
+ * Teacher-only, except for the student who ran the session: their browser got
+ * the session's export token from /token or /api/conversation/start.
+ * Query: ?format=html|json|vtt|srt (default html); &token=<exportToken>; &download=1 to save instead of open
+ */
+app.get('/api/sessions/:sessionId/export', (req, res, next) => {
+  const session = SAFE_ID.test(req.params.sessionId) ? sessionStore.getSession(req.params.sessionId) : null;
+  if (session?.exportToken && req.query.token === session.exportToken) return next();
+  requireTeacher(req, res, next);
+}, (req, res) => {
+  const format = String(req.query.format || 'html').toLowerCase();
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) return res.status(400).json({ error: `Unknown format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+  const session = SAFE_ID.test(req.params.sessionId) ? sessionStore.getSession(req.params.sessionId) : null;
+  if (!session) return res.status(404).json({ error: `Session ${req.params.sessionId} not found` });
+  res.setHeader('Content-Type', exporter.contentType);
+  // Subtitles and JSON are always files; the HTML report opens in the browser for printing
+  if (format !== 'html' || req.query.download) {
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(session, format)}"`);
+  }
+  res.send(exporter.render(session));
+});
+
+/**
+ * Route: Teacher dashboard page — class rosters, session review, goal coverage.
+ */
+app.get('/teacher', (req, res) => {
+  res.setHeader('Content-Type', 'text/html');
+  res.send(TEACHER_DASHBOARD_HTML);
+});
+
+/**
+ * Route: All class codes that have at least one student.
+ */
+app.get('/api/teacher/classes', requireTeacher, (req, res) => {
+  res.json(studentStore.listClasses());
+});
+
+/**
+ * Route: Class roster with per-student totals.
+ * returns: { classCode, students: [{ id, name, sessionCount, totalDurationMs, spokenMs, lastPracticedAt, goalsDemonstrated }] }
+ */
+app.get('/api/teacher/classes/:classCode', requireTeacher, (req, res) => {
+  const students = studentStore.listClass(req.params.classCode).map(student => {
+    const sessions = sessionStore.listSessions({ studentId: student.id, limit: Infinity });
+    const goals = new Set();
+    for (const s of sessions) for (const g of s.demonstratedGoals || []) goals.add(`${g.unit}|${g.goal}`);
+    return {
+      id: student.id,
+      name: student.name,
+      sessionCount: sessions.length,
+      totalDurationMs: sessions.reduce((sum, s) => sum + (s.durationMs || 0), 0),
+      spokenMs: sessions.reduce((sum, s) => sum + s.spokenMs, 0),
+      lastPracticedAt: sessions[0]?.startedAt || null,
+      goalsDemonstrated: goals.size,
+    };
+  });
+  res.json({ classCode: req.params.classCode.toUpperCase(), students });
+});
+
+/**
+ * Route: One student's sessions grouped by unit, plus goal coverage — for every
+ * unit the student practiced, which communicative_functions.goals they have
+ * demonstrated in at least one session — and what their buddy remembers.
+ */
+app.get('/api/teacher/students/:studentId', requireTeacher, (req, res) => {
+  const student = studentStore.getStudent(req.params.studentId);
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  const sessions = sessionStore.listSessions({ studentId: student.id, limit: Infinity });
+
+  const units = new Map(); // unit → { unit, book, sessions: [] }
+  for (const s of sessions) {
+    const key = String(s.unit);
+    if (!units.has(key)) units.set(key, { unit: s.unit, book: s.book, sessions: [] });
+    units.get(key).sessions.push(s);
+  }
+
+  const demonstrated = new Map(); // "unit|goal" → sessionIds
+  for (const s of sessions) {
+    for (const g of s.demonstratedGoals || []) {
+      const key = `${g.unit}|${g.goal}`;
+      if (!demonstrated.has(key)) demonstrated.set(key, []);
+      demonstrated.get(key).push(s.id);
+    }
+  }
+  const goalCoverage = [...units.keys()].flatMap(unit =>
+    (unitMap[unit]?.communicative_functions?.goals || []).map(goal => ({
+      unit,
+      goal,
+      demonstrated: demonstrated.has(`${unit}|${goal}`),
+      sessionIds: demonstrated.get(`${unit}|${goal}`) || [],
+    }))
+  );
+
+  res.json({ student, units: [...units.values()], goalCoverage, memory: studentMemory.get(student.id) });
+});
+
+/**
+ * Route: Clear what the buddy remembers about a student (server/studentMemory.js).
+ * Their next session starts with a new buddy and fresh introductions.
+ */
+app.delete('/api/teacher/students/:studentId/memory', requireTeacher, (req, res) => {
+  const student = studentStore.getStudent(req.params.studentId);
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  studentMemory.forget(student.id);
+  res.json({ ok: true });
+});
+
+/**
+ * Route: The startup persona check in full — missing chapters, malformed rows,
+ * and every option outside its chapter's vocabulary (server/personaTools.js)
+ */
+app.get('/api/teacher/persona-check', requireTeacher, async (req, res) => {
+  try {
+    res.json(await personaCheck);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Route: Student login — class code + name. Creates the profile on first use.
+ * body: { classCode: "GER101-A", name: "Anna" }
+ * returns: { student, lastSession: <session summary>|null }
+ */
+app.post('/api/students/login', (req, res) => {
+  try {
+    const student = studentStore.login(req.body || {});
+    const [lastSession = null] = sessionStore.listSessions({ studentId: student.id, limit: 1 });
+    res.json({ student, lastSession });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Route: Progress history for one student — every recorded session, newest first.
+ */
+app.get('/api/students/:studentId/progress', (req, res) => {
+  const student = studentStore.getStudent(req.params.studentId);
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  const sessions = sessionStore.listSessions({ studentId: student.id, limit: Infinity });
+  res.json({ student, sessions, lastSession: sessions[0] || null });
+});
+
 /**
  * Route: Persona Generator
- * Maps a unit number to its chapter key, then randomly selects one of the
- * 5 options for each of the 31 traits.  Traits with value "-" are marked
- * unavailable so the AI can deflect naturally.
+ * Maps a unit number to its chapter key, then selects one of the 5 options
+ * for each of the 31 traits, keeping to the database's _rules (a Wien WG
+ * means living in Wien). Traits with value "-" are marked unavailable so the
+ * AI can deflect naturally. The same seed always gives the same persona, so a
+ * teacher can hand two students the same buddy or replay a session.
  *
- * body: { book: "ID1"|"ID2B"|"ID2O", chapter: <number> }
- * returns: { chapterKey, persona: { [trait]: string|null } }
+ * body: { book: "ID1"|"ID2B"|"ID2O", chapter: <number>, seed?: string }
+ * returns: { chapterKey, seed, persona: { [trait]: string|null } }
  */
 
-/** Map (book, chapter) → persona database key */
-function getPersonaChapterKey(book, chapter) {
-  if (book === 'ID1')  return `ID1_Ch${chapter}`;
-  if (book === 'ID2B') return `ID2B_Ch${chapter}`;
-  if (book === 'ID2O') return `ID2O_Ch${chapter}`;
-  return null;
+// A client-supplied persona seed, or undefined for a fresh one
+function personaSeedFrom(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+  const seed = String(value).trim().slice(0, 64);
+  return seed || undefined;
 }
 
-app.post('/api/persona', (req, res) => {
-  const { book = 'ID1', chapter = 1 } = req.body;
-  const chapterKey = getPersonaChapterKey(book, chapter);
+/**
+ * Persona for (book, chapter) → { chapterKey, seed, persona }, or null if the database is empty.
+ * Without a seed a random one is drawn; it is returned so the persona can be reproduced.
+ * Throws in development when the chapter has no row (see the startup persona check).
+ */
+function generatePersona(book = 'ID1', chapter = 1, seed = newPersonaSeed()) {
+  const chapterKey = personaChapterKey(book, chapter);
 
   if (!chapterKey || !personaDatabase[chapterKey]) {
+    if (IS_DEVELOPMENT) throw new Error(`No persona row for ${chapterKey || `${book} chapter ${chapter}`} in personaDatabase.json`);
     // Fallback to the richest available chapter (ID1_Ch8) when chapter not yet in DB.
-    // This silently degrades rather than erroring.
+    console.warn(`[Persona] No row for ${chapterKey || `${book} chapter ${chapter}`} — using ID1_Ch8`);
     const fallbackKey = 'ID1_Ch8';
     const fallbackTraits = personaDatabase[fallbackKey];
-    if (!fallbackTraits) return res.status(404).json({ error: 'Persona database empty' });
-    return res.json({ chapterKey: fallbackKey, persona: buildPersona(fallbackTraits) });
+    if (!fallbackTraits) return null;
+    return { chapterKey: fallbackKey, seed, persona: buildPersona(fallbackTraits, { seed, rules: personaRules }) };
   }
 
-  const traits = personaDatabase[chapterKey];
-  res.json({ chapterKey, persona: buildPersona(traits) });
+  return { chapterKey, seed, persona: buildPersona(personaDatabase[chapterKey], { seed, rules: personaRules }) };
+}
+
+/**
+ * The buddy for a new session. A signed-in student always gets their own
+ * buddy (the seed kept in server/studentMemory.js), which remembers them from
+ * earlier sessions. A seed from the request (?buddy=) overrides it, and that
+ * buddy doesn't know the student.
+ * returns: { generated, memory }   // generated: see generatePersona; memory: studentMemory.forPrompt() or null
+ */
+function buddyForSession(book, chapter, studentId, requestedSeed) {
+  const requested = personaSeedFrom(requestedSeed);
+  const ownSeed = studentId ? studentMemory.get(studentId).personaSeed : null;
+  const generated = generatePersona(book, chapter, requested || ownSeed || undefined);
+  if (!studentId || !generated) return { generated, memory: null };
+  if (!ownSeed && !requested) studentMemory.rememberPersonaSeed(studentId, generated.seed);
+  const ownBuddy = !requested || requested === ownSeed;
+  return { generated, memory: ownBuddy ? studentMemory.forPrompt(studentId) : null };
+}
+
+app.post('/api/persona', (req, res) => {
+  const { book = 'ID1', chapter = 1 } = req.body;
+  let generated;
+  try {
+    generated = generatePersona(book, chapter, personaSeedFrom(req.body.seed));
+  } catch (err) {
+    console.error('[Persona]', err.message);
+    return res.status(500).json({ error: err.message });
+  }
+  if (!generated) return res.status(404).json({ error: 'Persona database empty' });
+  res.json({ chapterKey: generated.chapterKey, seed: generated.seed, persona: publicPersona(generated.persona) });
 });
 
-function buildPersona(traits) {
-  const persona = {};
-  for (const [trait, options] of Object.entries(traits)) {
-    const pick = options[Math.floor(Math.random() * options.length)];
-    persona[trait] = pick === '-' ? null : pick;
+// What /api/transcribe made of a turn whose placeholder hasn't been logged yet
+// (the browser's log queue can lag behind the upload), until it arrives:
+// `${sessionId}/${turnId}` → { at, audio?: { data, mimeType }, pronunciation? }
+const earlyTurnResults = new Map();
+const EARLY_RESULT_TTL_MS = 60 * 1000;
+const MAX_EARLY_RESULTS = 50;
+const MAX_HELD_CLIP_BYTES = 2 * 1024 * 1024;   // a held clip is kept in memory; a voice turn is far smaller
+
+function holdEarlyResult(sessionId, turnId, result) {
+  const now = Date.now();
+  for (const [key, held] of earlyTurnResults) {
+    if (now - held.at > EARLY_RESULT_TTL_MS) earlyTurnResults.delete(key);
+  }
+  const key = `${sessionId}/${turnId}`;
+  if (!earlyTurnResults.has(key) && earlyTurnResults.size >= MAX_EARLY_RESULTS) return;
+  earlyTurnResults.set(key, { ...earlyTurnResults.get(key), ...result, at: now });
+}
+
+function takeEarlyResult(sessionId, turnId) {
+  const key = `${sessionId}/${turnId}`;
+  const held = earlyTurnResults.get(key);
+  earlyTurnResults.delete(key);
+  return held && Date.now() - held.at <= EARLY_RESULT_TTL_MS ? held : null;
+}
+
+// Keep a student turn's clip and tell log viewers it can be played.
+// clip: { file } (the upload) or { data } (a held Buffer), plus mimeType.
+// Only a voice placeholder takes a clip, and only its first, so an upload
+// can't replace what a student said or put audio on someone else's turn. A
+// clip must never cost the student their transcript, so failures are only logged.
+function archiveTurnAudio(sessionId, turnId, clip) {
+  if (!audioArchive.enabled || !SAFE_ID.test(String(turnId))) return;
+  try {
+    const turn = sessionStore.getSession(sessionId)?.turns.find(t => t.id === turnId);
+    const data = clip.data || fs.readFileSync(clip.file);
+    if (!turn) {
+      if (data.length <= MAX_HELD_CLIP_BYTES) holdEarlyResult(sessionId, turnId, { audio: { data, mimeType: clip.mimeType } });
+      return;
+    }
+    if (turn.role !== 'student' || !turn.placeholder) return;
+    if (audioArchive.save(sessionId, turnId, data, clip.mimeType)) broadcastLog({ type: 'turn-audio', sessionId, id: turnId });
+  } catch (err) {
+    console.error('[Audio] Could not archive clip:', err.message);
   }
-  return persona;
+}
+
+// Store a turn's pronunciation check on its student turn, or hold it until
+// the placeholder is logged
+function recordPronunciation(sessionId, turnId, pronunciation) {
+  const turn = sessionStore.getSession(sessionId)?.turns.find(t => t.id === turnId);
+  if (!turn) return holdEarlyResult(sessionId, turnId, { pronunciation });
+  if (turn.role === 'student') sessionStore.updateTurn(sessionId, turnId, { pronunciation });
+}
+
+// Unit vocabulary for pronunciation checks (a promise of it), by `${book}:${unit}`
+const pronunciationVocabulary = new Map();
+function vocabularyForSession(session) {
+  const key = `${session.book || 'ID1'}:${session.unit}`;
+  if (!pronunciationVocabulary.has(key)) {
+    const unitData = buildCumulativeUnit(String(session.unit), session.book || 'ID1');
+    pronunciationVocabulary.set(key, vocabularyWords(unitData?._cumulative));
+  }
+  return pronunciationVocabulary.get(key);
 }
 
 /**
  * Route: Student audio transcription via Whisper
  * Receives a WebM audio blob from the frontend MediaRecorder and returns the transcript.
+ * With sessionId (and the turn's log id), the turn's pronunciation is assessed
+ * too (server/pronunciation.js) and stored on the turn for the feedback screen,
+ * and the clip is archived under the turn (server/audioArchive.js) — even when
+ * transcription fails, since those are the turns teachers most want to hear.
+ * Only the student's placeholder turn takes a clip, and only the first one.
+ *
+ * form fields: audio, sessionId?, turnId?, prompt? (the buddy's line before this turn)
+ * returns: { text, pronunciation? }
  */
 app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'No audio file' });
@@ -851,12 +1434,17 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
   const renamedPath = req.file.path + '.webm';
   try {
     fs.renameSync(req.file.path, renamedPath);
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(renamedPath),
-      model: 'gpt-4o-transcribe',
-      language: 'de',
-    });
-    res.json({ text: transcription.text || '' });
+    const { sessionId, turnId, prompt = '' } = req.body || {};
+    const session = sessionId && SAFE_ID.test(sessionId) ? sessionStore.getSession(sessionId) : null;
+    if (session && turnId) archiveTurnAudio(sessionId, turnId, { file: renamedPath, mimeType: req.file.mimetype });
+    if (!session) {
+      const text = await ai.transcribe({ filePath: renamedPath, language: 'de' });
+      return res.json({ text });
+    }
+    const { text, words } = await ai.transcribeWords({ filePath: renamedPath, language: 'de' });
+    const pronunciation = await assessTurn({ heardWords: words, prompt, vocabulary: await vocabularyForSession(session) });
+    if (pronunciation && turnId && SAFE_ID.test(String(turnId))) recordPronunciation(sessionId, turnId, pronunciation);
+    res.json({ text, pronunciation });
   } catch (err) {
     console.error('[Transcribe] Error:', err.message);
     res.json({ text: '' });
@@ -866,17 +1454,95 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
   }
 });
 
+/**
+ * Earlier active vocabulary a signed-in student should recycle this session
+ * (overdue or never produced — server/vocabularyMemory.js). The current unit's
+ * own words are left out; the unit's topics bring those up anyway.
+ * returns: [{ word, translation, reason }]
+ */
+function reviewWordsFor(studentId, unitData) {
+  if (!studentId) return [];
+  const current = new Set((unitData.active_vocabulary?.items || []).map(i => headword(typeof i === 'object' ? i.word : i)));
+  return vocabularyMemory.dueWords(studentId, unitData._cumulative?.activeVocabulary || [], { exclude: current });
+}
+
+// Once per session: move the student's vocabulary schedule on from what they said
+async function recordVocabularyMemory(session, utterances) {
+  if (!session?.studentId || session.vocabularyRecorded) return;
+  const unitData = buildCumulativeUnit(String(session.unit), session.book || 'ID1');
+  if (!unitData) return;
+  const { used } = await vocabularyUse(unitData._cumulative?.activeVocabulary || [], utterances);
+  vocabularyMemory.recordSession(session.studentId, { produced: used, targeted: session.reviewWords || [] });
+  sessionStore.updateSession(session.id, { vocabularyRecorded: true });
+}
+
+// Once per session: notes on what the student said about themselves, for their
+// buddy to remember next time. A failed extraction still counts the session.
+async function recordStudentMemory(session, utterances) {
+  if (!session?.studentId || session.memoryRecorded) return;
+  sessionStore.updateSession(session.id, { memoryRecorded: true });
+  const turns = session.turns?.length ? session.turns : utterances.map(text => ({ role: 'student', text }));
+  let facts = {};
+  if (turns.some(t => t.role === 'student' && t.text)) {
+    try {
+      const content = await ai.chat({
+        purpose: 'student-facts',
+        messages: [{ role: 'user', content: factsPrompt(turns, studentMemory.get(session.studentId).facts) }],
+        temperature: 0.2,
+        maxTokens: 400,
+      });
+      facts = parseFacts(content);
+    } catch (err) {
+      console.error('[Memory] Error:', err.message);
+    }
+  }
+  studentMemory.recordSession(session.studentId, { sessionId: session.id, facts });
+}
+
 /**
  * Route: Feedback Generator (Component 8)
  * Analyzes student utterances against communicative goals from all loaded units
- * up to the current one and returns English-language feedback sentences.
+ * up to the current one and returns English-language feedback sentences,
+ * plus the session's pronunciation summary (see /api/transcribe) when there is one.
+ * The full report also has representative mistakes with corrections (tied to
+ * the unit's new grammar rules where possible), which of the unit's active
+ * vocabulary the student used, and suggestions for next time (server/feedbackReport.js).
+ *
+ * Goals the Conversation Manager saw the student perform during the session
+ * (body.demonstratedGoals, via /api/classify-goal) count alongside the ones
+ * the model finds in the utterances.
+ *
+ * returns: { items, corrections, vocabulary, nextSteps, pronunciation, goals, hints, sessionId }
+ *        | { fallback: true, pronunciation, goals, hints, sessionId }
+ * (goals: the current unit's { covered, remaining }, or null when it lists none;
+ *  hints: the questions the student asked for a hint on (/api/hint);
+ *  sessionId is null unless the session is on record)
  */
 app.post('/api/feedback', async (req, res) => {
   try {
-    const { utterances = [], unit = 1, sessionDurationMs = 0, minDurationMs = 3*60*1000 } = req.body;
+    const { utterances = [], unit = 1, sessionDurationMs = 0, minDurationMs = 3*60*1000, sessionId = null } = req.body;
+    // Goals of the current unit, and the ones the Conversation Manager saw the student perform live
+    const unitGoals = unitMap[String(unit)]?.communicative_functions?.goals || [];
+    const liveGoals = (Array.isArray(req.body.demonstratedGoals) ? req.body.demonstratedGoals : []).filter(g => unitGoals.includes(g));
+    const goalReport = (covered) => unitGoals.length
+      ? { covered: unitGoals.filter(g => covered.includes(g)), remaining: unitGoals.filter(g => !covered.includes(g)) }
+      : null;
+    // Pronunciation is shown even when the session was too short for goal feedback
+    const session = sessionId ? sessionStore.getSession(sessionId) : null;
+    const pronunciation = session ? summarizePronunciation(session.turns.map(t => t.pronunciation).filter(Boolean)) : null;
+    if (pronunciation) sessionStore.updateSession(sessionId, { pronunciation });
+    // Short sessions still count toward the student's vocabulary schedule
+    await recordVocabularyMemory(session, utterances.filter(Boolean));
+    // The notes for the buddy's memory don't hold up the feedback screen
+    recordStudentMemory(session, utterances.filter(Boolean)).catch(err => console.error('[Memory] Error:', err.message));
     const MIN_THRESHOLD_MS = 0.6 * minDurationMs; // 60% of chapter minimum duration
+    const exportId = session ? sessionId : null; // lets the feedback screen offer the transcript export
+    const hints = (session?.hints || []).map(h => h.question);
+    if (session && liveGoals.length) {
+      sessionStore.updateSession(sessionId, { demonstratedGoals: liveGoals.map(goal => ({ unit: String(unit), goal })) });
+    }
     if (sessionDurationMs < MIN_THRESHOLD_MS) {
-      return res.json({ fallback: true });
+      return res.json({ fallback: true, pronunciation, goals: goalReport(liveGoals), hints, sessionId: exportId });
     }
 
     // Collect goals from units 1..unit, most recent first (higher-unit goals prioritized)
@@ -888,34 +1554,55 @@ app.post('/api/feedback', async (req, res) => {
     }
 
     if (goalsByUnit.length === 0 || utterances.length === 0) {
-      return res.json({ fallback: true });
+      return res.json({ fallback: true, pronunciation, goals: goalReport(liveGoals), hints, sessionId: exportId });
     }
 
     const goalsText = goalsByUnit
       .map(({ unit: u, goals }) => `Unit ${u}: ${goals.join('; ')}`)
       .join('\n');
     const utterancesText = utterances.filter(Boolean).join('\n');
+    const rules = recentGrammarRules(unitMap, unit);
+    const rulesText = rules.map(r => `Rule (Unit ${r.unit}): ${r.rule}`).join('\n') || '(none listed)';
 
     const prompt =
-`You are evaluating a German language student's spoken conversation.\nThe student is at Unit ${unit}. Communicative goals from Units 1\u2013${unit} (most recent first):\n${goalsText}\n\nStudent utterances from this session:\n${utterancesText}\n\nIdentify 2\u20138 communicative goals the student clearly demonstrated. Prioritize goals from higher-numbered (more recent) units. Translate each matched goal into an English phrase.\nRespond ONLY with a valid JSON object:\n{ "items": ["You were able to ...", "You were able to ..."] }`;
+`You are evaluating a German language student's spoken conversation.\nThe student is at Unit ${unit}. Communicative goals from Units 1\u2013${unit} (most recent first):\n${goalsText}\n\nStudent utterances from this session:\n${utterancesText}\n\nIdentify 2\u20138 communicative goals the student clearly demonstrated. Prioritize goals from higher-numbered (more recent) units. Translate each matched goal into an English phrase, and also return each matched goal exactly as written above with its unit number.\n\nGrammar rules the student has just learned (most recent first):\n${rulesText}\n\nAlso pick up to 4 representative mistakes the student made (grammar, word order, wrong word; ignore missing capitals and punctuation). Quote the student's words exactly as "original", give the corrected German as "corrected", and explain the rule in one short English sentence. If a listed rule applies, use its text exactly as "rule". Return no mistakes rather than inventing them. Finally, suggest 1\u20132 concrete things to practice next time, in English.\nRespond ONLY with a valid JSON object:\n{ "items": ["You were able to ...", "You were able to ..."], "goals": [{ "unit": ${unit}, "goal": "<goal exactly as listed>" }], "corrections": [{ "original": "...", "corrected": "...", "rule": "..." }], "nextSteps": ["..."] }`;
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const content = await ai.chat({
+      purpose: 'feedback',
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.2,
-      max_tokens: 400,
+      maxTokens: 900,
     });
 
     let items = [];
+    let goals = [];
+    let rawCorrections = [];
+    let suggestions = [];
     try {
-      const parsed = JSON.parse(completion.choices[0].message.content);
+      const parsed = JSON.parse(content);
       items = Array.isArray(parsed.items) ? parsed.items : [];
+      goals = Array.isArray(parsed.goals) ? parsed.goals : [];
+      rawCorrections = parsed.corrections;
+      suggestions = parsed.nextSteps;
     } catch {
-      const m = completion.choices[0].message.content.match(/\[[\s\S]*?\]/);
+      const m = content.match(/\[[\s\S]*?\]/);
       if (m) items = JSON.parse(m[0]);
     }
     items = items.filter(s => typeof s === 'string' && s.trim()).slice(0, 8);
-    res.json({ items });
+    // Keep only goals that really exist in the listed units (the model may paraphrase)
+    const demonstratedGoals = goals.filter(g =>
+      goalsByUnit.some(({ unit: u, goals: list }) => String(u) === String(g?.unit) && list.includes(g?.goal))
+    ).map(g => ({ unit: String(g.unit), goal: g.goal }));
+    for (const goal of liveGoals) {
+      if (!demonstratedGoals.some(g => g.unit === String(unit) && g.goal === goal)) demonstratedGoals.push({ unit: String(unit), goal });
+    }
+    const coveredGoals = demonstratedGoals.filter(g => g.unit === String(unit)).map(g => g.goal);
+    const corrections = cleanCorrections(rawCorrections, utterances.filter(Boolean), rules);
+    const vocabulary = await vocabularyUse(unitMap[String(unit)]?.active_vocabulary?.items || [], utterances);
+    const nextSteps = practiceSuggestions({ suggestions, vocabulary, pronunciation });
+    // Record the feedback against the session so it shows up in the student's history
+    if (sessionId) sessionStore.updateSession(sessionId, { feedback: items, demonstratedGoals, corrections, vocabulary, nextSteps });
+    res.json({ items, corrections, vocabulary, nextSteps, pronunciation, goals: goalReport(coveredGoals), hints, sessionId: exportId });
   } catch (err) {
     console.error('[Feedback] Error:', err.message);
     res.json({ fallback: true });
@@ -937,8 +1624,12 @@ app.post('/api/feedback', async (req, res) => {
  */
 app.post('/api/classify-topic', async (req, res) => {
   const { text, currentTopics = [], reviewTopics = [] } = req.body;
+  res.json(await classifyTopic(text, currentTopics, reviewTopics));
+});
 
-  if (!text?.trim()) return res.json({ matchedTopics: [], pool: 'none' });
+// Also called by the text-chat session loop (server/textSessionLoop.js)
+async function classifyTopic(text, currentTopics = [], reviewTopics = []) {
+  if (!text?.trim()) return { matchedTopics: [], pool: 'none' };
 
   // Build a numbered list with pool labels for the prompt
   const allTopics = [
@@ -946,7 +1637,7 @@ app.post('/api/classify-topic', async (req, res) => {
     ...reviewTopics.map(t => ({ name: t.topic || t, pool: 'review' })),
   ];
 
-  if (allTopics.length === 0) return res.json({ matchedTopics: [], pool: 'none' });
+  if (allTopics.length === 0) return { matchedTopics: [], pool: 'none' };
 
   const topicList = allTopics.map((t, i) => `${i + 1}. [${t.pool}] ${t.name}`).join('\n');
 
@@ -966,16 +1657,16 @@ If no topic matches, respond:
 { "matchedIndices": [], "primaryPool": "none" }`;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const content = await ai.chat({
+      purpose: 'classify-topic',
       messages: [{ role: 'user', content: prompt }],
       temperature: 0,
-      max_tokens: 80,
+      maxTokens: 80,
     });
 
     let result = { matchedIndices: [], primaryPool: 'none' };
     try {
-      const raw = completion.choices[0].message.content
+      const raw = content
         .replace(/```json|```/g, '').trim();
       result = JSON.parse(raw);
     } catch { /* parse failed — return none */ }
@@ -986,10 +1677,118 @@ If no topic matches, respond:
 
     const pool = result.primaryPool || 'none';
 
-    res.json({ matchedTopics, pool });
+    return { matchedTopics, pool };
   } catch (err) {
     console.error('[Topic Classification] Error:', err.message);
-    res.json({ matchedTopics: [], pool: 'none' });
+    return { matchedTopics: [], pool: 'none' };
+  }
+}
+
+/**
+ * Route: Communicative goal classification (for Conversation Manager)
+ * Checks whether a student utterance performs any of the current unit's
+ * communicative_functions.goals. Called asynchronously after each student
+ * turn; goals still missing are steered toward in Phase 2.
+ *
+ * body: { text: "Ich wohne in Köln.", goals: ["sagen, wo man wohnt", ...] }
+ * returns: { matchedGoals: ["sagen, wo man wohnt"] }
+ */
+app.post('/api/classify-goal', async (req, res) => {
+  const { text, goals = [] } = req.body;
+  res.json(await classifyGoals(text, goals));
+});
+
+// Also called by the text-chat session loop (server/textSessionLoop.js)
+async function classifyGoals(text, goals = []) {
+  const list = (Array.isArray(goals) ? goals : []).filter(g => typeof g === 'string' && g.trim());
+  if (!text?.trim() || list.length === 0) return { matchedGoals: [] };
+
+  const prompt = `You are checking what a German language student just did in a conversation.
+
+Utterance: "${text}"
+
+Which of these communicative goals does the utterance actually perform? A goal counts only if the student does it in this utterance (for example, "sagen, wo man wohnt" needs the student to say where they live) — not if they only mention a related word or answer "ja"/"nein".
+
+Goals:
+${list.map((g, i) => `${i + 1}. ${g}`).join('\n')}
+
+Respond ONLY with a JSON object (no markdown, no explanation):
+{ "matchedIndices": [1] }
+
+If no goal is performed, respond:
+{ "matchedIndices": [] }`;
+
+  try {
+    const content = await ai.chat({
+      purpose: 'classify-goal',
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      maxTokens: 60,
+    });
+
+    let result = { matchedIndices: [] };
+    try {
+      result = JSON.parse(content.replace(/```json|```/g, '').trim());
+    } catch { /* parse failed — return none */ }
+
+    const matchedGoals = (Array.isArray(result.matchedIndices) ? result.matchedIndices : [])
+      .filter(i => i >= 1 && i <= list.length)
+      .map(i => list[i - 1]);
+    return { matchedGoals: [...new Set(matchedGoals)] };
+  } catch (err) {
+    console.error('[Goal Classification] Error:', err.message);
+    return { matchedGoals: [] };
+  }
+}
+
+/**
+ * Route: Answer hints for the buddy's last question (the session's Hint button).
+ * Scaffolds use the cumulative active vocabulary, verb forms and the unit's
+ * templated model sentences (server/hintBuilder.js). Each request is recorded
+ * on the session so the feedback screen can show how many hints were used.
+ *
+ * body: { sessionId, text: <the buddy's last turn>, unit?, book? }   (unit/book when the session isn't on record)
+ * returns: { question, scaffolds: [{ text, choices, words: [{ word, translation }] }] }
+ */
+app.post('/api/hint', async (req, res) => {
+  const { sessionId = null, text = '' } = req.body;
+  const session = sessionId && SAFE_ID.test(String(sessionId)) ? sessionStore.getSession(sessionId) : null;
+  const unit = String(session?.unit ?? req.body.unit ?? '');
+  const book = session?.book || req.body.book || 'ID1';
+  const unitData = ALL_CHAPTERS[book] ? buildCumulativeUnit(unit, book) : null;
+  if (!unitData) return res.status(404).json({ error: `Unit ${unit} not found` });
+
+  try {
+    const hint = await buildHints(String(text), unitData);
+    if (session) {
+      const hints = [...(session.hints || []), { question: hint.question, scaffolds: hint.scaffolds.map(s => s.text), at: new Date().toISOString() }];
+      sessionStore.updateSession(sessionId, { hints });
+    }
+    console.log(`${DIM}[${timestamp()}]${RESET} ${BOLD}${GREEN}   HINT:${RESET} ${DIM}${hint.question || '(no question)'}${RESET}`);
+    broadcastLog({ type: 'hint', question: hint.question, time: timestamp() });
+    res.json(hint);
+  } catch (err) {
+    console.error('[Hint] Error:', err.message);
+    res.status(500).json({ error: 'Could not build a hint' });
+  }
+});
+
+/**
+ * Route: Curriculum picture for something the buddy said in a voice session
+ * body: { sessionId?, text, unit? } — the session's unit wins when known
+ * returns: { image: { path, duration, description, keywords } | null }
+ */
+app.post('/api/image-prompt', async (req, res) => {
+  const { sessionId = null, text = '' } = req.body;
+  const session = sessionId && SAFE_ID.test(String(sessionId)) ? sessionStore.getSession(sessionId) : null;
+  const unit = String(session?.unit ?? req.body.unit ?? '');
+  try {
+    const image = await matchImage(imageMap, imageLexicon, unit, String(text));
+    if (image) recordImagePrompt(session ? sessionId : null, image);
+    res.json({ image });
+  } catch (err) {
+    console.error('[Image] Error:', err.message);
+    res.status(500).json({ error: 'Could not match an image' });
   }
 });
 
@@ -1001,7 +1800,22 @@ app.get('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Loaded ${Object.keys(unitMap).length} units | Impuls Deutsch 1 | ${ID1_CHAPTERS.length} chapters`);
 });
+
+// Offline voice sessions: the mock provider points the browser at the Realtime simulator
+if (ai.name === 'mock') {
+  attachRealtimeSimulator(server, { path: '/realtime-sim' });
+  console.log('Realtime simulator listening on /realtime-sim');
+}
+
+// Voice sessions for networks that block WebRTC, relayed through this server
+attachRealtimeRelay(server, {
+  path: '/realtime-relay',
+  resolveSession: (sessionId) => {
+    const setup = realtimeSetups.get(sessionId);
+    return setup ? ai.realtimeRelayTarget(setup.realtime) : null;
+  },
+});
@@ -0,0 +1,207 @@
+/**
+ * Session export — a finished conversation as a file students can hand in.
+ *
+ * Formats (GET /api/sessions/:sessionId/export?format=…):
+ *   html — printable report: unit and chapter, date, duration, the feedback
+ *          from /api/feedback and the full transcript. "Save as PDF" is the
+ *          browser's print dialog; there is no PDF library on the server.
+ *   json — the same report as structured data
+ *   vtt  — WebVTT subtitles, one cue per turn
+ *   srt  — SubRip subtitles, one cue per turn
+ *
+ * Cue times come from when each turn reached /api/log, relative to the session
+ * start. A cue lasts for the student's mic time (or a speaking-speed estimate
+ * for the buddy) and stops at the next turn, but stays up long enough to
+ * read — typed turns arrive together with the buddy's reply.
+ *
+ * FILE: server/sessionExport.js
+ */
+
+const MIN_CUE_MS = 1500;
+const MS_PER_WORD = 400;        // roughly how fast the buddy speaks
+const DEFAULT_BUDDY_NAME = 'Max'; // same default as getBuddyFirstName in systemInstructions.js
+
+function speakers(session) {
+  return {
+    student: session.studentName || 'Student',
+    ai: session.persona?.Vorname || DEFAULT_BUDDY_NAME,
+  };
+}
+
+/** Turns with text, each with its offset from the session start and a cue length. */
+function timeline(session) {
+  const start = Date.parse(session.startedAt);
+  const turns = (session.turns || []).filter(t => t.text && t.text.trim());
+  return turns.map((turn, i) => {
+    const offsetMs = Math.max(0, Date.parse(turn.createdAt) - start) || 0;
+    const nextMs = turns[i + 1] ? Math.max(0, Date.parse(turns[i + 1].createdAt) - start) : Infinity;
+    const spokenMs = Number.isFinite(turn.durationMs)
+      ? turn.durationMs
+      : turn.text.trim().split(/\s+/).length * MS_PER_WORD;
+    const endMs = Math.max(offsetMs + MIN_CUE_MS, Math.min(offsetMs + spokenMs, nextMs));
+    return { turn, offsetMs, endMs };
+  });
+}
+
+function unitLabel(session) {
+  return session.unitTitle ? `Unit ${session.unit} — ${session.unitTitle}` : `Unit ${session.unit ?? '?'}`;
+}
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '—';
+  const s = Math.round(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// 3723004 → "01:02:03.004" (separator "," for SRT)
+function cueTime(ms, separator = '.') {
+  ms = Math.max(0, Math.round(ms));   // a client's durationMs need not be whole
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function escHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Structured report (also the data behind the HTML export). */
+function toJson(session) {
+  const names = speakers(session);
+  return {
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      type: session.source === 'realtime' ? 'voice' : 'typed',
+      student: session.studentName || null,
+      unit: session.unit,
+      unitTitle: session.unitTitle || '',
+      book: session.book,
+      chapter: session.chapter,
+      buddy: names.ai,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      durationMs: session.durationMs,
+      studentTurns: session.exchangeCount,
+    },
+    feedback: {
+      items: session.feedback || [],
+      demonstratedGoals: session.demonstratedGoals || [],
+      corrections: session.corrections || [],
+      vocabulary: session.vocabulary || null,
+      nextSteps: session.nextSteps || [],
+      pronunciation: session.pronunciation || null,
+    },
+    transcript: timeline(session).map(({ turn, offsetMs }) => ({
+      role: turn.role,
+      speaker: names[turn.role] || turn.role,
+      text: turn.text,
+      at: turn.createdAt,
+      offsetMs,
+      ...(Number.isFinite(turn.durationMs) ? { durationMs: turn.durationMs } : {}),
+    })),
+  };
+}
+
+// Cue text may not contain "<", "&" or "-->" unescaped
+const vttText = (s) => String(s).replace(/\n+/g, ' ').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function toVtt(session) {
+  const names = speakers(session);
+  const cues = timeline(session).map(({ turn, offsetMs, endMs }) =>
+    `${cueTime(offsetMs)} --> ${cueTime(endMs)}\n<v ${vttText(names[turn.role] || turn.role)}>${vttText(turn.text)}`
+  );
+  return `WEBVTT - ${unitLabel(session)}\n\n${cues.join('\n\n')}\n`;
+}
+
+function toSrt(session) {
+  const names = speakers(session);
+  return timeline(session).map(({ turn, offsetMs, endMs }, i) =>
+    `${i + 1}\n${cueTime(offsetMs, ',')} --> ${cueTime(endMs, ',')}\n${names[turn.role] || turn.role}: ${turn.text.replace(/\n+/g, ' ')}\n`
+  ).join('\n');
+}
+
+function toHtml(session) {
+  const report = toJson(session);
+  const { session: info, feedback } = report;
+  const list = (items, render = escHtml) => items.length ? `<ul>${items.map(i => `<li>${render(i)}</li>`).join('')}</ul>` : '';
+  const section = (title, body) => body ? `<h2>${title}</h2>${body}` : '';
+
+  const details = [
+    ['Student', info.student || '—'],
+    ['Unit', unitLabel(session)],
+    ['Book / chapter', `${info.book || '—'} · Chapter ${info.chapter ?? '—'}`],
+    ['Date', info.startedAt ? new Date(info.startedAt).toLocaleString('en-US') : '—'],
+    ['Duration', formatDuration(info.durationMs)],
+    ['Session', `${info.type} · ${info.studentTurns} student turn(s) · ${info.id}`],
+  ].map(([k, v]) => `<tr><th>${k}</th><td>${escHtml(v)}</td></tr>`).join('');
+
+  const corrections = list(feedback.corrections, c =>
+    `<s>${escHtml(c.original)}</s> → <b>${escHtml(c.corrected)}</b>${c.rule ? `<div class="note">${escHtml(c.rule)}</div>` : ''}`);
+  const vocabulary = feedback.vocabulary?.total
+    ? `<p>Used ${feedback.vocabulary.used.length} of ${feedback.vocabulary.total}: ${escHtml(feedback.vocabulary.used.join(', ') || '—')}</p>`
+      + (feedback.vocabulary.unused.length ? `<p class="note">Not used yet: ${escHtml(feedback.vocabulary.unused.join(', '))}</p>` : '')
+    : '';
+  const pronunciation = feedback.pronunciation
+    ? (feedback.pronunciation.clear.length ? `<p>Clear: ${escHtml(feedback.pronunciation.clear.join(', '))}</p>` : '')
+      + list(feedback.pronunciation.practice, p => `<b>${escHtml(p.word)}</b>${p.issues.map(i => `<div class="note">${escHtml(i.label)}: ${escHtml(i.tip)}</div>`).join('')}`)
+    : '';
+  const transcript = report.transcript.map(t =>
+    `<tr class="${t.role}"><td class="time">${cueTime(t.offsetMs).slice(0, 8)}</td><td class="who">${escHtml(t.speaker)}</td><td>${escHtml(t.text)}</td></tr>`
+  ).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Conversation report — ${escHtml(info.student || 'Student')} — ${escHtml(unitLabel(session))}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 760px; margin: 32px auto; padding: 0 20px; line-height: 1.45; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin: 22px 0 6px; border-bottom: 1px solid #ccc; padding-bottom: 3px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; vertical-align: top; padding: 3px 8px 3px 0; }
+  th { width: 150px; color: #555; font-weight: normal; }
+  .note { color: #555; font-size: 13px; }
+  .time { color: #777; font-family: monospace; width: 70px; }
+  .who { font-weight: bold; width: 90px; }
+  .student .who { color: #9a5b00; }
+  .ai .who { color: #1d4ed8; }
+  #print { font: inherit; padding: 6px 14px; margin-top: 12px; cursor: pointer; }
+  @media print { #print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>German conversation practice</h1>
+<button id="print" onclick="window.print()">Print / Save as PDF</button>
+<h2>Session</h2>
+<table>${details}</table>
+${section('What you practiced', list(feedback.items))}
+${section('Things to fix', corrections)}
+${section('Unit vocabulary', vocabulary)}
+${section('Pronunciation', pronunciation)}
+${section('Next time', list(feedback.nextSteps))}
+<h2>Transcript</h2>
+<table>${transcript || '<tr><td class="note">No turns were recorded.</td></tr>'}</table>
+<p class="note">Exported ${escHtml(new Date(report.exportedAt).toLocaleString('en-US'))}.</p>
+</body>
+</html>`;
+}
+
+const FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', render: toHtml },
+  json: { contentType: 'application/json; charset=utf-8', render: (s) => JSON.stringify(toJson(s), null, 2) },
+  vtt: { contentType: 'text/vtt; charset=utf-8', render: toVtt },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', render: toSrt },
+};
+
+/** Download name, e.g. "anna-unit-12-2025-03-04.vtt" */
+function exportFileName(session, format) {
+  const slug = (s) => String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const parts = [slug(session.studentName) || 'session', `unit-${slug(session.unit) || 'x'}`, (session.startedAt || '').slice(0, 10)];
+  return `${parts.filter(Boolean).join('-')}.${format}`;
+}
+
+module.exports = { FORMATS, exportFileName };
@@ -0,0 +1,161 @@
+/**
+ * SessionStore — persistent record of every conversation session.
+ *
+ * One record per session (Realtime sessions logged through /api/log and the
+ * typed /api/conversation/* chat sessions). Each record keeps the unit/book
+ * context, the persona used, and the ordered list of turns including the
+ * pending → updated lifecycle of student placeholders.
+ *
+ * Session shape:
+ * {
+ *   id, source: 'realtime'|'text'|'legacy',   // legacy: text chats from before the unit prompt
+ *   unit, unitTitle, book, chapter, studentName, studentId, persona,   // persona without its password
+ *   personaSeed?: string,   // reproduces the persona (POST /api/persona { seed }, ?buddy=<seed>)
+ *   exportToken?: string,   // given to the student's browser; lets it download the session export
+ *   reviewWords?: string[],   // earlier vocabulary the buddy was asked to recycle (server/vocabularyMemory.js)
+ *   vocabularyRecorded?: true,   // the student's vocabulary schedule has been updated from this session
+ *   memoryRecorded?: true,   // the buddy's notes on the student have been taken from this session (server/studentMemory.js)
+ *   startedAt, endedAt, durationMs, exchangeCount,
+ *   feedback: string[]|null,   // items returned by /api/feedback
+ *   demonstratedGoals: [{ unit, goal }],   // communicative goals matched by /api/feedback
+ *   corrections?: [{ original, corrected, rule, unit? }],   // student mistakes picked by /api/feedback
+ *   vocabulary?: { used: string[], unused: string[], total },   // unit active vocabulary the student produced
+ *   nextSteps?: string[],   // practice suggestions shown after the session
+ *   pronunciation?: { assessedWords, clear, practice },   // summary sent with /api/feedback
+ *   hints?: [{ question, scaffolds: string[], at }],   // answer hints the student asked for (/api/hint)
+ *   images?: [{ path, description, at }],   // curriculum pictures shown on the chalkboard (server/imageMap.json)
+ *   turns: [{ id, role: 'student'|'ai', text, pending, placeholder?, durationMs?, flags?, pronunciation?, createdAt, updatedAt }],
+ *   // placeholder: a voice turn logged before its transcript — the only kind /api/transcribe files audio under
+ *   // flags: checker findings on AI turns, e.g.
+ *   //   { vocabulary: ['gestern'], grammar: [{ tag: 'tense:Perfekt', match: 'habe … gesehen' }] }
+ *   // pronunciation: per-word assessment of student voice turns (server/pronunciation.js)
+ *   messages?: [...]   // text chat only — the chat message history sent to the model
+ * }
+ *
+ * FILE: server/sessionStore.js
+ */
+const { JsonCollection, generateId } = require('./storage');
+
+class SessionStore {
+  constructor(baseDir) {
+    this.sessions = new JsonCollection('sessions', baseDir);
+  }
+
+  createSession({ id = generateId(), source = 'realtime', ...fields }) {
+    const session = {
+      id,
+      source,
+      unit: null,
+      unitTitle: '',
+      book: null,
+      chapter: null,
+      studentName: '',
+      studentId: null,
+      persona: null,
+      ...fields,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      durationMs: null,
+      exchangeCount: 0,
+      feedback: null,
+      demonstratedGoals: [],
+      turns: [],
+    };
+    return this.sessions.save(session);
+  }
+
+  getSession(id) {
+    return this.sessions.get(id);
+  }
+
+  updateSession(id, patch) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    Object.assign(session, patch);
+    return this.sessions.save(session);
+  }
+
+  addTurn(sessionId, { id = generateId(), role, text, pending = false, durationMs, flags }) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    const now = new Date().toISOString();
+    const turn = { id, role, text, pending: !!pending, createdAt: now, updatedAt: now };
+    if (pending && role === 'student') turn.placeholder = true;
+    if (Number.isFinite(durationMs)) turn.durationMs = durationMs;
+    if (flags && Object.keys(flags).length) turn.flags = flags;
+    session.turns.push(turn);
+    if (role === 'student') session.exchangeCount++;
+    this.sessions.save(session);
+    return turn;
+  }
+
+  updateTurn(sessionId, turnId, patch) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    const turn = session.turns.find(t => t.id === turnId);
+    if (!turn) return null;
+    Object.assign(turn, patch, { updatedAt: new Date().toISOString() });
+    this.sessions.save(session);
+    return turn;
+  }
+
+  endSession(id, fields = {}) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    if (session.endedAt) return session;
+    const endedAt = new Date();
+    const durationMs = fields.durationMs ?? (endedAt - Date.parse(session.startedAt));
+    return this.updateSession(id, { ...fields, durationMs, endedAt: endedAt.toISOString() });
+  }
+
+  /** Open sessions of the given source that started more than maxAgeMs ago. */
+  findStale(source, maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    return this.sessions.all().filter(s =>
+      s.source === source && !s.endedAt && Date.parse(s.startedAt) < cutoff
+    );
+  }
+
+  /** Newest session first. Returns summaries (no turns / messages). */
+  listSessions({ unit, book, studentName, studentId, limit = 50 } = {}) {
+    return this.sessions.all()
+      .filter(s => unit === undefined || String(s.unit) === String(unit))
+      .filter(s => book === undefined || s.book === book)
+      .filter(s => studentId === undefined || s.studentId === studentId)
+      .filter(s => studentName === undefined ||
+        (s.studentName || '').toLowerCase() === String(studentName).toLowerCase())
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt))
+      .slice(0, limit)
+      .map(summarize);
+  }
+
+  latestSession() {
+    let latest = null;
+    for (const s of this.sessions.all()) {
+      if (!latest || Date.parse(s.startedAt) > Date.parse(latest.startedAt)) latest = s;
+    }
+    return latest;
+  }
+}
+
+/** Total time the student held the mic across the session's turns. */
+function spokenMs(session) {
+  return session.turns
+    .filter(t => t.role === 'student' && Number.isFinite(t.durationMs))
+    .reduce((sum, t) => sum + t.durationMs, 0);
+}
+
+// Summaries reach unauthenticated student routes, so the buddy's password never
+// goes in one (records from before it was left out of the stored persona may have it),
+// and neither does the export token
+function summarize(session) {
+  const { turns, messages, ...rest } = session;
+  delete rest.exportToken;
+  if (rest.persona) {
+    rest.persona = { ...rest.persona };
+    delete rest.persona.password;
+  }
+  return { ...rest, turnCount: turns.length, spokenMs: spokenMs(session) };
+}
+
+module.exports = { SessionStore, summarize, spokenMs };
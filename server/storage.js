@@ -0,0 +1,82 @@
+/**
+ * File-backed JSON storage.
+ *
+ * A JsonCollection keeps one JSON file per record inside its own directory
+ * (DATA_DIR/<collection>/<id>.json) and an in-memory cache of every record so
+ * reads never touch the disk. Writes go to a temp file first and are renamed
+ * into place, so a crash mid-write never leaves a half-written record behind.
+ *
+ * DATA_DIR defaults to <repo>/data. On Elastic Beanstalk it points outside the
+ * application bundle (see .ebextensions) so redeploys keep the data.
+ *
+ * FILE: server/storage.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '../data');
+
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+class JsonCollection {
+  constructor(name, baseDir = DATA_DIR) {
+    this.name = name;
+    this.dir = path.join(baseDir, name);
+    this.cache = new Map();
+    fs.mkdirSync(this.dir, { recursive: true });
+    this._loadAll();
+  }
+
+  get(id) {
+    return this.cache.get(String(id)) || null;
+  }
+
+  has(id) {
+    return this.cache.has(String(id));
+  }
+
+  all() {
+    return [...this.cache.values()];
+  }
+
+  save(record) {
+    const id = String(record.id);
+    const file = this._file(id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+    this.cache.set(id, record);
+    return record;
+  }
+
+  delete(id) {
+    const file = this._file(String(id));
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    return this.cache.delete(String(id));
+  }
+
+  _file(id) {
+    if (!SAFE_ID.test(id)) throw new Error(`Invalid ${this.name} id: ${id}`);
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _loadAll() {
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        if (record && record.id !== undefined) this.cache.set(String(record.id), record);
+      } catch (e) {
+        console.warn(`[Storage] Skipping ${this.name}/${file}: ${e.message}`);
+      }
+    }
+  }
+}
+
+module.exports = { DATA_DIR, SAFE_ID, JsonCollection, generateId };
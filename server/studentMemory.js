@@ -0,0 +1,113 @@
+/**
+ * StudentMemory — what the buddy knows about each student from earlier
+ * sessions, and which buddy the student talks to.
+ *
+ * One record per student profile (DATA_DIR/memory/<studentId>.json). After
+ * each session the transcript is sent to the model once (see /api/feedback),
+ * which returns short notes on what the student said about themselves, one
+ * per topic. A topic the student talks about again replaces its note, so
+ * "has a sister" can become "has a sister, Lena, who studies in Köln".
+ *
+ * The record also holds the student's persona seed. Every session of a
+ * signed-in student uses it, so the same buddy remembers them. A buddy the
+ * teacher assigns with ?buddy= doesn't know the student and starts afresh.
+ *
+ * Record shape:
+ * {
+ *   id: studentId, updatedAt, personaSeed, sessionCount, lastSessionAt,
+ *   facts: { [topic]: { text, sessionId, at } }   // topic: one of FACT_TOPICS, text in English
+ * }
+ *
+ * FILE: server/studentMemory.js
+ */
+const { JsonCollection } = require('./storage');
+
+const FACT_TOPICS = ['origin', 'home', 'studies', 'work', 'family', 'hobbies', 'food', 'pets', 'languages', 'travel', 'other'];
+const MAX_FACT_LENGTH = 160;
+const MAX_TRANSCRIPT_TURNS = 80;
+
+class StudentMemory {
+  constructor(baseDir) {
+    this.records = new JsonCollection('memory', baseDir);
+  }
+
+  get(studentId) {
+    return this.records.get(studentId) || { id: studentId, updatedAt: null, personaSeed: null, sessionCount: 0, lastSessionAt: null, facts: {} };
+  }
+
+  /** Keep the first persona seed the student was given; later ones are ignored */
+  rememberPersonaSeed(studentId, seed) {
+    const record = this.get(studentId);
+    if (record.personaSeed || !seed) return record;
+    return this.records.save({ ...record, personaSeed: String(seed), updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Count one session and merge the notes taken from it.
+   * facts: { [topic]: text } as returned by parseFacts()
+   */
+  recordSession(studentId, { sessionId = null, facts = {}, at = Date.now() }) {
+    const record = this.get(studentId);
+    const when = new Date(at).toISOString();
+    for (const [topic, text] of Object.entries(facts)) {
+      record.facts[topic] = { text, sessionId, at: when };
+    }
+    record.sessionCount += 1;
+    record.lastSessionAt = when;
+    record.updatedAt = when;
+    return this.records.save(record);
+  }
+
+  forget(studentId) {
+    return this.records.delete(studentId);
+  }
+
+  /**
+   * What the next session's prompt needs, or null for a student the buddy
+   * hasn't talked to yet.
+   * returns: { sessionCount, lastSessionAt, facts: [{ topic, text }] }
+   */
+  forPrompt(studentId) {
+    const record = this.get(studentId);
+    if (!record.sessionCount) return null;
+    const facts = FACT_TOPICS.filter(t => record.facts[t]).map(topic => ({ topic, text: record.facts[topic].text }));
+    return { sessionCount: record.sessionCount, lastSessionAt: record.lastSessionAt, facts };
+  }
+}
+
+/**
+ * The extraction prompt for one session.
+ * turns: [{ role: 'student'|'ai', text }]; known: the current facts ({ [topic]: { text } })
+ */
+function factsPrompt(turns, known = {}) {
+  const transcript = turns
+    .filter(t => t?.text && !t.pending)
+    .slice(-MAX_TRANSCRIPT_TURNS)
+    .map(t => `${t.role === 'student' ? 'Student' : 'Buddy'}: ${t.text}`)
+    .join('\n');
+  const knownText = FACT_TOPICS.filter(t => known[t]).map(t => `${t}: ${known[t].text}`).join('\n') || '(nothing yet)';
+  return `You keep notes on a German language student for their conversation buddy, so the buddy remembers them next time.\n\nWhat the notes already say:\n${knownText}\n\nTranscript of today's conversation:\n${transcript}\n\nWrite a note for each topic the STUDENT said something about themselves today (not what the buddy said about itself). Topics: ${FACT_TOPICS.join(', ')}. Each note is one short English phrase about the student, e.g. "comes from Chicago" or "has a sister, Lena". If the topic already has a note, combine it with what is new and drop what the student corrected. Leave out topics the student didn't talk about, and never guess.\nRespond ONLY with a valid JSON object:\n{ "facts": { "origin": "...", "hobbies": "..." } }`;
+}
+
+/** Model output → { [topic]: text } for known topics only */
+function parseFacts(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    const m = String(content || '').match(/\{[\s\S]*\}/);
+    try {
+      parsed = m ? JSON.parse(m[0]) : null;
+    } catch {
+      parsed = null;
+    }
+  }
+  const facts = {};
+  for (const [topic, text] of Object.entries(parsed?.facts || {})) {
+    if (!FACT_TOPICS.includes(topic) || typeof text !== 'string' || !text.trim()) continue;
+    facts[topic] = text.trim().replace(/\s+/g, ' ').slice(0, MAX_FACT_LENGTH);
+  }
+  return facts;
+}
+
+module.exports = { StudentMemory, FACT_TOPICS, factsPrompt, parseFacts };
@@ -0,0 +1,82 @@
+/**
+ * StudentStore — lightweight student profiles.
+ *
+ * There are no passwords: a student is identified by their class code plus
+ * their name (case-insensitive). Logging in with the same pair again returns
+ * the same profile, so sessions recorded under its id build up a progress
+ * history across visits.
+ *
+ * Student shape:
+ * { id, classCode, name, nameKey, createdAt, lastLoginAt }
+ *
+ * FILE: server/studentStore.js
+ */
+const { JsonCollection, generateId } = require('./storage');
+
+const CLASS_CODE_PATTERN = /^[A-Z0-9-]{3,20}$/;
+
+function normalizeClassCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function nameKey(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+class StudentStore {
+  constructor(baseDir) {
+    this.students = new JsonCollection('students', baseDir);
+  }
+
+  /**
+   * Find the profile for (classCode, name) or create it.
+   * Throws if the class code or name is unusable.
+   */
+  login({ classCode, name }) {
+    const code = normalizeClassCode(classCode);
+    const key = nameKey(name);
+    if (!CLASS_CODE_PATTERN.test(code)) throw new Error('Class code must be 3–20 letters, digits, or dashes');
+    if (!key) throw new Error('Name is required');
+
+    const now = new Date().toISOString();
+    const existing = this.findByName(code, key);
+    if (existing) {
+      existing.lastLoginAt = now;
+      return this.students.save(existing);
+    }
+    return this.students.save({
+      id: generateId(),
+      classCode: code,
+      name: String(name).trim().replace(/\s+/g, ' '),
+      nameKey: key,
+      createdAt: now,
+      lastLoginAt: now,
+    });
+  }
+
+  getStudent(id) {
+    return this.students.get(id);
+  }
+
+  findByName(classCode, key) {
+    return this.students.all().find(s => s.classCode === classCode && s.nameKey === key) || null;
+  }
+
+  /** Every class code in use, with the number of students in it. */
+  listClasses() {
+    const counts = new Map();
+    for (const s of this.students.all()) counts.set(s.classCode, (counts.get(s.classCode) || 0) + 1);
+    return [...counts.entries()]
+      .map(([classCode, studentCount]) => ({ classCode, studentCount }))
+      .sort((a, b) => a.classCode.localeCompare(b.classCode));
+  }
+
+  listClass(classCode) {
+    const code = normalizeClassCode(classCode);
+    return this.students.all()
+      .filter(s => s.classCode === code)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+module.exports = { StudentStore, normalizeClassCode };
@@ -0,0 +1,234 @@
+/**
+ * Teacher dashboard page (served at /teacher).
+ *
+ * Self-contained HTML + vanilla JS, styled like the live /log-viewer. Reads the
+ * /api/teacher/* and /api/sessions/* routes (including the student turn
+ * recordings, played from the transcript). When the server has a
+ * TEACHER_ACCESS_CODE, the page asks for it once and keeps it in sessionStorage.
+ *
+ * FILE: server/teacherDashboard.js
+ */
+
+const TEACHER_DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Teacher Dashboard — Conversation Buddy</title>
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { background: #0d0d0d; color: #e2e8f0; font-family: 'Consolas', 'Menlo', monospace; font-size: 13.5px; padding: 20px; }
+  h1 { font-size: 15px; font-weight: 600; color: #94a3b8; letter-spacing: .04em; }
+  h2 { font-size: 14px; font-weight: 600; color: #e2e8f0; margin-bottom: 10px; }
+  h3 { font-size: 13px; font-weight: 600; color: #94a3b8; margin: 14px 0 6px; }
+  #header { display: flex; align-items: center; gap: 12px; margin-bottom: 18px; border-bottom: 1px solid #2d2d2d; padding-bottom: 14px; }
+  #header form { margin-left: auto; display: flex; gap: 8px; }
+  input, button { font: inherit; background: #1a1a1a; color: #e2e8f0; border: 1px solid #334155; border-radius: 4px; padding: 4px 8px; }
+  button { cursor: pointer; }
+  button:hover { background: #263041; }
+  #layout { display: grid; grid-template-columns: 280px 1fr 1.3fr; gap: 18px; align-items: start; }
+  .panel { border: 1px solid #2a2a2a; border-radius: 6px; padding: 12px; min-height: 120px; }
+  .item { padding: 6px 8px; border-radius: 4px; cursor: pointer; display: flex; justify-content: space-between; gap: 8px; }
+  .item:hover, .item.active { background: #1e293b; }
+  .meta { color: #64748b; font-size: 12px; }
+  .muted { color: #475569; }
+  .goal { display: flex; gap: 8px; line-height: 1.6; }
+  .goal .yes { color: #34d399; }
+  .goal .no  { color: #475569; }
+  .row { display: flex; gap: 10px; line-height: 1.55; }
+  .time { color: #475569; min-width: 74px; flex-shrink: 0; }
+  .label { font-weight: 700; min-width: 68px; flex-shrink: 0; }
+  .label.student { color: #fbbf24; }
+  .label.ai      { color: #60a5fa; }
+  .text { color: #e2e8f0; white-space: pre-wrap; word-break: break-word; }
+  .play { font-size: 11px; color: #fbbf24; padding: 0 6px; flex-shrink: 0; height: 19px; }
+  .error { color: #f87171; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { text-align: left; padding: 4px 6px; border-bottom: 1px solid #1f2937; }
+  th { color: #64748b; font-weight: 600; }
+</style>
+</head>
+<body>
+<div id="header">
+  <h1>Teacher Dashboard</h1>
+  <form id="classForm">
+    <input id="classCode" placeholder="Class code" autocomplete="off">
+    <button>Open class</button>
+  </form>
+</div>
+<div id="layout">
+  <div class="panel" id="roster"><p class="muted">Loading classes…</p></div>
+  <div class="panel" id="student"><p class="muted">Select a student.</p></div>
+  <div class="panel" id="transcript"><p class="muted">Select a session to read its transcript.</p></div>
+</div>
+<script>
+  const roster = document.getElementById('roster');
+  const studentPanel = document.getElementById('student');
+  const transcriptPanel = document.getElementById('transcript');
+
+  function escHtml(s) {
+    return String(s ?? '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+  }
+  function fmtDuration(ms) {
+    if (!ms) return '0:00';
+    const s = Math.round(ms / 1000);
+    return Math.floor(s / 60) + ':' + String(s % 60).padStart(2, '0');
+  }
+  function fmtDate(iso) {
+    return iso ? new Date(iso).toLocaleString() : '—';
+  }
+
+  async function api(url, method = 'GET') {
+    const headers = {};
+    const code = sessionStorage.getItem('teacherCode');
+    if (code) headers['X-Teacher-Code'] = code;
+    const r = await fetch(url, { method, headers });
+    if (r.status === 401) {
+      const entered = prompt('Teacher access code:');
+      if (!entered) throw new Error('Teacher access code required');
+      sessionStorage.setItem('teacherCode', entered);
+      return api(url, method);
+    }
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || r.statusText);
+    return r.json();
+  }
+
+  // Student turn recordings (kept for AUDIO_RETENTION_DAYS) need the access code header too
+  async function playTurn(sessionId, turnId, button) {
+    try {
+      const headers = {};
+      const code = sessionStorage.getItem('teacherCode');
+      if (code) headers['X-Teacher-Code'] = code;
+      const r = await fetch('/api/sessions/' + encodeURIComponent(sessionId) + '/turns/' + encodeURIComponent(turnId) + '/audio', { headers });
+      if (!r.ok) throw new Error(r.statusText);
+      const url = URL.createObjectURL(await r.blob());
+      const audio = new Audio(url);
+      audio.onended = () => URL.revokeObjectURL(url);
+      await audio.play();
+    } catch (e) {
+      button.textContent = 'no audio';
+      button.disabled = true;
+    }
+  }
+
+  async function loadClasses() {
+    try {
+      const classes = await api('/api/teacher/classes');
+      roster.innerHTML = '<h2>Classes</h2>' + (classes.length
+        ? classes.map(c => '<div class="item" data-class="' + escHtml(c.classCode) + '"><span>' + escHtml(c.classCode) + '</span><span class="meta">' + c.studentCount + ' student(s)</span></div>').join('')
+        : '<p class="muted">No students have logged in with a class code yet.</p>');
+      roster.querySelectorAll('[data-class]').forEach(el => el.onclick = () => loadClass(el.dataset.class));
+    } catch (e) {
+      roster.innerHTML = '<p class="error">' + escHtml(e.message) + '</p>';
+    }
+  }
+
+  async function loadClass(code) {
+    try {
+      const data = await api('/api/teacher/classes/' + encodeURIComponent(code));
+      roster.innerHTML = '<h2>' + escHtml(data.classCode) + '</h2>'
+        + '<div class="item" id="allClasses"><span class="meta">← all classes</span></div>'
+        + (data.students.length ? data.students.map(s =>
+            '<div class="item" data-student="' + escHtml(s.id) + '"><span>' + escHtml(s.name) + '</span>'
+            + '<span class="meta">' + s.sessionCount + ' sess · ' + fmtDuration(s.spokenMs) + ' spoken</span></div>'
+          ).join('') : '<p class="muted">No students in this class.</p>');
+      document.getElementById('allClasses').onclick = loadClasses;
+      roster.querySelectorAll('[data-student]').forEach(el => el.onclick = () => {
+        roster.querySelectorAll('.item').forEach(i => i.classList.remove('active'));
+        el.classList.add('active');
+        loadStudent(el.dataset.student);
+      });
+    } catch (e) {
+      roster.innerHTML = '<p class="error">' + escHtml(e.message) + '</p>';
+    }
+  }
+
+  async function loadStudent(id) {
+    try {
+      const data = await api('/api/teacher/students/' + encodeURIComponent(id));
+      let html = '<h2>' + escHtml(data.student.name) + '</h2>';
+      html += '<p class="meta">Class ' + escHtml(data.student.classCode) + ' · joined ' + fmtDate(data.student.createdAt) + '</p>';
+
+      html += '<h3>Sessions by unit</h3>';
+      if (!data.units.length) html += '<p class="muted">No sessions yet.</p>';
+      for (const u of data.units) {
+        html += '<p class="meta" style="margin-top:8px">Unit ' + escHtml(u.unit) + ' · ' + escHtml(u.book || '') + '</p>';
+        html += '<table><tr><th>Date</th><th>Length</th><th>Spoken</th><th>Turns</th></tr>';
+        for (const s of u.sessions) {
+          html += '<tr class="item" data-session="' + escHtml(s.id) + '"><td>' + fmtDate(s.startedAt) + '</td><td>' + fmtDuration(s.durationMs)
+            + '</td><td>' + (s.source === 'text' ? 'typed' : fmtDuration(s.spokenMs)) + '</td><td>' + s.exchangeCount + '</td></tr>';
+        }
+        html += '</table>';
+      }
+
+      html += '<h3>Communicative goals</h3>';
+      if (!data.goalCoverage.length) html += '<p class="muted">No goals recorded for the practiced units.</p>';
+      for (const g of data.goalCoverage) {
+        html += '<div class="goal"><span class="' + (g.demonstrated ? 'yes">✓' : 'no">○') + '</span>'
+          + '<span>Unit ' + escHtml(g.unit) + ' — ' + escHtml(g.goal) + '</span></div>';
+      }
+
+      html += '<h3>What the buddy remembers</h3>';
+      const facts = Object.entries(data.memory.facts || {});
+      if (!data.memory.sessionCount) html += '<p class="muted">Nothing yet — the buddy will meet them as a new student.</p>';
+      else {
+        html += '<p class="meta">' + data.memory.sessionCount + ' session(s), last ' + fmtDate(data.memory.lastSessionAt) + '</p>';
+        if (!facts.length) html += '<p class="muted">No facts noted yet.</p>';
+        for (const [topic, fact] of facts) html += '<div class="goal"><span class="muted">' + escHtml(topic) + '</span><span>' + escHtml(fact.text) + '</span></div>';
+        html += '<p><button id="forget-memory">Forget this student</button></p>';
+      }
+
+      studentPanel.innerHTML = html;
+      studentPanel.querySelectorAll('[data-session]').forEach(el => el.onclick = () => loadTranscript(el.dataset.session));
+      const forget = document.getElementById('forget-memory');
+      if (forget) forget.onclick = async () => {
+        if (!confirm('The buddy will forget everything about ' + data.student.name + ' and start over with introductions. Continue?')) return;
+        try {
+          await api('/api/teacher/students/' + encodeURIComponent(id) + '/memory', 'DELETE');
+          loadStudent(id);
+        } catch (e) {
+          alert(e.message);
+        }
+      };
+    } catch (e) {
+      studentPanel.innerHTML = '<p class="error">' + escHtml(e.message) + '</p>';
+    }
+  }
+
+  async function loadTranscript(id) {
+    try {
+      const s = await api('/api/sessions/' + encodeURIComponent(id));
+      let html = '<h2>Unit ' + escHtml(s.unit) + (s.unitTitle ? ' — ' + escHtml(s.unitTitle) : '') + '</h2>';
+      html += '<p class="meta">' + fmtDate(s.startedAt) + ' · ' + fmtDuration(s.durationMs) + ' · ' + s.exchangeCount + ' student turn(s)'
+        + (s.source === 'text' ? ' · typed chat' : '')
+        + (s.persona?.Vorname ? ' · buddy ' + escHtml(s.persona.Vorname) : '') + '</p>';
+      if (s.feedback?.length) {
+        html += '<h3>Feedback shown to the student</h3>' + s.feedback.map(f => '<div class="goal"><span class="yes">✓</span><span>' + escHtml(f) + '</span></div>').join('');
+      }
+      html += '<h3>Transcript</h3>';
+      for (const t of s.turns) {
+        const cls = t.role === 'student' ? 'student' : 'ai';
+        const lbl = t.role === 'student' ? 'STUDENT' : '    AI';
+        html += '<div class="row"><span class="time">' + new Date(t.createdAt).toLocaleTimeString('en-US', { hour12: false }) + '</span>'
+          + '<span class="label ' + cls + '">' + lbl + '</span>'
+          + (t.audio ? '<button class="play" data-turn="' + escHtml(t.id) + '" title="Play what the student said">▶ audio</button>' : '')
+          + '<span class="text">' + escHtml(t.text) + '</span></div>';
+      }
+      transcriptPanel.innerHTML = html;
+      transcriptPanel.querySelectorAll('[data-turn]').forEach(el => el.onclick = () => playTurn(s.id, el.dataset.turn, el));
+    } catch (e) {
+      transcriptPanel.innerHTML = '<p class="error">' + escHtml(e.message) + '</p>';
+    }
+  }
+
+  document.getElementById('classForm').onsubmit = (e) => {
+    e.preventDefault();
+    const code = document.getElementById('classCode').value.trim();
+    if (code) loadClass(code);
+  };
+
+  loadClasses();
+<\/script>
+</body>
+</html>`;
+
+module.exports = { TEACHER_DASHBOARD_HTML };
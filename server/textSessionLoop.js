@@ -0,0 +1,160 @@
+/**
+ * Text-chat session loop on the server.
+ *
+ * Typed sessions run the same Conversation Manager as voice — phases and
+ * timing, vocabulary and grammar checks, topic and goal classification,
+ * picture answers, farewell handling — but here rather than in the browser,
+ * so every [SYSTEM: …] directive the model sees is built from the session's
+ * own state. The browser sends only what the student typed.
+ *
+ * The frontend modules are loaded with import(), as in buddyPrompt.js; they
+ * import each other with the .js extension so Node can resolve them.
+ *
+ * One loop per open conversation, in memory only: after a server restart a
+ * conversation carries on without directives.
+ *
+ * FILE: server/textSessionLoop.js
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { loadSystemInstructions } = require('./buddyPrompt');
+
+const UTILS_DIR = path.join(__dirname, '../frontend/src/utils');
+const moduleUrl = (name) => pathToFileURL(path.join(UTILS_DIR, name)).href;
+
+let loading = null;
+function loadModules() {
+  if (!loading) {
+    loading = Promise.all([
+      import(moduleUrl('conversationManager.js')),
+      import(moduleUrl('vocabularyChecker.js')),
+      import(moduleUrl('grammarAnalyzer.js')),
+      import(moduleUrl('visualPrompt.js')),
+      loadSystemInstructions(),
+    ]).then(([manager, vocabulary, grammar, visual, instructions]) => ({ ...manager, ...vocabulary, ...grammar, ...visual, ...instructions }));
+  }
+  return loading;
+}
+
+class TextSessionLoop {
+  /**
+   * unitData: the session's cumulative unit (with _book, _chapter, _reviewVocabulary)
+   * classify: { topic(text, currentTopics, reviewTopics), goals(text, goals) } — the
+   *   server's classifiers; both resolve to an empty match on error
+   */
+  static async create({ unitData, persona = null, studentName = '', returningStudent = false, classify }) {
+    const modules = await loadModules();
+    return new TextSessionLoop(modules, { unitData, persona, studentName, returningStudent, classify });
+  }
+
+  constructor(modules, { unitData, persona, studentName, returningStudent, classify }) {
+    this.modules = modules;
+    this.unitData = unitData;
+    this.classify = classify;
+    this.createdAt = Date.now();
+    this.closed = false;
+    this.pending = [];                 // directives to send with the next request
+    this.pictureQuestion = null;       // image the buddy just asked about — the next message is checked against it
+    this.endAfterReply = false;        // the session ends once the buddy's next reply arrives
+    this.snapshot = null;              // state before the last studentTurn(), for rollback()
+
+    const { minMs, maxMs } = modules.getDurations(unitData._book || 'ID1', unitData._chapter || 1);
+    this.manager = new modules.ConversationManager({
+      currentTopics: unitData.conversation_topics?.topics || [],
+      reviewTopics: unitData._cumulative?.reviewTopics || [],
+      minMs,
+      maxMs,
+      goals: unitData.communicative_functions?.goals || [],
+      studentNameKnown: !!studentName,
+      returningStudent,
+      reviewWords: unitData._reviewVocabulary || [],
+    });
+    this.manager.start();
+
+    const extraWords = [studentName, ...Object.values(persona || {}).filter(v => typeof v === 'string')];
+    this.vocabChecker = new modules.VocabularyChecker(unitData._cumulative, { extraWords });
+  }
+
+  /** Checks and Conversation Manager bookkeeping for a buddy reply; image: the picture shown with it */
+  aiTurn(text, image = null) {
+    const { manager, modules } = this;
+    this.pictureQuestion = image && modules.isPictureQuestion(text) ? image : null;
+
+    const oov = this.vocabChecker.check(text);
+    const grammar = modules.findGrammarViolations(text, this.unitData.grammar_constraints);
+    if (oov.length) console.log('[Vocab] out-of-vocabulary:', oov.join(', '));
+    if (grammar.length) console.log('[Grammar] forbidden:', grammar.map(g => `${g.tag} (${g.match})`).join(', '));
+    this.pending.push(
+      ...manager.processAITurn(text),
+      ...manager.recordVocabularyViolations(oov),
+      ...manager.recordGrammarViolations(grammar),
+    );
+
+    // Topic classification runs in the background; its directives go with a later request
+    const { currentTopics, reviewTopics } = manager.getTopicsForClassification();
+    if (currentTopics.length > 0 || reviewTopics.length > 0) {
+      this.classify.topic(text, currentTopics, reviewTopics).then(result => {
+        if (!this.closed) this.pending.push(...manager.updateTopicClassification(result));
+      });
+    }
+  }
+
+  /**
+   * The directives to send with the student's message (or, with no message,
+   * on their own). The state they change is snapshotted first so rollback()
+   * can undo the turn when the model request fails.
+   * returns: { directives, goalCheck } — goalCheck resolves once the message is classified
+   */
+  studentTurn(message) {
+    this.snapshot = { pending: [...this.pending], pictureQuestion: this.pictureQuestion, endAfterReply: this.endAfterReply };
+    let goalCheck = Promise.resolve();
+
+    if (message) {
+      this.vocabChecker.addKnownText(message); // student-introduced words are fair game
+
+      // Answer to a picture question: tell the buddy whether it names what the picture shows
+      const image = this.pictureQuestion;
+      if (image) {
+        this.pictureQuestion = null;
+        this.pending.push(this.modules.pictureAnswerDirective(image, this.modules.matchImageKeywords(message, image.keywords)));
+      }
+
+      const { directives, endAfterReply } = this.manager.processStudentTurn(message);
+      if (endAfterReply) this.endAfterReply = true;
+      this.pending.push(...directives);
+
+      // Which of the unit's communicative goals this message shows
+      const goals = this.manager.getGoalsForClassification();
+      if (goals.length > 0) {
+        goalCheck = this.classify.goals(message, goals).then(result => this.manager.updateGoalClassification(result));
+      }
+    }
+
+    // Timing directives fire once each, so a rollback keeps them
+    this.snapshot.timing = this.manager.checkTiming();
+    this.pending.push(...this.snapshot.timing);
+    // Hard max: the buddy's reply to this request is its closing line
+    if (this.manager.maxReached) this.endAfterReply = true;
+    return { directives: this.pending.splice(0), goalCheck };
+  }
+
+  /** Undo the last studentTurn() — its request failed and the student may send the message again */
+  rollback() {
+    if (!this.snapshot) return;
+    this.pending.unshift(...this.snapshot.pending, ...this.snapshot.timing);
+    this.pictureQuestion = this.snapshot.pictureQuestion;
+    this.endAfterReply = this.snapshot.endAfterReply;
+    this.snapshot = null;
+  }
+
+  demonstratedGoals() {
+    return this.manager.getDemonstratedGoals();
+  }
+
+  close() {
+    this.closed = true;
+    this.manager.reset();
+  }
+}
+
+module.exports = { TextSessionLoop };
@@ -0,0 +1,107 @@
+/**
+ * VocabularyMemory — which active-vocabulary words each student has produced,
+ * and when each is due to be recycled.
+ *
+ * One record per student profile (DATA_DIR/vocabulary/<studentId>.json),
+ * updated once per session from what the student said (see /api/feedback).
+ * Scheduling is a light SM-2: a word the student produced comes back after
+ * 1 day, then 3, then the previous interval times its ease. A word the buddy
+ * was asked to recycle that the student still didn't use lapses — it is due
+ * again the next day and its ease drops, so it comes back sooner from then on.
+ *
+ * Record shape:
+ * {
+ *   id: studentId, updatedAt,
+ *   words: { [headword]: { reps, interval, ease, due, lastProduced, lapses } }   // interval in days, due ISO
+ * }
+ *
+ * FILE: server/vocabularyMemory.js
+ */
+const { JsonCollection } = require('./storage');
+const { headword } = require('./feedbackReport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_EASE = 3.0;
+const SPONTANEOUS_BONUS = 0.1;   // produced without being steered toward it
+const LAPSE_PENALTY = 0.2;
+// Function words come up on their own, and whole phrases are rarely said word for word
+const SKIP_POS = new Set(['ART', 'PRON', 'CONJ', 'PARTICLE', 'PREP', 'PREFIX', 'NUM', 'PHRASE']);
+// Targets are single words ("der Regen", "packen"), not greetings or set phrases
+const SINGLE_WORD_RE = /^(?:(?:der|die|das|sich)\s+)?[A-Za-zÄÖÜäöüß-]+$/;
+
+class VocabularyMemory {
+  constructor(baseDir) {
+    this.records = new JsonCollection('vocabulary', baseDir);
+  }
+
+  get(studentId) {
+    return this.records.get(studentId) || { id: studentId, updatedAt: null, words: {} };
+  }
+
+  /**
+   * Update the schedule after one session.
+   * produced: headwords the student used; targeted: headwords the buddy was asked to recycle
+   */
+  recordSession(studentId, { produced = [], targeted = [], at = Date.now() }) {
+    const record = this.get(studentId);
+    const producedSet = new Set(produced);
+    const targetedSet = new Set(targeted);
+
+    for (const word of producedSet) {
+      const prev = record.words[word] || { reps: 0, interval: 0, ease: START_EASE, lapses: 0 };
+      const reps = prev.reps + 1;
+      const interval = reps === 1 ? 1 : reps === 2 ? 3 : Math.round(prev.interval * prev.ease);
+      const ease = targetedSet.has(word) ? prev.ease : Math.min(MAX_EASE, prev.ease + SPONTANEOUS_BONUS);
+      record.words[word] = { ...prev, reps, interval, ease, due: new Date(at + interval * DAY_MS).toISOString(), lastProduced: new Date(at).toISOString() };
+    }
+    for (const word of targetedSet) {
+      if (producedSet.has(word)) continue;
+      const prev = record.words[word] || { reps: 0, interval: 0, ease: START_EASE, lapses: 0, lastProduced: null };
+      record.words[word] = {
+        ...prev,
+        reps: 0,
+        interval: 1,
+        ease: Math.max(MIN_EASE, prev.ease - LAPSE_PENALTY),
+        lapses: prev.lapses + 1,
+        due: new Date(at + DAY_MS).toISOString(),
+      };
+    }
+    record.updatedAt = new Date(at).toISOString();
+    return this.records.save(record);
+  }
+
+  /**
+   * Words for the next session to recycle: overdue words first (most overdue,
+   * relative to their interval), then words the student has never produced,
+   * oldest units first.
+   * items: the cumulative active vocabulary; exclude: headwords to leave out (the current unit's)
+   * returns: [{ word, translation, reason: 'overdue'|'new' }]
+   */
+  dueWords(studentId, items = [], { exclude = new Set(), limit = 6, now = Date.now() } = {}) {
+    const { words } = this.get(studentId);
+    const overdue = [];
+    const fresh = [];
+    const seen = new Set();
+    for (const item of items) {
+      if (typeof item !== 'object' || !item?.word || SKIP_POS.has(item.pos)) continue;
+      const word = headword(item.word);
+      if (!SINGLE_WORD_RE.test(word) || exclude.has(word) || seen.has(word)) continue;
+      seen.add(word);
+      const entry = words[word];
+      if (!entry) {
+        fresh.push({ word, translation: item.translation || '' });
+      } else if (Date.parse(entry.due) <= now) {
+        overdue.push({ word, translation: item.translation || '', lateness: (now - Date.parse(entry.due)) / (Math.max(entry.interval, 1) * DAY_MS) });
+      }
+    }
+    overdue.sort((a, b) => b.lateness - a.lateness);
+    return [
+      ...overdue.map(({ word, translation }) => ({ word, translation, reason: 'overdue' })),
+      ...fresh.map(w => ({ ...w, reason: 'new' })),
+    ].slice(0, limit);
+  }
+}
+
+module.exports = { VocabularyMemory };
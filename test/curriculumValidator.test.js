@@ -0,0 +1,116 @@
+/**
+ * The curriculum validator against copies of the Knowledge Base with
+ * something broken in them: sections missing or of the wrong type, unknown
+ * forbidden tags, verb forms the unit doesn't allow, unparseable files,
+ * duplicate ids, ids in the wrong track and gaps in a track's positions.
+ *
+ * FILE: test/curriculumValidator.test.js
+ */
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KB_DIR, validateUnit, validateCurriculum } = require('../server/curriculumValidator');
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'german-kb-'));
+after(() => fs.rmSync(tmpRoot, { recursive: true, force: true }));
+
+const readUnit = (dir, file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+// A copy of the Knowledge Base to break
+function fixtureDir() {
+  const dir = fs.mkdtempSync(path.join(tmpRoot, 'kb-'));
+  fs.cpSync(KB_DIR, dir, { recursive: true });
+  return dir;
+}
+
+function editUnit(dir, file, edit) {
+  const data = readUnit(dir, file);
+  edit(data);
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+}
+
+const codes = (issues) => issues.map(i => i.code).sort();
+
+test('the Knowledge Base itself has no errors', () => {
+  const report = validateCurriculum();
+  assert.strictEqual(report.errorCount, 0, JSON.stringify(report.issues.filter(i => i.severity === 'error')));
+  assert.strictEqual(report.valid, true);
+  assert.strictEqual(report.unitCount, report.fileCount);
+});
+
+test('missing and mistyped sections are errors', () => {
+  const unit = readUnit(KB_DIR, 'unit_001.json');
+  delete unit.grammar_constraints.forbidden;
+  unit.active_vocabulary.items = 'Hallo, Tschüss';
+  delete unit.model_sentences;
+  const issues = validateUnit(unit);
+  assert.deepStrictEqual(issues.map(i => [i.severity, i.code, i.path]), [
+    ['error', 'missing_section', 'grammar_constraints.forbidden'],
+    ['error', 'wrong_type', 'active_vocabulary.items'],
+    ['error', 'missing_section', 'model_sentences'],
+  ]);
+  assert.strictEqual(issues[1].message, 'active_vocabulary.items should be array, found string');
+});
+
+test('unknown forbidden tags are warnings', () => {
+  const unit = readUnit(KB_DIR, 'unit_001.json');
+  unit.grammar_constraints.forbidden = ['tense:Perfekt', 'tense:Futur_II', 'mood:subjunctive', 'case:Dativ'];
+  const issues = validateUnit(unit);
+  assert.deepStrictEqual(issues.map(i => [i.severity, i.code]), [
+    ['warning', 'unknown_tag'],
+    ['warning', 'unknown_tag_family'],
+    ['warning', 'unknown_tag'],
+  ]);
+  assert.match(issues[0].message, /tense:Futur_II/);
+});
+
+test('verb forms outside the unit\'s tenses and persons are flagged', () => {
+  const unit = readUnit(KB_DIR, 'unit_001.json');
+  Object.assign(unit.grammar_constraints, { allowed_tenses: ['present', 'Präteritum_haben_sein'], allowed_persons: ['ich', 'du'], sentence_types: [] });
+  unit.allowed_verb_forms.verbs = {
+    sein: { present: { ich: 'bin', du: 'bist', ihr: 'seid' }, Präteritum: { ich: 'war' }, Perfekt: { ich: 'bin gewesen' } },
+    kommen: { imperative: { du: 'komm' } },
+    heißen: 'heiße',
+    haben: { present: ['habe'] },
+  };
+  assert.deepStrictEqual(validateUnit(unit).map(i => [i.severity, i.code, i.path]), [
+    ['warning', 'person_not_allowed', 'allowed_verb_forms.verbs.sein.present'],
+    ['warning', 'tense_not_allowed', 'allowed_verb_forms.verbs.sein.Perfekt'],
+    ['warning', 'tense_not_allowed', 'allowed_verb_forms.verbs.kommen.imperative'],
+    ['error', 'wrong_type', 'allowed_verb_forms.verbs.heißen'],
+    ['error', 'wrong_type', 'allowed_verb_forms.verbs.haben.present'],
+  ]);
+});
+
+test('unparseable files and duplicate unit ids are errors', () => {
+  const dir = fixtureDir();
+  fs.writeFileSync(path.join(dir, 'unit_broken.json'), '{ "unit": "7", ');
+  fs.copyFileSync(path.join(dir, 'unit_003.json'), path.join(dir, 'unit_003_copy.json'));
+  const report = validateCurriculum(dir);
+  const errors = report.issues.filter(i => i.severity === 'error');
+  assert.ok(errors.some(i => i.code === 'invalid_json' && i.file === 'unit_broken.json'));
+  const duplicate = errors.find(i => i.code === 'duplicate_unit');
+  assert.deepStrictEqual([duplicate.file, duplicate.unit], ['unit_003_copy.json', '3']);
+  assert.ok(errors.some(i => i.code === 'duplicate_position' && i.file === 'unit_003_copy.json'));
+  assert.strictEqual(report.valid, false);
+  assert.strictEqual(report.fileCount, report.unitCount + 1);
+});
+
+test('an id from another book and a gap in a track are errors', () => {
+  const dir = fixtureDir();
+  editUnit(dir, 'unit_004.json', unit => { unit.unit = 'B999'; });
+  fs.rmSync(path.join(dir, 'unit_005.json'));
+  const errors = validateCurriculum(dir).issues.filter(i => i.severity === 'error');
+  assert.deepStrictEqual(codes(errors), ['chapter_range', 'position_gap', 'track_mismatch']);
+  assert.match(errors.find(i => i.code === 'track_mismatch').message, /Unit B999 is in track "core" but its id belongs to ID2B/);
+  assert.match(errors.find(i => i.code === 'position_gap').message, /Track "core" has no units at position\(s\) 5$/);
+  assert.match(errors.find(i => i.code === 'chapter_range').message, /^ID1: chapter \d+ covers position\(s\) 5 /);
+});
+
+test('a missing directory is reported rather than thrown', () => {
+  const report = validateCurriculum(path.join(tmpRoot, 'nowhere'));
+  assert.deepStrictEqual(codes(report.issues), ['missing_directory']);
+  assert.strictEqual(report.valid, false);
+});
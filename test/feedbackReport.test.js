@@ -0,0 +1,102 @@
+/**
+ * The end-of-session report pieces built without the model: which unit
+ * words the student used, which of the model's corrections are kept, the
+ * "next time" list, and which grammar rules the feedback prompt lists for
+ * numbered units and for ID2's B/O units.
+ *
+ * FILE: test/feedbackReport.test.js
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { vocabularyUse, cleanCorrections, practiceSuggestions, recentGrammarRules } = require('../server/feedbackReport');
+
+const unitWithRules = (...rules) => ({ grammar_constraints: { new_rules_in_this_unit: rules } });
+
+test('vocabularyUse matches inflected, umlauted and separated forms', async () => {
+  const items = [{ word: 'das Licht, -er' }, { word: 'mitnehmen' }, { word: 'der Apfel' }, { word: 'zu warm/kalt' }, 'die Straße', { word: 'aufstehen' }];
+  const utterances = ['Ich nehme den Schirm mit.', 'Es ist mir zu kalt, die Äpfel!', null];
+  assert.deepStrictEqual(await vocabularyUse(items, utterances), {
+    used: ['mitnehmen', 'der Apfel', 'zu warm/kalt'],
+    unused: ['das Licht', 'die Straße', 'aufstehen'],
+    total: 6,
+  });
+});
+
+test('cleanCorrections keeps real mistakes the student made, once each', () => {
+  const raw = [
+    { original: 'ich habe gegeht', corrected: 'Ich bin gegangen', rule: 'Perfekt mit sein' },
+    { original: 'Ich habe gegeht!', corrected: 'Ich bin gegangen.', rule: 'Perfekt mit sein' },
+    { original: 'Das habe ich nie gesagt', corrected: 'Das habe ich nie gesagt.' },
+    { original: 'Ich wohne in Berlin', corrected: 'ich wohne in berlin.' },
+    { original: 'Ich trinke Kaffee', corrected: 'Ich trinke einen Kaffee', rule: 'An invented rule' },
+    null,
+  ];
+  const utterances = ['Gestern Ich habe gegeht.', 'Ich wohne in Berlin', 'Ich trinke Kaffee'];
+  assert.deepStrictEqual(cleanCorrections(raw, utterances, [{ unit: 'B7', rule: 'Perfekt mit sein' }]), [
+    { original: 'ich habe gegeht', corrected: 'Ich bin gegangen', rule: 'Perfekt mit sein', unit: 'B7' },
+    { original: 'Ich trinke Kaffee', corrected: 'Ich trinke einen Kaffee', rule: 'An invented rule' },
+  ]);
+  assert.deepStrictEqual(cleanCorrections('not a list', utterances), []);
+});
+
+test('cleanCorrections keeps at most four', () => {
+  const utterances = ['eins zwei drei vier fünf'];
+  const raw = utterances[0].split(' ').map(w => ({ original: w, corrected: `${w}!x`, rule: '' }));
+  assert.strictEqual(cleanCorrections(raw, utterances).length, 4);
+});
+
+test('practiceSuggestions puts the model\'s first, then unused words and words to say', () => {
+  assert.deepStrictEqual(practiceSuggestions({
+    suggestions: ['Ask more questions.', '', 3, 'Use longer sentences.', 'Never shown.'],
+    vocabulary: { unused: ['der Regen', 'packen', 'warm', 'die Sonne'] },
+    pronunciation: { practice: [{ word: 'Bücher' }, { word: 'ich' }] },
+  }), [
+    'Ask more questions.',
+    'Use longer sentences.',
+    'Try to use some of this unit\'s words: der Regen, packen, warm.',
+    'Practise saying "Bücher", "ich" out loud.',
+  ]);
+  assert.deepStrictEqual(practiceSuggestions({ suggestions: null, vocabulary: { unused: [] }, pronunciation: null }), []);
+});
+
+test('recentGrammarRules walks back through numbered units', () => {
+  const unitMap = {
+    1: unitWithRules('Verb endings'),
+    2: unitWithRules(),
+    3: unitWithRules('W-questions', 'Yes/no questions'),
+    4: {},
+    5: unitWithRules('Negation with nicht'),
+    6: unitWithRules('Not yet reached'),
+    B5: unitWithRules('Never a numbered unit\'s rule'),
+  };
+  assert.deepStrictEqual(recentGrammarRules(unitMap, '5'), [
+    { unit: '5', rule: 'Negation with nicht' },
+    { unit: '3', rule: 'W-questions' },
+    { unit: '3', rule: 'Yes/no questions' },
+    { unit: '1', rule: 'Verb endings' },
+  ]);
+  assert.deepStrictEqual(recentGrammarRules(unitMap, 5, 1), [{ unit: '5', rule: 'Negation with nicht' }]);
+  assert.deepStrictEqual(recentGrammarRules(unitMap, '99'), [
+    { unit: '6', rule: 'Not yet reached' },
+    { unit: '5', rule: 'Negation with nicht' },
+    { unit: '3', rule: 'W-questions' },
+    { unit: '3', rule: 'Yes/no questions' },
+  ]);
+});
+
+test('recentGrammarRules walks back through B and O units in their own series', () => {
+  const unitMap = {
+    8: unitWithRules('A numbered unit\'s rule'),
+    B7: unitWithRules('Perfekt mit sein'),
+    B8: unitWithRules(),
+    B9: unitWithRules('Dativ nach mit'),
+    O8: unitWithRules('An O unit\'s rule'),
+  };
+  assert.deepStrictEqual(recentGrammarRules(unitMap, 'B9'), [
+    { unit: 'B9', rule: 'Dativ nach mit' },
+    { unit: 'B7', rule: 'Perfekt mit sein' },
+  ]);
+  assert.deepStrictEqual(recentGrammarRules(unitMap, 'B8'), [{ unit: 'B7', rule: 'Perfekt mit sein' }]);
+  assert.deepStrictEqual(recentGrammarRules(unitMap, 'o8'), [{ unit: 'O8', rule: 'An O unit\'s rule' }]);
+  assert.deepStrictEqual(recentGrammarRules(unitMap, 'Intro'), []);
+});
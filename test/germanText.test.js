@@ -0,0 +1,47 @@
+/**
+ * The tokenizer and lemmatizer behind the vocabulary checker, the grammar
+ * analyzer, pronunciation checks and the feedback report: tokens, plural
+ * umlauts, participles, case-inflected pronouns and capitalisation.
+ *
+ * FILE: test/germanText.test.js
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const load = () => import(pathToFileURL(path.join(__dirname, '../frontend/src/utils/germanText.js')).href);
+
+test('tokenize keeps umlauts, ß and hyphenated compounds in one token', async () => {
+  const { tokenize } = await load();
+  assert.deepStrictEqual(tokenize('Grüß Gott! Die E-Mail, Straße.'), ['Grüß', 'Gott', 'Die', 'E-Mail', 'Straße']);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('lemmaCandidates lower-cases and undoes plural umlauts', async () => {
+  const { lemmaCandidates } = await load();
+  assert.ok(lemmaCandidates('Äpfel').includes('apfel'));
+  assert.ok(lemmaCandidates('Häuser').includes('haus'));
+  assert.ok(lemmaCandidates('Büchern').includes('buch'));
+  assert.ok(lemmaCandidates('ÄRZTE').includes('arzt'));
+  assert.ok(lemmaCandidates('Straße').includes('straße'), 'ß is not an umlaut');
+});
+
+test('lemmaCandidates maps participles and inflected pronouns to their base form', async () => {
+  const { lemmaCandidates } = await load();
+  assert.ok(lemmaCandidates('gemacht').includes('machen'));
+  assert.ok(lemmaCandidates('aufgeschrieben').includes('aufschrieben'));
+  assert.ok(lemmaCandidates('mir').includes('ich'));
+  assert.ok(lemmaCandidates('ist').includes('sein'));
+  assert.ok(lemmaCandidates('zum').includes('zu'));
+});
+
+test('lemmaCandidates leaves short stems alone', async () => {
+  const { lemmaCandidates } = await load();
+  assert.deepStrictEqual(lemmaCandidates('Tee'), ['tee']);
+});
+
+test('removeUmlauts only touches ä, ö and ü', async () => {
+  const { removeUmlauts } = await load();
+  assert.strictEqual(removeUmlauts('schön größer Füße'), 'schon großer Fuße');
+});
@@ -0,0 +1,63 @@
+/**
+ * The rules that spot grammar a unit hasn't taught yet, and how
+ * findGrammarViolations() matches them against a unit's forbidden tags.
+ *
+ * FILE: test/grammarAnalyzer.test.js
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const load = () => import(pathToFileURL(path.join(__dirname, '../frontend/src/utils/grammarAnalyzer.js')).href);
+
+const tags = (findings) => findings.map(f => f.tag);
+
+test('tenses are told apart by their auxiliary', async () => {
+  const { analyzeGrammar } = await load();
+  assert.deepStrictEqual(analyzeGrammar('Ich habe gestern Pizza gegessen.'), [{ tag: 'tense:Perfekt', match: 'habe … gegessen' }]);
+  assert.deepStrictEqual(tags(analyzeGrammar('Ich war müde.')), ['tense:Präteritum_haben_sein']);
+  assert.deepStrictEqual(tags(analyzeGrammar('Ich würde gern kommen.')), ['tense:Konjunktiv_II_present']);
+  assert.deepStrictEqual(tags(analyzeGrammar('Das Haus wurde gebaut.')), ['tense:Passiv_Präteritum']);
+});
+
+test('clauses, questions and cases are found', async () => {
+  const { analyzeGrammar } = await load();
+  assert.deepStrictEqual(tags(analyzeGrammar('Ich komme mit dem Bus, weil ich müde bin. Kommst du mit?')), [
+    'case:dative',
+    'sentence_type:subordinate_weil',
+    'sentence_type:yes_no_question',
+  ]);
+  assert.deepStrictEqual(analyzeGrammar('Ich gehe zum Arzt.'), [{ tag: 'case:dative', match: 'zum' }]);
+  assert.deepStrictEqual(tags(analyzeGrammar('Ich kenne den Mann, den du magst.')), ['case:accusative', 'sentence_type:relative_clause_accusative']);
+});
+
+test('set phrases from Chapter 1 and look-alike words are not flagged', async () => {
+  const { analyzeGrammar } = await load();
+  assert.deepStrictEqual(analyzeGrammar('Ich komme aus der Schweiz. Freut mich! Wie geht es Ihnen? Und dir?'), []);
+  assert.deepStrictEqual(analyzeGrammar('Wir gehen gern gegen Mittag. Es regnet gestern.'), []);
+});
+
+test('capitalised nouns that look like participles are not Perfekt', async () => {
+  const { analyzeGrammar } = await load();
+  assert.deepStrictEqual(analyzeGrammar('Sie hat ein schönes Gesicht.'), []);
+  assert.deepStrictEqual(tags(analyzeGrammar('Sie hat gelacht.')), ['tense:Perfekt']);
+});
+
+test('umlauted forms are matched like any other', async () => {
+  const { analyzeGrammar } = await load();
+  assert.deepStrictEqual(analyzeGrammar('Während ich koche, hörst du Musik.'), [{ tag: 'sentence_type:subordinate_während', match: 'Während' }]);
+  assert.deepStrictEqual(tags(analyzeGrammar('Ich hätte das gemacht.')), ['tense:Konjunktiv_II_past']);
+});
+
+test('findGrammarViolations keeps only what the unit forbids', async () => {
+  const { findGrammarViolations } = await load();
+  const text = 'Ich habe gegessen, weil ich Hunger hatte.';
+  assert.deepStrictEqual(findGrammarViolations(text, { forbidden: ['tense:Perfekt'] }), [{ tag: 'tense:Perfekt', match: 'habe … gegessen' }]);
+  assert.deepStrictEqual(tags(findGrammarViolations(text, { forbidden: ['tense:Perfekt', 'sentence_type:subordinate_weil', 'case:genitive'] })), [
+    'tense:Perfekt',
+    'sentence_type:subordinate_weil',
+  ]);
+  assert.deepStrictEqual(findGrammarViolations(text, {}), []);
+  assert.deepStrictEqual(findGrammarViolations(text, undefined), []);
+});
@@ -0,0 +1,107 @@
+/**
+ * Session exports: cue timestamps in the WebVTT and SubRip files (offsets,
+ * hours, cue lengths, the separator each format wants) and escaping of what
+ * the student typed in the HTML report and the subtitle text.
+ *
+ * FILE: test/sessionExport.test.js
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FORMATS, exportFileName } = require('../server/sessionExport');
+
+const START = Date.parse('2026-03-04T09:00:00.000Z');
+const at = (ms) => new Date(START + ms).toISOString();
+
+function session(turns, fields = {}) {
+  return {
+    id: 'abc123',
+    source: 'realtime',
+    studentName: 'Anna',
+    unit: '12',
+    book: 'ID1',
+    chapter: 3,
+    persona: { Vorname: 'Lena' },
+    startedAt: at(0),
+    turns,
+    ...fields,
+  };
+}
+
+test('VTT cues start at each turn and last for the student\'s mic time or the buddy\'s words', () => {
+  const vtt = FORMATS.vtt.render(session([
+    { role: 'ai', text: 'Hallo! Wie geht es dir heute?', createdAt: at(250) },      // 6 words × 400 ms, but cut at the next turn
+    { role: 'student', text: 'Gut, danke.', durationMs: 1800, createdAt: at(2000) },
+    { role: 'student', text: '…', pending: true, createdAt: at(7000) },
+    { role: 'ai', text: 'Super.', createdAt: at(3723004) },                          // short cues stay up for 1.5 s
+  ]));
+  assert.strictEqual(vtt, [
+    'WEBVTT - Unit 12',
+    '',
+    '00:00:00.250 --> 00:00:02.000',
+    '<v Lena>Hallo! Wie geht es dir heute?',
+    '',
+    '00:00:02.000 --> 00:00:03.800',
+    '<v Anna>Gut, danke.',
+    '',
+    '00:00:07.000 --> 00:00:08.500',
+    '<v Anna>…',
+    '',
+    '01:02:03.004 --> 01:02:04.504',
+    '<v Lena>Super.',
+    '',
+  ].join('\n'));
+});
+
+test('SRT numbers its cues and uses a comma before the milliseconds', () => {
+  const srt = FORMATS.srt.render(session([
+    { role: 'student', text: 'Ich heiße\nAnna.', durationMs: 2000.6, createdAt: at(61001) },
+    { role: 'ai', text: 'Schön!', createdAt: at(90000) },
+  ]));
+  assert.strictEqual(srt, [
+    '1',
+    '00:01:01,001 --> 00:01:03,002',
+    'Anna: Ich heiße Anna.',
+    '',
+    '2',
+    '00:01:30,000 --> 00:01:31,500',
+    'Lena: Schön!',
+    '',
+  ].join('\n'));
+});
+
+test('turns logged before the session start or without text are left out or start at zero', () => {
+  const srt = FORMATS.srt.render(session([
+    { role: 'ai', text: 'Hallo!', createdAt: at(-5000) },
+    { role: 'student', text: '   ', createdAt: at(1000) },
+  ]));
+  assert.strictEqual(srt, '1\n00:00:00,000 --> 00:00:01,500\nLena: Hallo!\n');
+});
+
+test('VTT cue text can\'t open tags or end the cue', () => {
+  const vtt = FORMATS.vtt.render(session([
+    { role: 'student', text: '<b>Tom & Jerry</b> --> weiter\nja', createdAt: at(0) },
+  ], { studentName: 'Anna <3' }));
+  assert.match(vtt, /\n<v Anna &lt;3>&lt;b&gt;Tom &amp; Jerry&lt;\/b&gt; --&gt; weiter ja\n$/);
+});
+
+test('the HTML report escapes everything the student typed', () => {
+  const html = FORMATS.html.render(session([
+    { role: 'student', text: '<script>alert("hi")</script> & Co', createdAt: at(0) },
+  ], {
+    studentName: '<img src=x onerror=alert(1)>',
+    unitTitle: 'Familie & Freunde',
+    feedback: ['You said "<i>Hallo</i>"'],
+    corrections: [{ original: 'ich <bin> gegeht', corrected: 'ich bin gegangen', rule: 'Perfekt mit "sein"' }],
+  }));
+  assert.doesNotMatch(html, /<script>|<img|<i>|<bin>/);
+  assert.match(html, /&lt;script&gt;alert\(&quot;hi&quot;\)&lt;\/script&gt; &amp; Co/);
+  assert.match(html, /<title>Conversation report — &lt;img src=x onerror=alert\(1\)&gt; — Unit 12 — Familie &amp; Freunde<\/title>/);
+  assert.match(html, /<s>ich &lt;bin&gt; gegeht<\/s> → <b>ich bin gegangen<\/b><div class="note">Perfekt mit &quot;sein&quot;<\/div>/);
+  assert.match(html, /<li>You said &quot;&lt;i&gt;Hallo&lt;\/i&gt;&quot;<\/li>/);
+});
+
+test('export file names are plain ASCII', () => {
+  const s = session([], { studentName: 'Jürgen Müller-Şahin', unit: 'B9' });
+  assert.strictEqual(exportFileName(s, 'vtt'), 'jurgen-muller-sahin-unit-b9-2026-03-04.vtt');
+  assert.strictEqual(exportFileName({ unit: null }, 'html'), 'session-unit-x.html');
+});
@@ -0,0 +1,141 @@
+/**
+ * The student routes need no login, so nothing they return may carry the
+ * buddy's password or a session's export token. Starts the server on the mock
+ * provider with an empty DATA_DIR, records a typed and a voice session for one
+ * student, and checks /api/students/login, /api/students/:studentId/progress,
+ * which turns /api/transcribe may file a clip and a pronunciation check
+ * under (also when the upload beats the turn's placeholder), and who may download
+ * /api/sessions/:sessionId/export.
+ *
+ * FILE: test/studentRoutes.test.js
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = 3917;
+const BASE = `http://127.0.0.1:${PORT}`;
+const TEACHER_CODE = 'test-teacher-code';
+let server;
+let dataDir;
+
+async function post(url, body) {
+  const r = await fetch(BASE + url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  return { status: r.status, text: await r.text() };
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'german-test-'));
+  server = spawn(process.execPath, [path.join(__dirname, '../server/server.js')], {
+    env: { ...process.env, AI_PROVIDER: 'mock', PORT: String(PORT), DATA_DIR: dataDir, NODE_ENV: 'test', TEACHER_ACCESS_CODE: TEACHER_CODE },
+    stdio: 'ignore',
+  });
+  for (let i = 0; i < 100; i++) {
+    try {
+      if ((await fetch(`${BASE}/api/chapters`)).ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('server did not start');
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('login and progress never return the persona password', async () => {
+  const login = JSON.parse((await post('/api/students/login', { classCode: 'TEST-1', name: 'Anna' })).text);
+  const studentId = login.student.id;
+
+  const text = await post('/api/conversation/start', { unit: '1', book: 'ID1', studentName: 'Anna', studentId });
+  assert.strictEqual(text.status, 200);
+
+  const token = JSON.parse((await post('/token', { unit: '1', book: 'ID1', studentName: 'Anna', studentId })).text);
+  const log = await post('/api/log', { type: 'start', sessionId: token.sessionId });
+  assert.strictEqual(log.status, 200);
+
+  const again = await post('/api/students/login', { classCode: 'TEST-1', name: 'Anna' });
+  assert.strictEqual(again.status, 200);
+  assert.ok(JSON.parse(again.text).lastSession?.persona, 'login returns the last session with its persona');
+  assert.doesNotMatch(again.text, /"password"/);
+
+  const progress = await fetch(`${BASE}/api/students/${studentId}/progress`);
+  const body = await progress.text();
+  assert.strictEqual(progress.status, 200);
+  assert.strictEqual(JSON.parse(body).sessions.length, 2);
+  assert.doesNotMatch(body, /"password"/);
+  assert.doesNotMatch(body, /exportToken/);
+});
+
+async function upload(sessionId, turnId, bytes, prompt = '') {
+  const form = new FormData();
+  form.append('audio', new Blob([Buffer.from(bytes)], { type: 'audio/webm' }), 'audio.webm');
+  form.append('sessionId', sessionId);
+  form.append('turnId', turnId);
+  form.append('prompt', prompt);
+  const r = await fetch(`${BASE}/api/transcribe`, { method: 'POST', body: form });
+  return r.json();
+}
+
+async function clip(sessionId, turnId) {
+  const r = await fetch(`${BASE}/api/sessions/${sessionId}/turns/${turnId}/audio`, { headers: { 'X-Teacher-Code': TEACHER_CODE } });
+  return r.ok ? Buffer.from(await r.arrayBuffer()).toString() : null;
+}
+
+test('a turn keeps only its own first clip', async () => {
+  const token = JSON.parse((await post('/token', { unit: '1', book: 'ID1', studentName: 'Cem' })).text);
+  const sessionId = token.sessionId;
+  await post('/api/log', { type: 'start', sessionId });
+  await post('/api/log', { type: 'turn', sessionId, role: 'student', text: '…', id: 'placeholder1', pending: true });
+  await post('/api/log', { type: 'turn', sessionId, role: 'ai', text: 'Hallo!', id: 'buddy1' });
+
+  await upload(sessionId, 'placeholder1', 'first');
+  await upload(sessionId, 'placeholder1', 'second');
+  await upload(sessionId, 'buddy1', 'not a student turn');
+  assert.strictEqual(await clip(sessionId, 'placeholder1'), 'first');
+  assert.strictEqual(await clip(sessionId, 'buddy1'), null);
+
+  // A clip that arrives before its placeholder is filed once the placeholder is logged
+  await upload(sessionId, 'placeholder2', 'early');
+  assert.strictEqual(await clip(sessionId, 'placeholder2'), null);
+  await post('/api/log', { type: 'turn', sessionId, role: 'student', text: '…', id: 'placeholder2', pending: true });
+  assert.strictEqual(await clip(sessionId, 'placeholder2'), 'early');
+});
+
+test('a pronunciation check that arrives before its placeholder is stored on the turn', async () => {
+  const token = JSON.parse((await post('/token', { unit: '1', book: 'ID1', studentName: 'Dana' })).text);
+  const sessionId = token.sessionId;
+  await post('/api/log', { type: 'start', sessionId });
+
+  // The mock transcribes a 4-byte clip as "Hallo, ich heiße Alex.", here a repetition
+  const { pronunciation } = await upload(sessionId, 'placeholder1', 'clip', 'Sag mal: Hallo, ich heiße Alex.');
+  assert.strictEqual(pronunciation?.mode, 'repetition');
+  await post('/api/log', { type: 'turn', sessionId, role: 'student', text: '…', id: 'placeholder1', pending: true });
+
+  const r = await fetch(`${BASE}/api/sessions/${sessionId}`, { headers: { 'X-Teacher-Code': TEACHER_CODE } });
+  const turn = (await r.json()).turns.find(t => t.id === 'placeholder1');
+  assert.deepStrictEqual(turn.pronunciation, pronunciation);
+});
+
+test('a session export needs the session\'s export token or the teacher code', async () => {
+  const start = JSON.parse((await post('/api/conversation/start', { unit: '1', book: 'ID1', studentName: 'Ben' })).text);
+  const url = `${BASE}/api/sessions/${start.conversationId}/export?format=json`;
+  assert.ok(start.exportToken);
+
+  assert.strictEqual((await fetch(url)).status, 401);
+  assert.strictEqual((await fetch(`${url}&token=wrong`)).status, 401);
+  assert.strictEqual((await fetch(`${url}&token=${start.exportToken}`)).status, 200);
+  assert.strictEqual((await fetch(url, { headers: { 'X-Teacher-Code': TEACHER_CODE } })).status, 200);
+
+  const token = JSON.parse((await post('/token', { unit: '1', book: 'ID1', studentName: 'Ben' })).text);
+  await post('/api/log', { type: 'start', sessionId: token.sessionId });
+  const voiceUrl = `${BASE}/api/sessions/${token.sessionId}/export?format=vtt`;
+  assert.strictEqual((await fetch(voiceUrl)).status, 401);
+  assert.strictEqual((await fetch(`${voiceUrl}&token=${token.exportToken}`)).status, 200);
+});
@@ -0,0 +1,48 @@
+/**
+ * Which words in the buddy's speech count as outside the unit's vocabulary:
+ * inflected and capitalised forms of known words, compounds, student and
+ * persona words, and the words that really are new.
+ *
+ * FILE: test/vocabularyChecker.test.js
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const load = () => import(pathToFileURL(path.join(__dirname, '../frontend/src/utils/vocabularyChecker.js')).href);
+
+const CUMULATIVE = {
+  activeVocabulary: [{ word: 'der Apfel' }, 'das Haus', 'die Straße', 'schreiben'],
+  passiveVocabulary: ['die Aufgabe'],
+  verbForms: { sein: { present: { ich: 'bin', du: 'bist' } } },
+  universalFillers: { description: 'Small words the buddy may always use', words: ['und', 'also'] },
+};
+
+test('inflected, umlauted and capitalised forms of known words are known', async () => {
+  const { VocabularyChecker } = await load();
+  const checker = new VocabularyChecker(CUMULATIVE);
+  assert.deepStrictEqual(checker.check('Äpfel und Häuser, HAUS, straße, Straßen. Schreibst du? Ich bin also da.'), ['du', 'Ich', 'da']);
+});
+
+test('compounds and hyphenated words of known parts are known', async () => {
+  const { VocabularyChecker } = await load();
+  const checker = new VocabularyChecker(CUMULATIVE);
+  assert.deepStrictEqual(checker.check('Hausaufgabe, Apfel-Haus, Straßenapfel'), []);
+  assert.deepStrictEqual(checker.check('Hausmeister'), ['Hausmeister']);
+});
+
+test('each unknown word is reported once, as first written', async () => {
+  const { VocabularyChecker } = await load();
+  const checker = new VocabularyChecker(CUMULATIVE);
+  assert.deepStrictEqual(checker.check('Bananen, bananen und Kiwis'), ['Bananen', 'Kiwis']);
+});
+
+test('extra words and what the student says become known', async () => {
+  const { VocabularyChecker } = await load();
+  const checker = new VocabularyChecker(CUMULATIVE, { extraWords: ['Müller'] });
+  assert.deepStrictEqual(checker.check('Müller und Müllers Fußball'), ['Fußball']);
+  checker.addKnownText('Ich spiele Fußball.');
+  assert.deepStrictEqual(checker.check('Fußball'), []);
+  assert.ok(checker.isKnown('spielst'), 'the student\'s words count with their endings');
+});
@@ -0,0 +1,97 @@
+/**
+ * The light SM-2 schedule in server/vocabularyMemory.js: how intervals grow
+ * when a word is produced, what a lapse does, and the order dueWords()
+ * hands words to the next session in.
+ *
+ * FILE: test/vocabularyMemory.test.js
+ */
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VocabularyMemory } = require('../server/vocabularyMemory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const T0 = Date.parse('2026-01-05T10:00:00Z');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'german-vocab-'));
+let memory;
+
+beforeEach(() => {
+  fs.rmSync(path.join(dir, 'vocabulary'), { recursive: true, force: true });
+  memory = new VocabularyMemory(dir);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('intervals go 1 day, 3 days, then grow by the ease', () => {
+  const steps = [
+    { at: T0, targeted: [] },
+    { at: T0 + DAY_MS, targeted: ['der Regen'] },
+    { at: T0 + 4 * DAY_MS, targeted: ['der Regen'] },
+    { at: T0 + 12 * DAY_MS, targeted: [] },
+  ];
+  const seen = steps.map(({ at, targeted }) => {
+    const { reps, interval, ease, due } = memory.recordSession('s1', { produced: ['der Regen'], targeted, at }).words['der Regen'];
+    return { reps, interval, ease: Math.round(ease * 10) / 10, due: Date.parse(due) - at };
+  });
+  assert.deepStrictEqual(seen, [
+    { reps: 1, interval: 1, ease: 2.6, due: DAY_MS },        // produced unprompted: ease goes up
+    { reps: 2, interval: 3, ease: 2.6, due: 3 * DAY_MS },    // produced when steered: ease stays
+    { reps: 3, interval: 8, ease: 2.6, due: 8 * DAY_MS },    // 3 × 2.6
+    { reps: 4, interval: 21, ease: 2.7, due: 21 * DAY_MS },  // 8 × 2.6
+  ]);
+});
+
+test('a targeted word the student did not use lapses', () => {
+  memory.recordSession('s1', { produced: ['packen'], at: T0 });
+  memory.recordSession('s1', { produced: ['packen'], at: T0 + DAY_MS });
+  const lapsed = memory.recordSession('s1', { targeted: ['packen'], at: T0 + 4 * DAY_MS }).words.packen;
+  assert.strictEqual(lapsed.reps, 0);
+  assert.strictEqual(lapsed.interval, 1);
+  assert.strictEqual(lapsed.lapses, 1);
+  assert.ok(Math.abs(lapsed.ease - 2.5) < 1e-9);   // 2.7 after two unprompted uses, less the penalty
+  assert.strictEqual(Date.parse(lapsed.due), T0 + 5 * DAY_MS);
+  assert.strictEqual(lapsed.lastProduced, new Date(T0 + DAY_MS).toISOString());
+
+  // Starting over after a lapse: back to a 1-day interval
+  const again = memory.recordSession('s1', { produced: ['packen'], targeted: ['packen'], at: T0 + 5 * DAY_MS }).words.packen;
+  assert.deepStrictEqual([again.reps, again.interval, again.lapses], [1, 1, 1]);
+});
+
+test('lapses never push the ease below its floor', () => {
+  for (let i = 0; i < 10; i++) memory.recordSession('s1', { targeted: ['der Regen'], at: T0 + i * DAY_MS });
+  const { ease, lapses } = memory.get('s1').words['der Regen'];
+  assert.strictEqual(ease, 1.3);
+  assert.strictEqual(lapses, 10);
+});
+
+test('dueWords puts the most overdue first, then words never produced', () => {
+  const items = [
+    { word: 'der Regen', translation: 'rain' },
+    { word: 'packen', translation: 'to pack' },
+    { word: 'warm', translation: 'warm' },
+    { word: 'das Licht, -er', translation: 'light' },
+    { word: 'die Sonne', translation: 'sun' },
+    { word: 'und', pos: 'CONJ' },
+    { word: 'Wie geht es?', translation: 'How are you?' },
+    'der Wind',
+  ];
+  memory.recordSession('s1', { produced: ['der Regen'], at: T0 });                       // interval 1, due T0+1
+  memory.recordSession('s1', { produced: ['packen'], at: T0 - 2 * DAY_MS });
+  memory.recordSession('s1', { produced: ['packen'], at: T0 - DAY_MS });                // interval 3, due T0+2
+  memory.recordSession('s1', { produced: ['warm'], at: T0 + 2 * DAY_MS });               // due T0+3, not yet
+  const now = T0 + 2.5 * DAY_MS;
+
+  const due = memory.dueWords('s1', items, { now });
+  assert.deepStrictEqual(due.map(w => [w.word, w.reason]), [
+    ['der Regen', 'overdue'],   // 1.5 days late on a 1-day interval
+    ['packen', 'overdue'],      // half a day late on a 3-day interval
+    ['das Licht', 'new'],
+    ['die Sonne', 'new'],
+  ]);
+  assert.strictEqual(due[0].translation, 'rain');
+
+  assert.deepStrictEqual(memory.dueWords('s1', items, { now, exclude: new Set(['der Regen']), limit: 2 }).map(w => w.word), ['packen', 'das Licht']);
+  assert.deepStrictEqual(memory.dueWords('s2', items, { now }).map(w => w.reason), ['new', 'new', 'new', 'new', 'new']);
+});